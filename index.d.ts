@@ -0,0 +1,2 @@
+export * from "./src/index.js"
+export { MonarchClient as MonarchMoney } from "./src/index.js"
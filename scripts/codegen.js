@@ -0,0 +1,244 @@
+// codegen.js
+//
+// Checks every operation in src/queries.js against schema/monarch.graphql and
+// writes typed wrappers for them:
+//
+//   src/operations.js    runGetAccounts(variables, options) etc., one per document
+//   src/operations.d.ts  their Result and Variables types, from the schema
+//
+// Run `npm run schema` first to save the schema, then `npm run codegen`.
+// Exits non-zero without writing anything when a document doesn't validate.
+//
+// A reconstructed schema is built from the same documents, so checking them
+// against it proves nothing and its field types come from LEAF_TYPES in
+// src/schema.js. Codegen refuses one unless run with --allow-reconstructed.
+import { existsSync, readFileSync, writeFileSync } from "fs"
+import path from "path"
+import { fileURLToPath } from "url"
+import {
+  Kind,
+  buildSchema,
+  getNamedType,
+  isAbstractType,
+  isEnumType,
+  isInputObjectType,
+  isLeafType,
+  isListType,
+  isNonNullType,
+  typeFromAST,
+  validate,
+} from "graphql"
+import { RECONSTRUCTED_SCHEMA_NOTE, knownDocuments } from "../src/schema.js"
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..")
+const schemaFile = path.join(root, "schema/monarch.graphql")
+const wrapperFile = path.join(root, "src/operations.js")
+const typesFile = path.join(root, "src/operations.d.ts")
+
+// Scalars not listed here are typed `unknown`.
+const SCALAR_TYPES = {
+  String: "string",
+  ID: "string",
+  UUID: "string",
+  Date: "string",
+  DateTime: "string",
+  Int: "number",
+  Float: "number",
+  Decimal: "number",
+  Boolean: "boolean",
+}
+
+const pascalCase = (name) => name[0].toUpperCase() + name.slice(1)
+
+const indent = (depth) => "  ".repeat(depth)
+
+const withoutNull = (type) => type.replace(/ \| null$/, "")
+
+const leafType = (type) =>
+  isEnumType(type)
+    ? type
+        .getValues()
+        .map((value) => JSON.stringify(value.name))
+        .join(" | ")
+    : SCALAR_TYPES[type.name] || "unknown"
+
+const outputType = (schema, type, selection, fragments, depth) => {
+  if (isNonNullType(type)) {
+    return withoutNull(outputType(schema, type.ofType, selection, fragments, depth))
+  }
+  if (isListType(type)) {
+    return `Array<${outputType(schema, type.ofType, selection, fragments, depth)}> | null`
+  }
+  if (isLeafType(type)) {
+    return `${leafType(type)} | null`
+  }
+  return `${selectionType(schema, selection.selectionSet, type, fragments, depth)} | null`
+}
+
+// Fields from fragments on a narrower type than the parent's are optional.
+const selectionType = (schema, selectionSet, parentType, fragments, depth) => {
+  const fields = new Map()
+  const collect = (selections, type, narrowed) => {
+    for (const selection of selections) {
+      if (selection.kind === Kind.FIELD) {
+        const key = selection.alias ? selection.alias.value : selection.name.value
+        const conditional = (selection.directives || []).some((directive) => ["include", "skip"].includes(directive.name.value))
+        fields.set(key, { selection, type, optional: narrowed || conditional })
+        continue
+      }
+      const fragment = selection.kind === Kind.FRAGMENT_SPREAD ? fragments.get(selection.name.value) : selection
+      const condition = fragment.typeCondition ? schema.getType(fragment.typeCondition.name.value) : type
+      collect(fragment.selectionSet.selections, condition, narrowed || (isAbstractType(type) && condition !== type))
+    }
+  }
+  collect(selectionSet.selections, parentType, false)
+
+  const lines = [...fields].map(([key, { selection, type, optional }]) => {
+    const name = selection.name.value
+    const fieldType =
+      name === "__typename" ? "string" : outputType(schema, type.getFields()[name].type, selection, fragments, depth + 1)
+    return `${indent(depth + 1)}${key}${optional ? "?" : ""}: ${fieldType}`
+  })
+  return `{\n${lines.join("\n")}\n${indent(depth)}}`
+}
+
+const inputType = (type, depth, seen = new Set()) => {
+  if (isNonNullType(type)) {
+    return withoutNull(inputType(type.ofType, depth, seen))
+  }
+  if (isListType(type)) {
+    return `Array<${inputType(type.ofType, depth, seen)}> | null`
+  }
+  if (isInputObjectType(type)) {
+    if (seen.has(type.name)) {
+      return "Record<string, unknown> | null"
+    }
+    const fields = Object.values(type.getFields()).map((field) => {
+      const optional = !isNonNullType(field.type) || field.defaultValue !== undefined
+      return `${indent(depth + 1)}${field.name}${optional ? "?" : ""}: ${inputType(field.type, depth + 1, new Set([...seen, type.name]))}`
+    })
+    return `{\n${fields.join("\n")}\n${indent(depth)}} | null`
+  }
+  return `${leafType(type)} | null`
+}
+
+const variablesType = (schema, operation) => {
+  const variables = operation.variableDefinitions || []
+  if (!variables.length) {
+    return { type: "Record<string, never>", required: false }
+  }
+  let required = false
+  const lines = variables.map(({ variable, type, defaultValue }) => {
+    const optional = type.kind !== Kind.NON_NULL_TYPE || Boolean(defaultValue)
+    required = required || !optional
+    return `  ${variable.name.value}${optional ? "?" : ""}: ${inputType(typeFromAST(schema, type), 1)}`
+  })
+  return { type: `{\n${lines.join("\n")}\n}`, required }
+}
+
+const generate = () => {
+  if (!existsSync(schemaFile)) {
+    throw new Error(`${path.relative(root, schemaFile)} is missing; run \`npm run schema\` first`)
+  }
+  const sdl = readFileSync(schemaFile, "utf-8")
+  const reconstructed = sdl.startsWith(RECONSTRUCTED_SCHEMA_NOTE)
+  if (reconstructed && !process.argv.includes("--allow-reconstructed")) {
+    console.error(
+      [
+        `${path.relative(root, schemaFile)} was reconstructed from src/queries.js, not introspected from Monarch.`,
+        "Validating the queries against it can't fail, and the result types come from LEAF_TYPES in src/schema.js.",
+        "Run `npm run schema` with a session to introspect, or pass --allow-reconstructed to generate anyway.",
+      ].join("\n")
+    )
+    process.exit(1)
+  }
+  if (reconstructed) {
+    console.warn(
+      "WARNING: generating from a reconstructed schema. The queries are NOT validated against Monarch's API, and the result types are only as good as LEAF_TYPES in src/schema.js."
+    )
+  }
+  const schema = buildSchema(sdl)
+  const documents = knownDocuments()
+
+  const failures = documents.flatMap(({ functionName, document }) =>
+    validate(schema, document).map((error) => `${functionName}(): ${error.message}`)
+  )
+  if (failures.length) {
+    console.error(`${failures.length} document(s) don't match ${path.relative(root, schemaFile)}:\n${failures.join("\n")}`)
+    process.exit(1)
+  }
+
+  const operations = documents.map(({ functionName, document }) => {
+    const fragments = new Map()
+    let operation = null
+    for (const definition of document.definitions) {
+      if (definition.kind === Kind.FRAGMENT_DEFINITION) {
+        fragments.set(definition.name.value, definition)
+      } else if (definition.kind === Kind.OPERATION_DEFINITION) {
+        operation = definition
+      }
+    }
+    const rootType = operation.operation === "mutation" ? schema.getMutationType() : schema.getQueryType()
+    return {
+      functionName,
+      document,
+      operationName: operation.name.value,
+      typeName: pascalCase(functionName),
+      wrapperName: `run${pascalCase(functionName)}`,
+      result: selectionType(schema, operation.selectionSet, getNamedType(rootType), fragments, 0),
+      variables: variablesType(schema, operation),
+    }
+  })
+
+  const header = (file) =>
+    [`// ${file}`, "// Generated by scripts/codegen.js from the queries in src/queries.js. Do not edit;", "// run `npm run codegen` instead."].join("\n")
+
+  const wrappers = [
+    header("operations.js"),
+    'import { MonarchClient, resolveClient } from "./client.js"',
+    'import { getDocument } from "./queries.js"',
+    "",
+    ...operations.map(({ functionName, operationName, wrapperName }) =>
+      [
+        `export async function ${wrapperName}(variables = {}, options = {}) {`,
+        `  return await resolveClient(this).gqlCall("${operationName}", getDocument("${functionName}", options.selection), variables, options)`,
+        "}",
+        "",
+      ].join("\n")
+    ),
+    "Object.assign(MonarchClient.prototype, {",
+    ...operations.map(({ wrapperName }) => `  ${wrapperName},`),
+    "})",
+    "",
+  ].join("\n")
+
+  const types = [
+    header("operations.d.ts"),
+    'import type { CallOptions } from "./index.js"',
+    "",
+    ...operations.map(({ functionName, operationName, document, typeName, wrapperName, result, variables }) =>
+      [
+        `/** ${functionName}(): ${document.definitions.find((d) => d.kind === Kind.OPERATION_DEFINITION).operation} ${operationName} */`,
+        `export type ${typeName}Result = ${result}`,
+        "",
+        `export type ${typeName}Variables = ${variables.type}`,
+        "",
+        `export declare function ${wrapperName}(variables${variables.required ? "" : "?"}: ${typeName}Variables, options?: CallOptions): Promise<${typeName}Result>`,
+        "",
+      ].join("\n")
+    ),
+    'declare module "./index.js" {',
+    "  interface MonarchClient {",
+    ...operations.map(({ wrapperName }) => `    ${wrapperName}: typeof ${wrapperName}`),
+    "  }",
+    "}",
+    "",
+  ].join("\n")
+
+  writeFileSync(wrapperFile, wrappers)
+  writeFileSync(typesFile, types)
+  const checked = reconstructed ? "Checked (not validated)" : "Validated"
+  console.log(`${checked} ${operations.length} documents; wrote ${path.relative(root, wrapperFile)} and ${path.relative(root, typesFile)}`)
+}
+
+generate()
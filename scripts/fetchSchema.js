@@ -0,0 +1,28 @@
+// fetchSchema.js
+//
+// Saves Monarch's schema as SDL to schema/monarch.graphql for scripts/codegen.js.
+// Introspects with the saved session or MONARCH_TOKEN; when introspection is
+// refused, or with --offline, saves the partial schema rebuilt from the
+// queries in src/queries.js instead.
+import { mkdirSync, writeFileSync } from "fs"
+import path from "path"
+import { fileURLToPath } from "url"
+import { printSchema } from "graphql"
+import { getSchema } from "../src/index.js"
+import { RECONSTRUCTED_SCHEMA_NOTE, reconstructSchema } from "../src/schema.js"
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..")
+const schemaFile = path.join(root, "schema/monarch.graphql")
+
+const { sdl, source } = process.argv.includes("--offline")
+  ? { sdl: printSchema(reconstructSchema()), source: "reconstructed" }
+  : await getSchema({ timeoutMs: 60000 })
+
+const note =
+  source === "introspection"
+    ? "# Introspected from the Monarch API by scripts/fetchSchema.js.\n"
+    : `${RECONSTRUCTED_SCHEMA_NOTE}\n# Types the queries don't show are opaque scalars; introspect to replace it.\n`
+
+mkdirSync(path.dirname(schemaFile), { recursive: true })
+writeFileSync(schemaFile, `${note}\n${sdl}\n`)
+console.log(`Wrote the ${source} schema to ${path.relative(root, schemaFile)}`)
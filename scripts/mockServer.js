@@ -0,0 +1,24 @@
+// mockServer.js
+//
+// Serves the mock Monarch API from src/mockServer.js on PORT (default 4000)
+// until interrupted. Point a client in another process at it with the
+// variables it prints:
+//
+//   npm run mock
+//   MONARCH_BASE_URL=http://127.0.0.1:4000 MONARCH_TOKEN=mock-token node app.js
+//
+// Pass a JSON file to seed the dataset: `npm run mock -- fixtures/household.json`.
+import { readFileSync } from "fs"
+import { ENV_BASE_URL_KEY, ENV_TOKEN_KEY } from "../src/index.js"
+import { MockMonarchServer } from "../src/mockServer.js"
+
+const [seedFile] = process.argv.slice(2)
+const server = new MockMonarchServer({ data: seedFile ? JSON.parse(readFileSync(seedFile, "utf-8")) : {} })
+const url = await server.listen(Number(process.env.PORT) || 4000, process.env.HOST || "127.0.0.1")
+
+console.log(`Mock Monarch API listening on ${url}`)
+console.log(`${ENV_BASE_URL_KEY}=${url} ${ENV_TOKEN_KEY}=${server.token}`)
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => server.close().then(() => process.exit(0)))
+}
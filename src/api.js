@@ -1,421 +1,67 @@
 // api.js
-import { GraphQLClient, gql } from "graphql-request"
-import { getHeaders } from "./session.js"
-import { AUTH_HEADER_KEY, MonarchMoneyEndpoints, GQL_ENDPOINT } from "./constants.js"
+import { Kind, buildClientSchema, getIntrospectionQuery, parse, print, printSchema, separateOperations } from "graphql"
+import { buildBalanceHistoryCsv, mergeBalanceHistories } from "./balanceHistory.js"
+import { MonarchClient, resolveClient } from "./client.js"
+import { DEFAULT_RECORD_LIMIT, MonarchMoneyEndpoints } from "./constants.js"
+import { formatDate } from "./dates.js"
+import { NetworkError, RateLimitedError, RequestFailedException, SessionExpiredException } from "./errors.js"
+import { Account, Category, Holding, Transaction, budgetsFromData, isRaw } from "./models.js"
+import { fetchWithRetry, sleep } from "./retry.js"
+import { getDocument } from "./queries.js"
+import { reconstructSchema } from "./schema.js"
+import { buildTransactionFilters } from "./transactionQuery.js"
 import FormData from "form-data"
+import * as api from "./api.js"
 
-const timeout = 10
-
-// Custom Exceptions
-export class RequireMFAException extends Error {}
-export class LoginFailedException extends Error {}
-export class RequestFailedException extends Error {}
-
-const getGraphQLClient = () => {
-  const headers = getHeaders()
-  // console.log(headers);
-  if (!headers[AUTH_HEADER_KEY]) {
-    throw new LoginFailedException("Make sure you call login() first or provide a session token!")
-  }
-  return new GraphQLClient(GQL_ENDPOINT, {
-    headers,
-    timeout: timeout * 1000,
-  })
+export async function getAccounts(options = {}) {
+  const query = getDocument("getAccounts", options.selection)
+  const client = resolveClient(this)
+  const response = await client.gqlCall("GetAccounts", query, {}, options)
+  return isRaw(client, options) ? response : response.accounts.map((account) => new Account(account))
 }
 
-const gqlCall = async (operation, graphqlQuery, variables = {}) => {
-  const client = getGraphQLClient()
-  // console.log("Operation:", client)
-  
-  return await client.request(graphqlQuery, variables)
-}
-
-export const getAccounts = async () => {
-  const query = gql`
-    query GetAccounts {
-      accounts {
-        ...AccountFields
-        __typename
-      }
-      householdPreferences {
-        id
-        accountGroupOrder
-        __typename
-      }
-    }
-    fragment AccountFields on Account {
-      id
-      displayName
-      syncDisabled
-      deactivatedAt
-      isHidden
-      isAsset
-      mask
-      createdAt
-      updatedAt
-      displayLastUpdatedAt
-      currentBalance
-      displayBalance
-      includeInNetWorth
-      hideFromList
-      hideTransactionsFromReports
-      includeBalanceInNetWorth
-      includeInGoalBalance
-      dataProvider
-      dataProviderAccountId
-      isManual
-      transactionsCount
-      holdingsCount
-      manualInvestmentsTrackingMethod
-      order
-      logoUrl
-      type {
-        name
-        display
-        __typename
-      }
-      subtype {
-        name
-        display
-        __typename
-      }
-      credential {
-        id
-        updateRequired
-        disconnectedFromDataProviderAt
-        dataProvider
-        institution {
-          id
-          plaidInstitutionId
-          name
-          status
-          __typename
-        }
-        __typename
-      }
-      institution {
-        id
-        name
-        primaryColor
-        url
-        __typename
-      }
-      __typename
-    }
-  `
-  return await gqlCall("GetAccounts", query)
-}
-
-export async function getAccountTypeOptions() {
-  const query = gql`
-    query GetAccountTypeOptions {
-      accountTypeOptions {
-        type {
-          name
-          display
-          group
-          possibleSubtypes {
-            display
-            name
-            __typename
-          }
-          __typename
-        }
-        subtype {
-          name
-          display
-          __typename
-        }
-        __typename
-      }
-    }
-  `
-  return await gqlCall("GetAccountTypeOptions", query)
+export async function getAccountTypeOptions(options = {}) {
+  const query = getDocument("getAccountTypeOptions", options.selection)
+  return await resolveClient(this).gqlCall("GetAccountTypeOptions", query, {}, options)
 }
 
-export async function getRecentAccountBalances(startDate = null) {
+export async function getRecentAccountBalances(startDate = null, options = {}) {
   if (!startDate) {
     const date = new Date()
     date.setDate(date.getDate() - 31)
-    startDate = date.toISOString().split("T")[0]
+    startDate = formatDate(date)
   }
 
-  const query = gql`
-    query GetAccountRecentBalances($startDate: Date!) {
-      accounts {
-        id
-        recentBalances(startDate: $startDate)
-        __typename
-      }
-    }
-  `
+  const query = getDocument("getRecentAccountBalances", options.selection)
 
-  return await gqlCall("GetAccountRecentBalances", query, { startDate })
+  return await resolveClient(this).gqlCall("GetAccountRecentBalances", query, { startDate }, options)
 }
 
-export async function getAccountHoldings(accountId) {
-  const query = gql`
-    query Web_GetHoldings($input: PortfolioInput) {
-      portfolio(input: $input) {
-        aggregateHoldings {
-          edges {
-            node {
-              id
-              quantity
-              basis
-              totalValue
-              securityPriceChangeDollars
-              securityPriceChangePercent
-              lastSyncedAt
-              holdings {
-                id
-                type
-                typeDisplay
-                name
-                ticker
-                closingPrice
-                isManual
-                closingPriceUpdatedAt
-                __typename
-              }
-              security {
-                id
-                name
-                type
-                ticker
-                typeDisplay
-                currentPrice
-                currentPriceUpdatedAt
-                closingPrice
-                closingPriceUpdatedAt
-                oneDayChangePercent
-                oneDayChangeDollars
-                __typename
-              }
-              __typename
-            }
-            __typename
-          }
-          __typename
-        }
-        __typename
-      }
-    }
-  `
+export async function getAccountHoldings(accountId, options = {}) {
+  const query = getDocument("getAccountHoldings", options.selection)
 
+  const client = resolveClient(this)
   const variables = {
     input: {
-      accountIds: [accountId],
-      endDate: new Date().toISOString().split("T")[0],
+      accountIds: [await client.resolver.resolve("account", accountId, options)],
+      endDate: formatDate(new Date()),
       includeHiddenHoldings: true,
-      startDate: new Date().toISOString().split("T")[0],
+      startDate: formatDate(new Date()),
     },
   }
 
-  return await gqlCall("Web_GetHoldings", query, variables)
+  const response = await client.gqlCall("Web_GetHoldings", query, variables, options)
+  return isRaw(client, options) ? response : response.portfolio.aggregateHoldings.edges.map(({ node }) => new Holding(node))
 }
 
-export async function getAccountHistory(accountId) {
-  const query = gql`
-    query AccountDetails_getAccount($id: UUID!, $filters: TransactionFilterInput) {
-      account(id: $id) {
-        id
-        ...AccountFields
-        ...EditAccountFormFields
-        isLiability
-        credential {
-          id
-          hasSyncInProgress
-          canBeForceRefreshed
-          disconnectedFromDataProviderAt
-          dataProvider
-          institution {
-            id
-            plaidInstitutionId
-            url
-            ...InstitutionStatusFields
-            __typename
-          }
-          __typename
-        }
-        institution {
-          id
-          plaidInstitutionId
-          url
-          ...InstitutionStatusFields
-          __typename
-        }
-        __typename
-      }
-      transactions: allTransactions(filters: $filters) {
-        totalCount
-        results(limit: 20) {
-          id
-          ...TransactionsListFields
-          __typename
-        }
-        __typename
-      }
-      snapshots: snapshotsForAccount(accountId: $id) {
-        date
-        signedBalance
-        __typename
-      }
-    }
-
-    fragment AccountFields on Account {
-      id
-      displayName
-      syncDisabled
-      deactivatedAt
-      isHidden
-      isAsset
-      mask
-      createdAt
-      updatedAt
-      displayLastUpdatedAt
-      currentBalance
-      displayBalance
-      includeInNetWorth
-      hideFromList
-      hideTransactionsFromReports
-      includeBalanceInNetWorth
-      includeInGoalBalance
-      dataProvider
-      dataProviderAccountId
-      isManual
-      transactionsCount
-      holdingsCount
-      manualInvestmentsTrackingMethod
-      order
-      logoUrl
-      type {
-        name
-        display
-        group
-        __typename
-      }
-      subtype {
-        name
-        display
-        __typename
-      }
-      credential {
-        id
-        updateRequired
-        disconnectedFromDataProviderAt
-        dataProvider
-        institution {
-          id
-          plaidInstitutionId
-          name
-          status
-          __typename
-        }
-        __typename
-      }
-      institution {
-        id
-        name
-        primaryColor
-        url
-        __typename
-      }
-      __typename
-    }
-
-    fragment EditAccountFormFields on Account {
-      id
-      displayName
-      deactivatedAt
-      displayBalance
-      includeInNetWorth
-      hideFromList
-      hideTransactionsFromReports
-      dataProvider
-      dataProviderAccountId
-      isManual
-      manualInvestmentsTrackingMethod
-      isAsset
-      invertSyncedBalance
-      canInvertBalance
-      type {
-        name
-        display
-        __typename
-      }
-      subtype {
-        name
-        display
-        __typename
-      }
-      __typename
-    }
-
-    fragment InstitutionStatusFields on Institution {
-      id
-      hasIssuesReported
-      hasIssuesReportedMessage
-      plaidStatus
-      status
-      balanceStatus
-      transactionsStatus
-      __typename
-    }
-
-    fragment TransactionsListFields on Transaction {
-      id
-      ...TransactionOverviewFields
-      __typename
-    }
-
-    fragment TransactionOverviewFields on Transaction {
-      id
-      amount
-      pending
-      date
-      hideFromReports
-      plaidName
-      notes
-      isRecurring
-      reviewStatus
-      needsReview
-      dataProviderDescription
-      attachments {
-        id
-        __typename
-      }
-      isSplitTransaction
-      category {
-        id
-        name
-        group {
-          id
-          type
-          __typename
-        }
-        __typename
-      }
-      merchant {
-        name
-        id
-        transactionsCount
-        __typename
-      }
-      tags {
-        id
-        name
-        color
-        order
-        __typename
-      }
-      __typename
-    }
-  `
+export async function getAccountHistory(accountId, options = {}) {
+  const query = getDocument("getAccountHistory", options.selection)
 
+  const client = resolveClient(this)
+  accountId = await client.resolver.resolve("account", accountId, options)
   const variables = { id: accountId }
 
-  const accountDetails = await gqlCall("AccountDetails_getAccount", query, variables)
+  const accountDetails = await client.gqlCall("AccountDetails_getAccount", query, variables, options)
 
   const accountName = accountDetails.account.displayName
   const accountBalanceHistory = accountDetails.snapshots
@@ -428,318 +74,66 @@ export async function getAccountHistory(accountId) {
   return accountBalanceHistory
 }
 
-export async function getSubscriptionDetails() {
-  const query = gql`
-    query GetSubscriptionDetails {
-      subscription {
-        id
-        paymentSource
-        referralCode
-        isOnFreeTrial
-        hasPremiumEntitlement
-        __typename
-      }
-    }
-  `
-  return await gqlCall("GetSubscriptionDetails", query)
+export async function getSubscriptionDetails(options = {}) {
+  const query = getDocument("getSubscriptionDetails", options.selection)
+  return await resolveClient(this).gqlCall("GetSubscriptionDetails", query, {}, options)
 }
 
-export async function getInstitutions() {
-  const query = gql`
-    query Web_GetInstitutionSettings {
-      credentials {
-        id
-        ...CredentialSettingsCardFields
-        __typename
-      }
-      accounts(filters: { includeDeleted: true }) {
-        id
-        displayName
-        subtype {
-          display
-          __typename
-        }
-        mask
-        credential {
-          id
-          __typename
-        }
-        deletedAt
-        __typename
-      }
-      subscription {
-        isOnFreeTrial
-        hasPremiumEntitlement
-        __typename
-      }
-    }
-
-    fragment CredentialSettingsCardFields on Credential {
-      id
-      updateRequired
-      disconnectedFromDataProviderAt
-      ...InstitutionInfoFields
-      institution {
-        id
-        name
-        url
-        __typename
-      }
-      __typename
-    }
+// Cheap authenticated query for checking a token on startup. Returns the
+// logged-in user, the household preferences id and the subscription status.
+export async function whoami(options = {}) {
+  const query = getDocument("whoami", options.selection)
+  return await resolveClient(this).gqlCall("Common_GetMe", query, {}, options)
+}
 
-    fragment InstitutionInfoFields on Credential {
-      id
-      displayLastUpdatedAt
-      dataProvider
-      updateRequired
-      disconnectedFromDataProviderAt
-      ...InstitutionLogoWithStatusFields
-      institution {
-        id
-        name
-        hasIssuesReported
-        hasIssuesReportedMessage
-        __typename
-      }
-      __typename
-    }
+// Resolves to true when the token is accepted. Throws SessionExpiredException
+// when Monarch rejects it, or LoginFailedException when there is no token.
+export async function validateSession(options = {}) {
+  await resolveClient(this).whoami(options)
+  return true
+}
 
-    fragment InstitutionLogoWithStatusFields on Credential {
-      dataProvider
-      updateRequired
-      institution {
-        hasIssuesReported
-        status
-        balanceStatus
-        transactionsStatus
-        __typename
-      }
-      __typename
-    }
-  `
-  return await gqlCall("Web_GetInstitutionSettings", query)
+export async function getInstitutions(options = {}) {
+  const query = getDocument("getInstitutions", options.selection)
+  return await resolveClient(this).gqlCall("Web_GetInstitutionSettings", query, {}, options)
 }
 
-export async function getAccountSnapshotsByType(startDate, timeframe) {
+export async function getAccountSnapshotsByType(startDate, timeframe, options = {}) {
   if (!["year", "month"].includes(timeframe)) {
     throw new Error(`Unknown timeframe "${timeframe}"`)
   }
 
-  const query = gql`
-    query GetSnapshotsByAccountType($startDate: Date!, $timeframe: Timeframe!) {
-      snapshotsByAccountType(startDate: $startDate, timeframe: $timeframe) {
-        accountType
-        month
-        balance
-        __typename
-      }
-      accountTypes {
-        name
-        group
-        __typename
-      }
-    }
-  `
+  const query = getDocument("getAccountSnapshotsByType", options.selection)
 
-  return await gqlCall("GetSnapshotsByAccountType", query, { startDate, timeframe })
+  return await resolveClient(this).gqlCall("GetSnapshotsByAccountType", query, { startDate, timeframe }, options)
 }
 
-export async function getAggregateSnapshots(startDate = null, endDate = null, accountType = null) {
-  const query = gql`
-    query GetAggregateSnapshots($filters: AggregateSnapshotFilters) {
-      aggregateSnapshots(filters: $filters) {
-        date
-        balance
-        __typename
-      }
-    }
-  `
+export async function getAggregateSnapshots(startDate = null, endDate = null, accountType = null, options = {}) {
+  const query = getDocument("getAggregateSnapshots", options.selection)
 
   if (!startDate) {
     const date = new Date()
     date.setFullYear(date.getFullYear() - 150)
-    startDate = `${date.getFullYear()}-${date.getMonth() + 1}-01`
-  }
-
-  return await gqlCall("GetAggregateSnapshots", query, {
-    filters: {
-      startDate,
-      endDate,
-      accountType,
+    startDate = formatDate(new Date(date.getFullYear(), date.getMonth(), 1))
+  }
+
+  return await resolveClient(this).gqlCall(
+    "GetAggregateSnapshots",
+    query,
+    {
+      filters: {
+        startDate,
+        endDate,
+        accountType,
+      },
     },
-  })
+    options
+  )
 }
 
 // The new function to get budgets
-export const getBudgets = async (startDate = null, endDate = null, useLegacyGoals = false, useV2Goals = true) => {
-  const query = gql`
-    query GetJointPlanningData($startDate: Date!, $endDate: Date!, $useLegacyGoals: Boolean!, $useV2Goals: Boolean!) {
-      budgetData(startMonth: $startDate, endMonth: $endDate) {
-        monthlyAmountsByCategory {
-          category {
-            id
-            name
-            __typename
-          }
-          monthlyAmounts {
-            month
-            plannedCashFlowAmount
-            plannedSetAsideAmount
-            actualAmount
-            remainingAmount
-            previousMonthRolloverAmount
-            rolloverType
-            __typename
-          }
-          __typename
-        }
-        monthlyAmountsByCategoryGroup {
-          categoryGroup {
-            id
-            name
-            __typename
-          }
-          monthlyAmounts {
-            month
-            plannedCashFlowAmount
-            actualAmount
-            remainingAmount
-            previousMonthRolloverAmount
-            rolloverType
-            __typename
-          }
-          __typename
-        }
-        monthlyAmountsForFlexExpense {
-          budgetVariability
-          monthlyAmounts {
-            month
-            plannedCashFlowAmount
-            actualAmount
-            remainingAmount
-            previousMonthRolloverAmount
-            rolloverType
-            __typename
-          }
-          __typename
-        }
-        totalsByMonth {
-          month
-          totalIncome {
-            plannedAmount
-            actualAmount
-            remainingAmount
-            previousMonthRolloverAmount
-            __typename
-          }
-          totalExpenses {
-            plannedAmount
-            actualAmount
-            remainingAmount
-            previousMonthRolloverAmount
-            __typename
-          }
-          totalFixedExpenses {
-            plannedAmount
-            actualAmount
-            remainingAmount
-            previousMonthRolloverAmount
-            __typename
-          }
-          totalNonMonthlyExpenses {
-            plannedAmount
-            actualAmount
-            remainingAmount
-            previousMonthRolloverAmount
-            __typename
-          }
-          totalFlexibleExpenses {
-            plannedAmount
-            actualAmount
-            remainingAmount
-            previousMonthRolloverAmount
-            __typename
-          }
-          __typename
-        }
-        __typename
-      }
-      categoryGroups {
-        id
-        name
-        order
-        groupLevelBudgetingEnabled
-        budgetVariability
-        rolloverPeriod {
-          id
-          startMonth
-          endMonth
-          __typename
-        }
-        categories {
-          id
-          name
-          order
-          budgetVariability
-          rolloverPeriod {
-            id
-            startMonth
-            endMonth
-            __typename
-          }
-          __typename
-        }
-        type
-        __typename
-      }
-      goals @include(if: $useLegacyGoals) {
-        id
-        name
-        completedAt
-        targetDate
-        __typename
-      }
-      goalMonthlyContributions(startDate: $startDate, endDate: $endDate) @include(if: $useLegacyGoals) {
-        month: monthlyContribution
-        startDate
-        goalId
-        __typename
-      }
-      goalPlannedContributions(startDate: $startDate, endDate: $endDate) @include(if: $useLegacyGoals) {
-        id
-        amount
-        startDate
-        goal {
-          id
-          __typename
-        }
-        __typename
-      }
-      goalsV2 @include(if: $useV2Goals) {
-        id
-        name
-        archivedAt
-        completedAt
-        priority
-        imageStorageProvider
-        imageStorageProviderId
-        plannedContributions(startMonth: $startDate, endMonth: $endDate) {
-          id
-          month
-          amount
-          __typename
-        }
-        monthlyContributionSummaries(startMonth: $startDate, endMonth: $endDate) {
-          month
-          sum
-          __typename
-        }
-        __typename
-      }
-      budgetSystem
-    }
-  `
+export async function getBudgets(startDate = null, endDate = null, useLegacyGoals = false, useV2Goals = true, options = {}) {
+  const query = getDocument("getBudgets", options.selection)
 
   const variables = {
     startDate,
@@ -753,196 +147,139 @@ export const getBudgets = async (startDate = null, endDate = null, useLegacyGoal
 
     // Get the first day of last month
     const lastMonthDate = new Date(today.getFullYear(), today.getMonth() - 1, 1)
-    variables.startDate = lastMonthDate.toISOString().split("T")[0]
+    variables.startDate = formatDate(lastMonthDate)
 
     // Get the last day of next month
     const nextMonthDate = new Date(today.getFullYear(), today.getMonth() + 2, 0)
-    variables.endDate = nextMonthDate.toISOString().split("T")[0]
+    variables.endDate = formatDate(nextMonthDate)
   } else if (!startDate || !endDate) {
     throw new Error("You must specify both a startDate and endDate, not just one of them.")
   }
 
-  return await gqlCall("GetJointPlanningData", query, variables)
-}
-
-export async function getTransactions({
-  limit = 100,
-  offset = 0,
-  startDate = null,
-  endDate = null,
-  search = "",
-  categoryIds = [],
-  accountIds = [],
-  tagIds = [],
-  hasAttachments = null,
-  hasNotes = null,
-  hiddenFromReports = null,
-  isSplit = null,
-  isRecurring = null,
-  importedFromMint = null,
-  syncedFromInstitution = null,
-}) {
-  const query = gql`
-    query GetTransactionsList($offset: Int, $limit: Int, $filters: TransactionFilterInput, $orderBy: TransactionOrdering) {
-      allTransactions(filters: $filters) {
-        totalCount
-        results(offset: $offset, limit: $limit, orderBy: $orderBy) {
-          id
-          ...TransactionOverviewFields
-          __typename
-        }
-        __typename
-      }
-      transactionRules {
-        id
-        __typename
-      }
-    }
-
-    fragment TransactionOverviewFields on Transaction {
-      id
-      amount
-      pending
-      date
-      hideFromReports
-      plaidName
-      notes
-      isRecurring
-      reviewStatus
-      needsReview
-      attachments {
-        id
-        extension
-        filename
-        originalAssetUrl
-        publicId
-        sizeBytes
-        __typename
-      }
-      isSplitTransaction
-      createdAt
-      updatedAt
-      category {
-        id
-        name
-        __typename
-      }
-      merchant {
-        name
-        id
-        transactionsCount
-        __typename
-      }
-      account {
-        id
-        displayName
-        __typename
-      }
-      tags {
-        id
-        name
-        color
-        order
-        __typename
-      }
-      __typename
-    }
-  `
+  const client = resolveClient(this)
+  const response = await client.gqlCall("GetJointPlanningData", query, variables, options)
+  return isRaw(client, options) ? response : budgetsFromData(response)
+}
+
+export async function getTransactions(
+  {
+    limit = 100,
+    offset = 0,
+    orderBy = "date",
+    startDate = null,
+    endDate = null,
+    search = "",
+    categoryIds = [],
+    accountIds = [],
+    tagIds = [],
+    hasAttachments = null,
+    hasNotes = null,
+    hiddenFromReports = null,
+    isSplit = null,
+    isRecurring = null,
+    importedFromMint = null,
+    syncedFromInstitution = null,
+  },
+  options = {}
+) {
+  const query = getDocument("getTransactions", options.selection)
 
+  const client = resolveClient(this)
   const variables = {
     offset,
     limit,
-    orderBy: "date",
-    filters: {
+    orderBy,
+    filters: buildTransactionFilters({
+      startDate,
+      endDate,
       search,
-      categories: categoryIds,
-      accounts: accountIds,
-      tags: tagIds,
-    },
+      categoryIds: await client.resolver.resolveAll("category", categoryIds, options),
+      accountIds: await client.resolver.resolveAll("account", accountIds, options),
+      tagIds: await client.resolver.resolveAll("tag", tagIds, options),
+      hasAttachments,
+      hasNotes,
+      hiddenFromReports,
+      isSplit,
+      isRecurring,
+      importedFromMint,
+      syncedFromInstitution,
+    }),
   }
 
-  if (hasAttachments !== null) variables.filters.hasAttachments = hasAttachments
-  if (hasNotes !== null) variables.filters.hasNotes = hasNotes
-  if (hiddenFromReports !== null) variables.filters.hideFromReports = hiddenFromReports
-  if (isRecurring !== null) variables.filters.isRecurring = isRecurring
-  if (isSplit !== null) variables.filters.isSplit = isSplit
-  if (importedFromMint !== null) variables.filters.importedFromMint = importedFromMint
-  if (syncedFromInstitution !== null) variables.filters.syncedFromInstitution = syncedFromInstitution
-  if (startDate && endDate) {
-    variables.filters.startDate = startDate
-    variables.filters.endDate = endDate
-  } else if (startDate || endDate) {
-    throw new Error("You must specify both a startDate and endDate, not just one of them.")
+  const response = await client.gqlCall("GetTransactionsList", query, variables, options)
+  if (isRaw(client, options)) {
+    return response
   }
-
-  return await gqlCall("GetTransactionsList", query, variables)
+  const { totalCount, results } = response.allTransactions
+  return { totalCount, results: results.map((transaction) => new Transaction(transaction)) }
 }
 
-export async function getTransactionsSummary() {
-  const query = gql`
-    query GetTransactionsPage($filters: TransactionFilterInput) {
-      aggregates(filters: $filters) {
-        summary {
-          ...TransactionsSummaryFields
-          __typename
-        }
-        __typename
-      }
-    }
+// Cursors are opaque to callers; today they carry the offset of the next page.
+const encodeCursor = (offset) => Buffer.from(JSON.stringify({ offset })).toString("base64url")
 
-    fragment TransactionsSummaryFields on TransactionsSummary {
-      avg
-      count
-      max
-      maxExpense
-      sum
-      sumIncome
-      sumExpense
-      first
-      last
-      __typename
+const decodeCursor = (cursor) => {
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf-8"))
+    if (Number.isInteger(offset) && offset >= 0) {
+      return offset
     }
-  `
-  return await gqlCall("GetTransactionsPage", query)
+  } catch (error) {
+    // fall through to the error below
+  }
+  throw new Error(`Invalid transactions cursor "${cursor}"`)
 }
 
-export async function getRecurringTransactions(startDate = null, endDate = null) {
-  const query = gql`
-    query Web_GetUpcomingRecurringTransactionItems($startDate: Date!, $endDate: Date!, $filters: RecurringTransactionFilter) {
-      recurringTransactionItems(startDate: $startDate, endDate: $endDate, filters: $filters) {
-        stream {
-          id
-          frequency
-          amount
-          isApproximate
-          merchant {
-            id
-            name
-            logoUrl
-            __typename
-          }
-          __typename
-        }
-        date
-        isPast
-        transactionId
-        amount
-        amountDiff
-        category {
-          id
-          name
-          __typename
-        }
-        account {
-          id
-          displayName
-          logoUrl
-          __typename
-        }
-        __typename
-      }
+// Pages through getTransactions() one request at a time. Each page is
+// { results, totalCount, cursor }, where `cursor` resumes after that page and
+// is null on the last one. The next page is only fetched when the consumer
+// asks for it.
+export async function* iterateTransactionPages(filters = {}, { pageSize = DEFAULT_RECORD_LIMIT, cursor = null, ...options } = {}) {
+  // A page size of 0 would never advance the offset
+  if (!Number.isInteger(pageSize) || pageSize < 1) {
+    throw new Error(`pageSize must be a positive integer, got ${pageSize}`)
+  }
+  const client = resolveClient(this)
+  let offset = cursor ? decodeCursor(cursor) : 0
+
+  for (;;) {
+    const response = await client.getTransactions({ ...filters, limit: pageSize, offset }, { ...options, raw: true })
+    const { results, totalCount } = response.allTransactions
+    offset += results.length
+    const done = results.length < pageSize || offset >= totalCount
+    yield {
+      results: isRaw(client, options) ? results : results.map((transaction) => new Transaction(transaction)),
+      totalCount,
+      cursor: done ? null : encodeCursor(offset),
+    }
+    if (done) {
+      return
     }
-  `
+  }
+}
+
+// Yields every transaction matching `filters` (the getTransactions filters
+// without limit/offset), fetching `pageSize` at a time.
+export async function* iterateTransactions(filters = {}, options = {}) {
+  for await (const page of resolveClient(this).iterateTransactionPages(filters, options)) {
+    yield* page.results
+  }
+}
+
+export async function getAllTransactions(filters = {}, options = {}) {
+  const transactions = []
+  for await (const transaction of resolveClient(this).iterateTransactions(filters, options)) {
+    transactions.push(transaction)
+  }
+  return transactions
+}
+
+export async function getTransactionsSummary(options = {}) {
+  const query = getDocument("getTransactionsSummary", options.selection)
+  return await resolveClient(this).gqlCall("GetTransactionsPage", query, {}, options)
+}
+
+export async function getRecurringTransactions(startDate = null, endDate = null, options = {}) {
+  const query = getDocument("getRecurringTransactions", options.selection)
 
   const variables = { startDate, endDate }
 
@@ -952,326 +289,59 @@ export async function getRecurringTransactions(startDate = null, endDate = null)
     const now = new Date()
     const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1)
     const endOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0)
-    variables.startDate = startOfMonth.toISOString().split("T")[0]
-    variables.endDate = endOfMonth.toISOString().split("T")[0]
+    variables.startDate = formatDate(startOfMonth)
+    variables.endDate = formatDate(endOfMonth)
   }
 
-  return await gqlCall("Web_GetUpcomingRecurringTransactionItems", query, variables)
+  return await resolveClient(this).gqlCall("Web_GetUpcomingRecurringTransactionItems", query, variables, options)
 }
 
 // The new function to get transaction categories
-export const getTransactionCategories = async () => {
-  const query = gql`
-    query GetCategories {
-      categories {
-        ...CategoryFields
-        __typename
-      }
-    }
-
-    fragment CategoryFields on Category {
-      id
-      order
-      name
-      systemCategory
-      isSystemCategory
-      isDisabled
-      updatedAt
-      createdAt
-      group {
-        id
-        name
-        type
-        __typename
-      }
-      __typename
-    }
-  `
-  return await gqlCall("GetCategories", query)
+export async function getTransactionCategories(options = {}) {
+  const query = getDocument("getTransactionCategories", options.selection)
+  const client = resolveClient(this)
+  const response = await client.gqlCall("GetCategories", query, {}, options)
+  return isRaw(client, options) ? response : response.categories.map((category) => new Category(category))
 }
 
-export async function getTransactionCategoryGroups() {
-  const query = gql`
-    query ManageGetCategoryGroups {
-      categoryGroups {
-        id
-        name
-        order
-        type
-        updatedAt
-        createdAt
-        __typename
-      }
-    }
-  `
-  return await gqlCall("ManageGetCategoryGroups", query)
+export async function getTransactionCategoryGroups(options = {}) {
+  const query = getDocument("getTransactionCategoryGroups", options.selection)
+  return await resolveClient(this).gqlCall("ManageGetCategoryGroups", query, {}, options)
 }
 
-export async function getTransactionTags() {
-  const query = gql`
-    query GetHouseholdTransactionTags($search: String, $limit: Int, $bulkParams: BulkTransactionDataParams) {
-      householdTransactionTags(search: $search, limit: $limit, bulkParams: $bulkParams) {
-        id
-        name
-        color
-        order
-        transactionCount
-        __typename
-      }
-    }
-  `
-  return await gqlCall("GetHouseholdTransactionTags", query)
+export async function getTransactionTags(options = {}) {
+  const query = getDocument("getTransactionTags", options.selection)
+  return await resolveClient(this).gqlCall("GetHouseholdTransactionTags", query, {}, options)
 }
 
-export async function getTransactionDetails(transactionId, redirectPosted = true) {
-  const query = gql`
-    query GetTransactionDrawer($id: UUID!, $redirectPosted: Boolean) {
-      getTransaction(id: $id, redirectPosted: $redirectPosted) {
-        id
-        amount
-        pending
-        isRecurring
-        date
-        originalDate
-        hideFromReports
-        needsReview
-        reviewedAt
-        reviewedByUser {
-          id
-          name
-          __typename
-        }
-        plaidName
-        notes
-        hasSplitTransactions
-        isSplitTransaction
-        isManual
-        splitTransactions {
-          id
-          ...TransactionDrawerSplitMessageFields
-          __typename
-        }
-        originalTransaction {
-          id
-          ...OriginalTransactionFields
-          __typename
-        }
-        attachments {
-          id
-          publicId
-          extension
-          sizeBytes
-          filename
-          originalAssetUrl
-          __typename
-        }
-        account {
-          id
-          ...TransactionDrawerAccountSectionFields
-          __typename
-        }
-        category {
-          id
-          __typename
-        }
-        goal {
-          id
-          __typename
-        }
-        merchant {
-          id
-          name
-          transactionCount
-          logoUrl
-          recurringTransactionStream {
-            id
-            __typename
-          }
-          __typename
-        }
-        tags {
-          id
-          name
-          color
-          order
-          __typename
-        }
-        needsReviewByUser {
-          id
-          __typename
-        }
-        __typename
-      }
-      myHousehold {
-        users {
-          id
-          name
-          __typename
-        }
-        __typename
-      }
-    }
-
-    fragment TransactionDrawerSplitMessageFields on Transaction {
-      id
-      amount
-      merchant {
-        id
-        name
-        __typename
-      }
-      category {
-        id
-        name
-        __typename
-      }
-      __typename
-    }
-
-    fragment OriginalTransactionFields on Transaction {
-      id
-      date
-      amount
-      merchant {
-        id
-        name
-        __typename
-      }
-      __typename
-    }
+export async function getMerchants({ search = "", limit = null } = {}, options = {}) {
+  const query = getDocument("getMerchants", options.selection)
+  return await resolveClient(this).gqlCall("GetMerchants", query, { search, limit }, options)
+}
 
-    fragment TransactionDrawerAccountSectionFields on Account {
-      id
-      displayName
-      logoUrl
-      id
-      mask
-      subtype {
-        display
-        __typename
-      }
-      __typename
-    }
-  `
+export async function getTransactionDetails(transactionId, redirectPosted = true, options = {}) {
+  const query = getDocument("getTransactionDetails", options.selection)
 
   const variables = {
     id: transactionId,
     redirectPosted,
   }
 
-  return await gqlCall("GetTransactionDrawer", variables, query)
+  const client = resolveClient(this)
+  const response = await client.gqlCall("GetTransactionDrawer", query, variables, options)
+  return isRaw(client, options) ? response : new Transaction(response.getTransaction)
 }
 
-export async function getTransactionSplits(transactionId) {
-  const query = gql`
-    query TransactionSplitQuery($id: UUID!) {
-      getTransaction(id: $id) {
-        id
-        amount
-        category {
-          id
-          name
-          __typename
-        }
-        merchant {
-          id
-          name
-          __typename
-        }
-        splitTransactions {
-          id
-          merchant {
-            id
-            name
-            __typename
-          }
-          category {
-            id
-            name
-            __typename
-          }
-          amount
-          notes
-          __typename
-        }
-        __typename
-      }
-    }
-  `
+export async function getTransactionSplits(transactionId, options = {}) {
+  const query = getDocument("getTransactionSplits", options.selection)
 
   const variables = { id: transactionId }
 
-  return await gqlCall("TransactionSplitQuery", query, variables)
+  return await resolveClient(this).gqlCall("TransactionSplitQuery", query, variables, options)
 }
 
-export async function getCashflow({ limit = 100, startDate = null, endDate = null }) {
-  const query = gql`
-    query Web_GetCashFlowPage($filters: TransactionFilterInput) {
-      byCategory: aggregates(filters: $filters, groupBy: ["category"]) {
-        groupBy {
-          category {
-            id
-            name
-            group {
-              id
-              type
-              __typename
-            }
-            __typename
-          }
-          __typename
-        }
-        summary {
-          sum
-          __typename
-        }
-        __typename
-      }
-      byCategoryGroup: aggregates(filters: $filters, groupBy: ["categoryGroup"]) {
-        groupBy {
-          categoryGroup {
-            id
-            name
-            type
-            __typename
-          }
-          __typename
-        }
-        summary {
-          sum
-          __typename
-        }
-        __typename
-      }
-      byMerchant: aggregates(filters: $filters, groupBy: ["merchant"]) {
-        groupBy {
-          merchant {
-            id
-            name
-            logoUrl
-            __typename
-          }
-          __typename
-        }
-        summary {
-          sumIncome
-          sumExpense
-          __typename
-        }
-        __typename
-      }
-      summary: aggregates(filters: $filters, fillEmptyValues: true) {
-        summary {
-          sumIncome
-          sumExpense
-          savings
-          savingsRate
-          __typename
-        }
-        __typename
-      }
-    }
-  `
+export async function getCashflow({ limit = 100, startDate = null, endDate = null }, options = {}) {
+  const query = getDocument("getCashflow", options.selection)
 
   const variables = {
     limit,
@@ -1293,28 +363,15 @@ export async function getCashflow({ limit = 100, startDate = null, endDate = nul
     const now = new Date()
     const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1)
     const endOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0)
-    variables.filters.startDate = startOfMonth.toISOString().split("T")[0]
-    variables.filters.endDate = endOfMonth.toISOString().split("T")[0]
+    variables.filters.startDate = formatDate(startOfMonth)
+    variables.filters.endDate = formatDate(endOfMonth)
   }
 
-  return await gqlCall("Web_GetCashFlowPage", query, variables)
+  return await resolveClient(this).gqlCall("Web_GetCashFlowPage", query, variables, options)
 }
 
-export async function getCashflowSummary({ limit = 100, startDate = null, endDate = null }) {
-  const query = gql`
-    query Web_GetCashFlowPage($filters: TransactionFilterInput) {
-      summary: aggregates(filters: $filters, fillEmptyValues: true) {
-        summary {
-          sumIncome
-          sumExpense
-          savings
-          savingsRate
-          __typename
-        }
-        __typename
-      }
-    }
-  `
+export async function getCashflowSummary({ limit = 100, startDate = null, endDate = null }, options = {}) {
+  const query = getDocument("getCashflowSummary", options.selection)
 
   const variables = {
     limit,
@@ -1336,115 +393,51 @@ export async function getCashflowSummary({ limit = 100, startDate = null, endDat
     const now = new Date()
     const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1)
     const endOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0)
-    variables.filters.startDate = startOfMonth.toISOString().split("T")[0]
-    variables.filters.endDate = endOfMonth.toISOString().split("T")[0]
+    variables.filters.startDate = formatDate(startOfMonth)
+    variables.filters.endDate = formatDate(endOfMonth)
   }
 
-  return await gqlCall("Web_GetCashFlowPage", query, variables)
+  return await resolveClient(this).gqlCall("Web_GetCashFlowPage", query, variables, options)
 }
 
 ///////////////////////////////////
 // Mutation functions start here //
 //////////////////////////////////
-export async function deleteTransactionCategory(categoryId) {
-  const query = gql`
-    mutation Web_DeleteCategory($id: UUID!, $moveToCategoryId: UUID) {
-      deleteCategory(id: $id, moveToCategoryId: $moveToCategoryId) {
-        errors {
-          ...PayloadErrorFields
-          __typename
-        }
-        deleted
-        __typename
-      }
-    }
-
-    fragment PayloadErrorFields on PayloadError {
-      fieldErrors {
-        field
-        messages
-        __typename
-      }
-      message
-      code
-      __typename
-    }
-  `
+export async function deleteTransactionCategory(categoryId, options = {}) {
+  const query = getDocument("deleteTransactionCategory", options.selection)
 
+  const client = resolveClient(this)
   const variables = {
-    id: categoryId,
+    id: await client.resolver.resolve("category", categoryId, options),
   }
 
-  const response = await gqlCall("Web_DeleteCategory", query, variables)
+  const response = await client.gqlCall("Web_DeleteCategory", query, variables, options)
 
   if (!response.deleteCategory.deleted) {
-    throw new RequestFailedException(response.deleteCategory.errors)
+    throw new RequestFailedException(`Unable to delete category ${categoryId}`, { operation: "Web_DeleteCategory" })
   }
 
+  client.resolver.refresh("category")
   return true
 }
 
-export async function deleteTransactionCategories(categoryIds) {
-  return await Promise.all(categoryIds.map((id) => this.deleteTransactionCategory(id).catch((e) => e)))
+export async function deleteTransactionCategories(categoryIds, options = {}) {
+  const client = resolveClient(this)
+  return await Promise.all(categoryIds.map((id) => client.deleteTransactionCategory(id, options).catch((e) => e)))
 }
 
-export async function createTransactionCategory({
-  groupId,
-  transactionCategoryName,
-  rolloverStartMonth = new Date(),
-  icon = "\u2753",
-  rolloverEnabled = false,
-  rolloverType = "monthly",
-}) {
-  const query = gql`
-    mutation Web_CreateCategory($input: CreateCategoryInput!) {
-      createCategory(input: $input) {
-        errors {
-          ...PayloadErrorFields
-          __typename
-        }
-        category {
-          id
-          ...CategoryFormFields
-          __typename
-        }
-        __typename
-      }
-    }
-    fragment PayloadErrorFields on PayloadError {
-      fieldErrors {
-        field
-        messages
-        __typename
-      }
-      message
-      code
-      __typename
-    }
-    fragment CategoryFormFields on Category {
-      id
-      order
-      name
-      systemCategory
-      systemCategoryDisplayName
-      budgetVariability
-      isSystemCategory
-      isDisabled
-      group {
-        id
-        type
-        groupLevelBudgetingEnabled
-        __typename
-      }
-      rolloverPeriod {
-        id
-        startMonth
-        startingBalance
-        __typename
-      }
-      __typename
-    }
-  `
+export async function createTransactionCategory(
+  {
+    groupId,
+    transactionCategoryName,
+    rolloverStartMonth = new Date(),
+    icon = "\u2753",
+    rolloverEnabled = false,
+    rolloverType = "monthly",
+  },
+  options = {}
+) {
+  const query = getDocument("createTransactionCategory", options.selection)
   const variables = {
     input: {
       group: groupId,
@@ -1452,121 +445,39 @@ export async function createTransactionCategory({
       icon,
       rolloverEnabled,
       rolloverType,
-      rolloverStartMonth: rolloverStartMonth.toISOString().split("T")[0],
+      rolloverStartMonth: formatDate(rolloverStartMonth),
     },
   }
 
-  return await gqlCall("Web_CreateCategory", query, variables)
+  const client = resolveClient(this)
+  const response = await client.gqlCall("Web_CreateCategory", query, variables, options)
+  client.resolver.refresh("category")
+  return response
 }
 
-export async function createTransactionTag(name, color) {
-  const mutation = gql`
-    mutation Common_CreateTransactionTag($input: CreateTransactionTagInput!) {
-      createTransactionTag(input: $input) {
-        tag {
-          id
-          name
-          color
-          order
-          transactionCount
-          __typename
-        }
-        errors {
-          message
-          __typename
-        }
-        __typename
-      }
-    }
-  `
+export async function createTransactionTag(name, color, options = {}) {
+  const mutation = getDocument("createTransactionTag", options.selection)
   const variables = { input: { name, color } }
 
-  return await gqlCall("Common_CreateTransactionTag", mutation, variables)
+  const client = resolveClient(this)
+  const response = await client.gqlCall("Common_CreateTransactionTag", mutation, variables, options)
+  client.resolver.refresh("tag")
+  return response
 }
 
-export async function setTransactionTags(transactionId, tagIds) {
-  const query = gql`
-    mutation Web_SetTransactionTags($input: SetTransactionTagsInput!) {
-      setTransactionTags(input: $input) {
-        errors {
-          ...PayloadErrorFields
-          __typename
-        }
-        transaction {
-          id
-          tags {
-            id
-            __typename
-          }
-          __typename
-        }
-        __typename
-      }
-    }
-
-    fragment PayloadErrorFields on PayloadError {
-      fieldErrors {
-        field
-        messages
-        __typename
-      }
-      message
-      code
-      __typename
-    }
-  `
+export async function setTransactionTags(transactionId, tagIds, options = {}) {
+  const query = getDocument("setTransactionTags", options.selection)
 
+  const client = resolveClient(this)
   const variables = {
-    input: { transactionId, tagIds },
+    input: { transactionId, tagIds: await client.resolver.resolveAll("tag", tagIds, options) },
   }
 
-  return await gqlCall("Web_SetTransactionTags", query, variables)
+  return await client.gqlCall("Web_SetTransactionTags", query, variables, options)
 }
 
-export async function updateTransactionSplits(transactionId, splitData) {
-  const query = gql`
-    mutation Common_SplitTransactionMutation($input: UpdateTransactionSplitMutationInput!) {
-      updateTransactionSplit(input: $input) {
-        errors {
-          ...PayloadErrorFields
-          __typename
-        }
-        transaction {
-          id
-          hasSplitTransactions
-          splitTransactions {
-            id
-            merchant {
-              id
-              name
-              __typename
-            }
-            category {
-              id
-              name
-              __typename
-            }
-            amount
-            notes
-            __typename
-          }
-          __typename
-        }
-        __typename
-      }
-    }
-
-    fragment PayloadErrorFields on PayloadError {
-      fieldErrors {
-        field
-        messages
-        __typename
-      }
-      message
-      code
-      __typename
-    }
-  `
+export async function updateTransactionSplits(transactionId, splitData, options = {}) {
+  const query = getDocument("updateTransactionSplits", options.selection)
 
   const variables = {
     input: {
@@ -1575,81 +486,33 @@ export async function updateTransactionSplits(transactionId, splitData) {
     },
   }
 
-  return await gqlCall("Common_SplitTransactionMutation", query, variables)
+  return await resolveClient(this).gqlCall("Common_SplitTransactionMutation", query, variables, options)
 }
 
-export async function updateTransaction({
-  transactionId,
-  categoryId = null,
-  merchantName = null,
-  goalId = null,
-  amount = null,
-  date = null,
-  hideFromReports = null,
-  needsReview = null,
-  notes = null,
-}) {
-  const query = gql`
-    mutation Web_TransactionDrawerUpdateTransaction($input: UpdateTransactionMutationInput!) {
-      updateTransaction(input: $input) {
-        transaction {
-          id
-          amount
-          pending
-          date
-          hideFromReports
-          needsReview
-          reviewedAt
-          reviewedByUser {
-            id
-            name
-            __typename
-          }
-          plaidName
-          notes
-          isRecurring
-          category {
-            id
-            __typename
-          }
-          goal {
-            id
-            __typename
-          }
-          merchant {
-            id
-            name
-            __typename
-          }
-          __typename
-        }
-        errors {
-          ...PayloadErrorFields
-          __typename
-        }
-        __typename
-      }
-    }
-
-    fragment PayloadErrorFields on PayloadError {
-      fieldErrors {
-        field
-        messages
-        __typename
-      }
-      message
-      code
-      __typename
-    }
-  `
+export async function updateTransaction(
+  {
+    transactionId,
+    categoryId = null,
+    merchantName = null,
+    goalId = null,
+    amount = null,
+    date = null,
+    hideFromReports = null,
+    needsReview = null,
+    notes = null,
+  },
+  options = {}
+) {
+  const query = getDocument("updateTransaction", options.selection)
 
+  const client = resolveClient(this)
   const variables = {
     input: {
       id: transactionId,
     },
   }
 
-  if (categoryId) variables.input.category = categoryId
+  if (categoryId) variables.input.category = await client.resolver.resolve("category", categoryId, options)
   if (merchantName) variables.input.name = merchantName
   if (amount !== null) variables.input.amount = amount
   if (date) variables.input.date = date
@@ -1658,72 +521,43 @@ export async function updateTransaction({
   if (goalId !== null) variables.input.goalId = goalId
   if (notes !== null) variables.input.notes = notes
 
-  return await gqlCall("Web_TransactionDrawerUpdateTransaction", query, variables)
+  return await client.gqlCall("Web_TransactionDrawerUpdateTransaction", query, variables, options)
 }
 
-export async function setBudgetAmount({
-  amount,
-  categoryId = null,
-  categoryGroupId = null,
-  timeframe = "month",
-  startDate = null,
-  applyToFuture = false,
-}) {
+export async function setBudgetAmount(
+  {
+    amount,
+    categoryId = null,
+    categoryGroupId = null,
+    timeframe = "month",
+    startDate = null,
+    applyToFuture = false,
+  },
+  options = {}
+) {
   if ((categoryId === null) === (categoryGroupId === null)) {
     throw new Error("You must specify either a categoryId OR categoryGroupId; not both")
   }
 
-  const query = gql`
-    mutation Common_UpdateBudgetItem($input: UpdateOrCreateBudgetItemMutationInput!) {
-      updateOrCreateBudgetItem(input: $input) {
-        budgetItem {
-          id
-          budgetAmount
-          __typename
-        }
-        __typename
-      }
-    }
-  `
+  const query = getDocument("setBudgetAmount", options.selection)
 
+  const client = resolveClient(this)
   const variables = {
     input: {
       amount,
       timeframe,
-      categoryId,
+      categoryId: await client.resolver.resolve("category", categoryId, options),
       categoryGroupId,
       applyToFuture,
-      startDate: startDate || new Date(new Date().getFullYear(), new Date().getMonth(), 1).toISOString().split("T")[0],
+      startDate: startDate || formatDate(new Date(new Date().getFullYear(), new Date().getMonth(), 1)),
     },
   }
 
-  return await gqlCall("Common_UpdateBudgetItem", query, variables)
+  return await client.gqlCall("Common_UpdateBudgetItem", query, variables, options)
 }
 
-export async function deleteTransaction(transactionId) {
-  const query = gql`
-    mutation Common_DeleteTransactionMutation($input: DeleteTransactionMutationInput!) {
-      deleteTransaction(input: $input) {
-        deleted
-        errors {
-          ...PayloadErrorFields
-          __typename
-        }
-        __typename
-      }
-    }
-
-    fragment PayloadErrorFields on PayloadError {
-      fieldErrors {
-        field
-        messages
-        __typename
-      }
-      message
-      code
-      __typename
-    }
-  `
+export async function deleteTransaction(transactionId, options = {}) {
+  const query = getDocument("deleteTransaction", options.selection)
 
   const variables = {
     input: {
@@ -1731,104 +565,114 @@ export async function deleteTransaction(transactionId) {
     },
   }
 
-  const response = await gqlCall("Common_DeleteTransactionMutation", query, variables)
+  const response = await resolveClient(this).gqlCall("Common_DeleteTransactionMutation", query, variables, options)
 
   if (!response.deleteTransaction.deleted) {
-    throw new RequestFailedException(response.deleteTransaction.errors)
+    throw new RequestFailedException(`Unable to delete transaction ${transactionId}`, { operation: "Common_DeleteTransactionMutation" })
   }
 
   return true
 }
 
-export async function createTransaction({ date, accountId, amount, merchantName, categoryId, notes = "", updateBalance = false }) {
-  const query = gql`
-    mutation Common_CreateTransactionMutation($input: CreateTransactionMutationInput!) {
-      createTransaction(input: $input) {
-        errors {
-          ...PayloadErrorFields
-          __typename
-        }
-        transaction {
-          id
-        }
-        __typename
-      }
-    }
-
-    fragment PayloadErrorFields on PayloadError {
-      fieldErrors {
-        field
-        messages
-        __typename
-      }
-      message
-      code
-      __typename
-    }
-  `
+export async function createTransaction(
+  { date, accountId, amount, merchantName, categoryId, notes = "", updateBalance = false },
+  options = {}
+) {
+  const query = getDocument("createTransaction", options.selection)
 
+  const client = resolveClient(this)
   const variables = {
     input: {
       date,
-      accountId,
+      accountId: await client.resolver.resolve("account", accountId, options),
       amount: Math.round(amount * 100) / 100,
       merchantName,
-      categoryId,
+      categoryId: await client.resolver.resolve("category", categoryId, options),
       notes,
       shouldUpdateBalance: updateBalance,
     },
   }
 
-  return await gqlCall("Common_CreateTransactionMutation", query, variables)
+  return await client.gqlCall("Common_CreateTransactionMutation", query, variables, options)
 }
 
-export async function uploadAccountBalanceHistory(accountId, csvContent) {
-  if (!accountId || !csvContent) {
-    throw new RequestFailedException("accountId and csvContent cannot be empty")
+export async function uploadAccountBalanceHistory(accountId, history, options = {}) {
+  if (!accountId || !history || !history.length) {
+    throw new RequestFailedException("accountId and history cannot be empty")
   }
+  return await resolveClient(this).uploadAccountBalanceHistories({ [accountId]: history }, options)
+}
 
-  const form = new FormData()
-  form.append("files", csvContent, { filename: "upload.csv", contentType: "text/csv" })
-  form.append("account_files_mapping", JSON.stringify({ "upload.csv": accountId }))
+// Uploads balance histories for several accounts in one request. `histories`
+// maps account ids or names to CSV text or { date, balance } records, such as
+// a getAccountHistory() result (see buildBalanceHistoryCsv()). Balances already recorded for those days are
+// replaced.
+export async function uploadAccountBalanceHistories(histories, options = {}) {
+  const entries = histories instanceof Map ? [...histories] : Object.entries(histories || {})
+  if (!entries.length) {
+    throw new RequestFailedException("histories must map at least one account to its balance history")
+  }
 
-  const response = await axios.post(MonarchMoneyEndpoints.getAccountBalanceHistoryUploadEndpoint(), form, {
-    headers: {
-      ...this._headers,
-      ...form.getHeaders(),
+  const client = resolveClient(this)
+  await client.restoreSession()
+  const files = []
+  for (const [account, history] of entries) {
+    const accountId = await client.resolver.resolve("account", account, options)
+    if (!Array.isArray(history) && !String(history || "").trim()) {
+      throw new RequestFailedException(`The balance history for ${account} is empty`)
+    }
+    files.push({
+      filename: `balances-${accountId}.csv`,
+      accountId,
+      csv: Array.isArray(history) ? buildBalanceHistoryCsv(history) : history,
+    })
+  }
+
+  // Uploading the same balances again leaves the same history, so this is
+  // safe to retry. The form is rebuilt per attempt because it is a stream.
+  const response = await fetchWithRetry(
+    client.retryPolicy,
+    MonarchMoneyEndpoints.getAccountBalanceHistoryUploadEndpoint(client.baseUrl),
+    () => {
+      const form = new FormData()
+      for (const { filename, csv } of files) {
+        form.append("files", csv, { filename, contentType: "text/csv" })
+      }
+      form.append(
+        "account_files_mapping",
+        JSON.stringify(Object.fromEntries(files.map(({ filename, accountId }) => [filename, accountId])))
+      )
+      return {
+        method: "POST",
+        headers: {
+          ...client.getHeaders(),
+          ...form.getHeaders(),
+        },
+        body: form,
+      }
     },
-  })
+    {
+      operation: "uploadAccountBalanceHistory",
+      signal: options.signal,
+      timeoutMs: client.timeoutFor(options),
+      fetch: client.fetch,
+    }
+  )
 
+  if (response.status === 401) {
+    throw new SessionExpiredException("Session token was rejected during uploadAccountBalanceHistory; log in again.")
+  }
   if (response.status !== 200) {
-    throw new RequestFailedException(`HTTP Code ${response.status}: ${response.statusText}`)
+    throw new RequestFailedException(`HTTP Code ${response.status}: ${response.statusText}`, {
+      operation: "uploadAccountBalanceHistory",
+      status: response.status,
+    })
   }
+  return true
 }
 
-export async function createManualAccount(accountType, accountSubType, isInNetWorth, accountName, accountBalance = 0) {
-  const query = gql`
-    mutation Web_CreateManualAccount($input: CreateManualAccountMutationInput!) {
-      createManualAccount(input: $input) {
-        account {
-          id
-          __typename
-        }
-        errors {
-          ...PayloadErrorFields
-          __typename
-        }
-        __typename
-      }
-    }
-    fragment PayloadErrorFields on PayloadError {
-      fieldErrors {
-        field
-        messages
-        __typename
-      }
-      message
-      code
-      __typename
-    }
-  `
+export async function createManualAccount(accountType, accountSubType, isInNetWorth, accountName, accountBalance = 0, options = {}) {
+  const query = getDocument("createManualAccount", options.selection)
 
   const variables = {
     input: {
@@ -1840,7 +684,10 @@ export async function createManualAccount(accountType, accountSubType, isInNetWo
     },
   }
 
-  return await gqlCall("Web_CreateManualAccount", query, variables)
+  const client = resolveClient(this)
+  const response = await client.gqlCall("Web_CreateManualAccount", query, variables, options)
+  client.resolver.refresh("account")
+  return response
 }
 
 export async function updateAccount(
@@ -1851,100 +698,14 @@ export async function updateAccount(
   accountSubType = null,
   includeInNetWorth = null,
   hideFromSummaryList = null,
-  hideTransactionsFromReports = null
+  hideTransactionsFromReports = null,
+  options = {}
 ) {
-  const query = gql`
-    mutation Common_UpdateAccount($input: UpdateAccountMutationInput!) {
-      updateAccount(input: $input) {
-        account {
-          ...AccountFields
-          __typename
-        }
-        errors {
-          ...PayloadErrorFields
-          __typename
-        }
-        __typename
-      }
-    }
-
-    fragment AccountFields on Account {
-      id
-      displayName
-      syncDisabled
-      deactivatedAt
-      isHidden
-      isAsset
-      mask
-      createdAt
-      updatedAt
-      displayLastUpdatedAt
-      currentBalance
-      displayBalance
-      includeInNetWorth
-      hideFromList
-      hideTransactionsFromReports
-      includeBalanceInNetWorth
-      includeInGoalBalance
-      dataProvider
-      dataProviderAccountId
-      isManual
-      transactionsCount
-      holdingsCount
-      manualInvestmentsTrackingMethod
-      order
-      icon
-      logoUrl
-      deactivatedAt
-      type {
-        name
-        display
-        group
-        __typename
-      }
-      subtype {
-        name
-        display
-        __typename
-      }
-      credential {
-        id
-        updateRequired
-        disconnectedFromDataProviderAt
-        dataProvider
-        institution {
-          id
-          plaidInstitutionId
-          name
-          status
-          __typename
-        }
-        __typename
-      }
-      institution {
-        id
-        name
-        primaryColor
-        url
-        __typename
-      }
-      __typename
-    }
-
-    fragment PayloadErrorFields on PayloadError {
-      fieldErrors {
-        field
-        messages
-        __typename
-      }
-      message
-      code
-      __typename
-    }
-  `
+  const query = getDocument("updateAccount", options.selection)
 
+  const client = resolveClient(this)
   const variables = {
-    id: accountId,
+    id: await client.resolver.resolve("account", accountId, options),
   }
 
   if (accountType) variables.type = accountType
@@ -1955,151 +716,223 @@ export async function updateAccount(
   if (accountName) variables.name = accountName
   if (accountBalance !== null) variables.displayBalance = accountBalance
 
-  return await gqlCall("Common_UpdateAccount", query, { input: variables })
+  const response = await client.gqlCall("Common_UpdateAccount", query, { input: variables }, options)
+  client.resolver.refresh("account")
+  return response
 }
 
-export async function deleteAccount(accountId) {
-  const query = gql`
-    mutation Common_DeleteAccount($id: UUID!) {
-      deleteAccount(id: $id) {
-        deleted
-        errors {
-          ...PayloadErrorFields
-          __typename
-        }
-        __typename
-      }
-    }
-    fragment PayloadErrorFields on PayloadError {
-      fieldErrors {
-        field
-        messages
-        __typename
-      }
-      message
-      code
-      __typename
-    }
-  `
+export async function deleteAccount(accountId, options = {}) {
+  const query = getDocument("deleteAccount", options.selection)
 
-  const variables = { id: accountId }
+  const client = resolveClient(this)
+  const variables = { id: await client.resolver.resolve("account", accountId, options) }
 
-  return await gqlCall("Common_DeleteAccount", query, variables)
+  const response = await client.gqlCall("Common_DeleteAccount", query, variables, options)
+  client.resolver.refresh("account")
+  return response
 }
 
-export async function requestAccountsRefresh(accountIds) {
-  const query = gql`
-    mutation Common_ForceRefreshAccountsMutation($input: ForceRefreshAccountsInput!) {
-      forceRefreshAccounts(input: $input) {
-        success
-        errors {
-          ...PayloadErrorFields
-          __typename
-        }
-        __typename
-      }
-    }
+const OVERLAP_MODES = ["new", "old"]
+const OLD_ACCOUNT_ACTIONS = { keep: "kept", hide: "hidden", delete: "deleted" }
 
-    fragment PayloadErrorFields on PayloadError {
-      fieldErrors {
-        field
-        messages
-        __typename
-      }
-      message
-      code
-      __typename
-    }
-  `
+// Copies an account's balance history onto another, e.g. when reconnecting an
+// institution replaced an account and the new one starts from today. Days
+// both accounts have keep the new account's balance unless `overlap` is
+// "old". Afterwards `oldAccount` is "keep" (default), "hide" (hidden from the
+// account list and net worth) or "delete". Resolves to
+// { fromAccountId, toAccountId, history, uploaded, oldAccount }, where
+// `history` is the merged history and `uploaded` the number of days sent.
+export async function migrateAccountHistory(fromAccountId, toAccountId, { overlap = "new", oldAccount = "keep", ...options } = {}) {
+  if (!OVERLAP_MODES.includes(overlap)) {
+    throw new Error(`overlap must be one of ${OVERLAP_MODES.join(", ")}, got "${overlap}"`)
+  }
+  if (!OLD_ACCOUNT_ACTIONS[oldAccount]) {
+    throw new Error(`oldAccount must be one of ${Object.keys(OLD_ACCOUNT_ACTIONS).join(", ")}, got "${oldAccount}"`)
+  }
+
+  const client = resolveClient(this)
+  await client.restoreSession()
+  fromAccountId = await client.resolver.resolve("account", fromAccountId, options)
+  toAccountId = await client.resolver.resolve("account", toAccountId, options)
+  if (fromAccountId === toAccountId) {
+    throw new Error(`Can't migrate account ${fromAccountId}'s history onto itself`)
+  }
 
+  // Days without a balance can't be uploaded
+  const withBalance = (snapshots) => snapshots.filter((snapshot) => snapshot.signedBalance !== null)
+  const oldHistory = withBalance(await client.getAccountHistory(fromAccountId, options))
+  const newHistory = withBalance(await client.getAccountHistory(toAccountId, options))
+  if (!oldHistory.length) {
+    throw new RequestFailedException(`Account ${fromAccountId} has no balance history to migrate`)
+  }
+
+  const history = overlap === "new" ? mergeBalanceHistories(oldHistory, newHistory) : mergeBalanceHistories(newHistory, oldHistory)
+  // Only send the days that change the new account's history
+  const current = new Map(mergeBalanceHistories(newHistory).map(({ date, balance }) => [date, balance]))
+  const changes = history.filter(({ date, balance }) => current.get(date) !== balance)
+  if (changes.length) {
+    await client.uploadAccountBalanceHistory(toAccountId, changes, options)
+  }
+  client.logger.info(`Migrated ${changes.length} days of balance history from account ${fromAccountId} to ${toAccountId}`)
+
+  if (oldAccount === "hide") {
+    await client.updateAccount(fromAccountId, null, null, null, null, false, true, null, options)
+  } else if (oldAccount === "delete") {
+    await client.deleteAccount(fromAccountId, options)
+  }
+
+  return { fromAccountId, toAccountId, history, uploaded: changes.length, oldAccount: OLD_ACCOUNT_ACTIONS[oldAccount] }
+}
+
+export async function requestAccountsRefresh(accountIds, options = {}) {
+  const query = getDocument("requestAccountsRefresh", options.selection)
+
+  const client = resolveClient(this)
   const variables = {
     input: {
-      accountIds,
+      accountIds: await client.resolver.resolveAll("account", accountIds, options),
     },
   }
 
-  const response = await gqlCall("Common_ForceRefreshAccountsMutation", query, variables)
+  const response = await client.gqlCall("Common_ForceRefreshAccountsMutation", query, variables, options)
 
   if (!response.forceRefreshAccounts.success) {
-    throw new RequestFailedException(response.forceRefreshAccounts.errors)
+    throw new RequestFailedException("Unable to request a refresh of the accounts", { operation: "Common_ForceRefreshAccountsMutation" })
   }
 
   return true
 }
 
-export async function isAccountsRefreshComplete(accountIds = null) {
-  const query = gql`
-    query ForceRefreshAccountsQuery {
-      accounts {
-        id
-        hasSyncInProgress
-        __typename
-      }
-    }
-  `
+export async function isAccountsRefreshComplete(accountIds = null, options = {}) {
+  const query = getDocument("isAccountsRefreshComplete", options.selection)
 
-  const response = await gqlCall("ForceRefreshAccountsQuery", query)
+  const client = resolveClient(this)
+  accountIds = await client.resolver.resolveAll("account", accountIds, options)
+  const response = await client.gqlCall("ForceRefreshAccountsQuery", query, {}, options)
 
   if (!response.accounts) {
     throw new RequestFailedException("Unable to request status of refresh")
   }
 
-  if (accountIds) {
-    return response.accounts.every((x) => !x.hasSyncInProgress && accountIds.includes(x.id))
-  } else {
-    return response.accounts.every((x) => !x.hasSyncInProgress)
-  }
+  // Only the requested accounts count; others may be syncing on their own
+  const accounts = accountIds ? response.accounts.filter((x) => accountIds.includes(x.id)) : response.accounts
+  return accounts.every((x) => !x.hasSyncInProgress)
 }
 
-export async function requestAccountsRefreshAndWait(accountIds = null, timeout = 300, delay = 10) {
+export async function requestAccountsRefreshAndWait(accountIds = null, timeout = 300, delay = 10, options = {}) {
+  const client = resolveClient(this)
   if (!accountIds) {
-    // const accountData = await this.getAccounts()
-    const accountData = await getAccounts()
-    console.log(accountData)
+    const accountData = await client.getAccounts({ ...options, raw: true })
     accountIds = accountData.accounts.map((x) => x.id)
+  } else {
+    accountIds = await client.resolver.resolveAll("account", accountIds, options)
   }
 
-  await requestAccountsRefresh(accountIds)
+  client.logger.info("Requested refresh of accounts", accountIds)
+  await client.requestAccountsRefresh(accountIds, options)
 
   const start = Date.now()
   let refreshed = false
 
   while (!refreshed && Date.now() <= start + timeout * 1000) {
-    await new Promise((resolve) => setTimeout(resolve, delay * 1000))
-    refreshed = await isAccountsRefreshComplete(accountIds)
+    await sleep(delay * 1000, options.signal)
+    refreshed = await client.isAccountsRefreshComplete(accountIds, options)
   }
 
   return refreshed
 }
 
-export async function requestAccountsRefreshAndDontWait(accountIds = null) {
+export async function requestAccountsRefreshAndDontWait(accountIds = null, options = {}) {
+  const client = resolveClient(this)
   if (!accountIds) {
-    const accountData = await getAccounts()
+    const accountData = await client.getAccounts({ ...options, raw: true })
     accountIds = accountData.accounts.map((x) => x.id)
   }
 
-  return await requestAccountsRefresh(accountIds)
+  return await client.requestAccountsRefresh(accountIds, options)
 }
 
-// make schema introspection call (doesnt work)
-export async function getSchema() {
-  const query = gql`
-    query IntrospectionQuery {
-      __schema {
-        queryType {
-          name
-          __typename
-        }
-        # mutationType {
-        #   name
-        #   __typename
-        # }
-        # subscriptionType {
-        #   name
-        #   __typename
-        # }
-      }
+// Introspects Monarch's schema. Returns { schema, sdl, source }, where
+// `schema` is a graphql-js GraphQLSchema and `source` is "introspection".
+// When the server refuses introspection, the schema is instead rebuilt from
+// the queries in queries.js and `source` is "reconstructed"; pass
+// { fallback: false } to get the error instead.
+export async function getSchema(options = {}) {
+  const client = resolveClient(this)
+  try {
+    const introspection = await client.gqlCall("IntrospectionQuery", getIntrospectionQuery(), {}, options)
+    const schema = buildClientSchema(introspection)
+    return { schema, sdl: printSchema(schema), source: "introspection" }
+  } catch (error) {
+    const refused = error instanceof RequestFailedException && !(error instanceof NetworkError) && !(error instanceof RateLimitedError)
+    if (!refused || options.fallback === false) {
+      throw error
     }
-  `
-  return await gqlCall("IntrospectionQuery", query)
-}
\ No newline at end of file
+    client.logger.warn("Introspection failed, rebuilding a partial schema from the known queries:", error.message)
+    const schema = reconstructSchema()
+    return { schema, sdl: printSchema(schema), source: "reconstructed" }
+  }
+}
+
+// Returns the id for an account, category, tag or merchant name. `kind` is
+// "account", "category", "tag" or "merchant". Names match case-insensitively;
+// numeric ids are returned as they are.
+export async function resolveId(kind, nameOrId, options = {}) {
+  return await resolveClient(this).resolver.resolve(kind, nameOrId, options)
+}
+
+export async function resolveIds(kind, namesOrIds, options = {}) {
+  return await resolveClient(this).resolver.resolveAll(kind, namesOrIds, options)
+}
+
+// Drops the cached name lookups for `kind`, or all of them, so the next name
+// is resolved against fresh data.
+export function refreshLookups(kind = null) {
+  resolveClient(this).resolver.refresh(kind)
+}
+
+// Picks the operation to send from `document` and checks it is a `type`
+// ("query" or "mutation"). Other operations, and fragments only they use, are
+// dropped; the chosen one goes first so the client can tell a mutation from a query.
+const prepareDocument = (document, type, operationName) => {
+  const parsed = typeof document === "string" ? parse(document) : document
+  const operations = parsed.definitions.filter((definition) => definition.kind === Kind.OPERATION_DEFINITION)
+  const operation = operationName
+    ? operations.find((definition) => definition.name && definition.name.value === operationName)
+    : operations.length === 1
+      ? operations[0]
+      : null
+  if (!operation) {
+    throw new Error(
+      operationName
+        ? `The document has no operation named "${operationName}"`
+        : `The document has ${operations.length} operations; pass { operationName } to pick one`
+    )
+  }
+  if (operation.operation !== type) {
+    const method = operation.operation === "mutation" ? "mutate" : "query"
+    throw new Error(`${operation.name ? operation.name.value : "The operation"} is a ${operation.operation}; send it with ${method}() instead`)
+  }
+  const fragments = parsed.definitions.filter((definition) => definition.kind !== Kind.OPERATION_DEFINITION)
+  const [selected] = Object.values(separateOperations({ ...parsed, definitions: [operation, ...fragments] }))
+  return { name: operation.name ? operation.name.value : type, document: print(selected) }
+}
+
+// Sends any GraphQL query through the client, with the same session, retries,
+// rate limiting, middleware and error mapping as the functions above. Pass
+// { operationName } when the document has more than one operation.
+export async function query(document, variables = {}, options = {}) {
+  const prepared = prepareDocument(document, "query", options.operationName)
+  return await resolveClient(this).gqlCall(prepared.name, prepared.document, variables, options)
+}
+
+// Like query(), for mutations. Payload `errors` throw MonarchValidationError.
+export async function mutate(document, variables = {}, options = {}) {
+  const prepared = prepareDocument(document, "mutation", options.operationName)
+  return await resolveClient(this).gqlCall(prepared.name, prepared.document, variables, options)
+}
+
+// Expose every function above as a MonarchClient method
+for (const [name, fn] of Object.entries(api)) {
+  MonarchClient.prototype[name] = fn
+}
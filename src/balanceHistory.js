@@ -0,0 +1,63 @@
+// balanceHistory.js
+import { formatDate, isCalendarDay } from "./dates.js"
+
+// Balance histories are lists of { date, balance } records, one per day. The
+// getAccountHistory() result works as one too: its `signedBalance` is read
+// when there is no `balance`.
+
+const AMOUNT_PATTERN = /^-?\d+(\.\d+)?$/
+const CSV_HEADER = "Date,Balance"
+
+const toDay = (value, index) => {
+  const day = value instanceof Date && !Number.isNaN(value.getTime()) ? formatDate(value) : value
+  if (!isCalendarDay(day)) {
+    throw new Error(`Balance history record ${index}: date must be a Date or a YYYY-MM-DD string, got "${value}"`)
+  }
+  return day
+}
+
+const toBalance = (value, index) => {
+  const balance = typeof value === "string" && AMOUNT_PATTERN.test(value.trim()) ? Number(value) : value
+  if (typeof balance !== "number" || !Number.isFinite(balance)) {
+    throw new Error(`Balance history record ${index}: balance must be a finite number, got "${value}"`)
+  }
+  return Math.round(balance * 100) / 100
+}
+
+// Checks each record and returns [{ date: "YYYY-MM-DD", balance }] sorted by
+// date. Two records for the same day are an error.
+export const normalizeBalanceHistory = (records) => {
+  if (!Array.isArray(records) || !records.length) {
+    throw new Error("A balance history needs at least one { date, balance } record")
+  }
+  const history = records.map((record, index) => {
+    if (!record || typeof record !== "object") {
+      throw new Error(`Balance history record ${index}: expected { date, balance }, got "${record}"`)
+    }
+    const balance = record.balance === undefined ? record.signedBalance : record.balance
+    return { date: toDay(record.date, index), balance: toBalance(balance, index) }
+  })
+  history.sort((a, b) => a.date.localeCompare(b.date))
+  const duplicate = history.find((record, index) => index > 0 && history[index - 1].date === record.date)
+  if (duplicate) {
+    throw new Error(`Balance history has more than one balance for ${duplicate.date}`)
+  }
+  return history
+}
+
+// The CSV uploadAccountBalanceHistory() sends: a Date,Balance header and a
+// row per day, oldest first.
+export const buildBalanceHistoryCsv = (records) =>
+  [CSV_HEADER, ...normalizeBalanceHistory(records).map(({ date, balance }) => `${date},${balance.toFixed(2)}`)].join("\n") + "\n"
+
+// Combines histories into one, sorted by date. Where several have a balance
+// for the same day, the last history given wins. Empty histories are skipped.
+export const mergeBalanceHistories = (...histories) => {
+  const byDay = new Map()
+  for (const records of histories) {
+    if (records && records.length) {
+      normalizeBalanceHistory(records).forEach((record) => byDay.set(record.date, record))
+    }
+  }
+  return [...byDay.values()].sort((a, b) => a.date.localeCompare(b.date))
+}
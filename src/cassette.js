@@ -0,0 +1,203 @@
+// cassette.js
+import fs from "fs"
+import fetch from "node-fetch"
+import path from "path"
+import { ENV_CASSETTE_MODE_KEY } from "./constants.js"
+import { UnmatchedRequestError } from "./errors.js"
+
+// A cassette records the client's HTTP traffic to a JSON file and plays it
+// back later, so tests run without a network or an account. Pass one to
+// MonarchClient as `cassette`. Modes:
+//
+//   replay  answer every request from the file; a request with no recording
+//           throws UnmatchedRequestError (the default)
+//   record  send every request to Monarch and rewrite the file from scratch
+//   update  replay what is recorded and record what isn't
+//
+// The mode defaults to the MONARCH_CASSETTE_MODE environment variable, so the
+// same tests can re-record with `MONARCH_CASSETTE_MODE=update npm test`.
+
+const CASSETTE_VERSION = 1
+const MODES = ["replay", "record", "update"]
+
+const SCRUBBED = "[scrubbed]"
+const SCRUBBED_EMAIL = "user@example.com"
+const SCRUBBED_MASK = "0000"
+const SECRET_KEYS = ["token", "password", "totp", "mfaSecretKey"]
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g
+// Only these response headers change how the client behaves.
+const RECORDED_HEADERS = ["content-type", "retry-after"]
+
+// Replaces tokens, passwords, one-time codes, emails and account masks
+// anywhere in a recorded value.
+const scrubValue = (value, key = null) => {
+  if (value === null || value === undefined) {
+    return value
+  }
+  if (SECRET_KEYS.includes(key)) {
+    return SCRUBBED
+  }
+  if (key === "mask") {
+    return SCRUBBED_MASK
+  }
+  if (typeof value === "string") {
+    return value.replace(EMAIL_PATTERN, SCRUBBED_EMAIL)
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => scrubValue(item))
+  }
+  if (typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, scrubValue(item, name)]))
+  }
+  return value
+}
+
+// JSON with sorted keys, so equal variables always give the same key.
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .filter((name) => value[name] !== undefined)
+      .sort()
+      .map((name) => `${JSON.stringify(name)}:${canonicalJson(value[name])}`)
+    return `{${entries.join(",")}}`
+  }
+  return JSON.stringify(value === undefined ? null : value)
+}
+
+// GraphQL requests are keyed by operation name and variables, and the REST
+// endpoints by method, path and form fields.
+export const requestKey = ({ method, path: requestPath, operationName, variables }) =>
+  `${operationName || `${method} ${requestPath}`} ${canonicalJson(variables)}`
+
+// { method, path, operationName, variables } for a fetch() call, scrubbed.
+// Multipart bodies (the balance history upload) aren't recorded.
+const describeRequest = (url, init = {}) => {
+  const method = (init.method || "GET").toUpperCase()
+  const request = { method, path: new URL(url).pathname, operationName: null, variables: null }
+  if (typeof init.body === "string") {
+    try {
+      const { operationName = null, variables = {} } = JSON.parse(init.body)
+      return { ...request, operationName, variables: scrubValue(variables) }
+    } catch (error) {
+      return request
+    }
+  }
+  if (init.body instanceof URLSearchParams) {
+    return { ...request, variables: scrubValue(Object.fromEntries(init.body)) }
+  }
+  return request
+}
+
+const readCassette = (filename) => {
+  if (!fs.existsSync(filename)) {
+    return []
+  }
+  const { version, interactions } = JSON.parse(fs.readFileSync(filename, "utf-8"))
+  if (version !== CASSETTE_VERSION) {
+    throw new Error(`${filename} is cassette version ${version}; re-record it with ${ENV_CASSETTE_MODE_KEY}=record`)
+  }
+  return interactions
+}
+
+const toResponse = ({ status, statusText = "", headers = {}, body = null }) =>
+  new Response(body === null ? null : typeof body === "string" ? body : JSON.stringify(body), { status, statusText, headers })
+
+const readResponse = async (response) => {
+  const text = await response.text()
+  let body = text || null
+  try {
+    body = text ? JSON.parse(text) : null
+  } catch (error) {
+    // recorded as text
+  }
+  const headers = Object.fromEntries(
+    RECORDED_HEADERS.filter((name) => response.headers.has(name)).map((name) => [name, response.headers.get(name)])
+  )
+  return { status: response.status, statusText: response.statusText, headers, body }
+}
+
+// `scrub(value)` runs after the built-in scrubbing on request variables and
+// response bodies, for anything else a cassette shouldn't contain. `key` turns
+// a request into the string it is matched on; override it to, say, ignore a
+// date that changes between runs. `fetch` sends the requests that get
+// recorded.
+export const createCassette = (
+  filename,
+  { mode = process.env[ENV_CASSETTE_MODE_KEY] || "replay", scrub = null, key = requestKey, fetch: fetchImpl = fetch } = {}
+) => {
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown cassette mode "${mode}"; expected one of ${MODES.join(", ")}`)
+  }
+  filename = path.resolve(filename)
+  const scrubAll = (value) => (scrub ? scrub(scrubValue(value)) : scrubValue(value))
+
+  const interactions = mode === "record" ? [] : readCassette(filename)
+  const played = new Set()
+  let pendingWrite = Promise.resolve()
+
+  const save = () => {
+    const contents = `${JSON.stringify({ version: CASSETTE_VERSION, interactions }, null, 2)}\n`
+    pendingWrite = pendingWrite.then(async () => {
+      await fs.promises.mkdir(path.dirname(filename), { recursive: true })
+      await fs.promises.writeFile(filename, contents)
+    })
+    return pendingWrite
+  }
+
+  // The first recording of a request not yet played, or the last one again
+  // once they all have been, so polling loops replay their final answer.
+  const findRecording = (requestKeyValue) => {
+    const matches = interactions.map((interaction, index) => index).filter((index) => key(interactions[index].request) === requestKeyValue)
+    const index = matches.find((match) => !played.has(match))
+    return index === undefined ? matches[matches.length - 1] : index
+  }
+
+  const cassette = {
+    filename,
+    mode,
+    interactions,
+    // Requests that had no recording in replay mode
+    unmatched: [],
+
+    async fetch(url, init = {}) {
+      const request = describeRequest(url, init)
+      if (scrub && request.variables) {
+        request.variables = scrub(request.variables)
+      }
+      const requestKeyValue = key(request)
+
+      const index = mode === "record" ? undefined : findRecording(requestKeyValue)
+      if (index !== undefined) {
+        played.add(index)
+        return toResponse(interactions[index].response)
+      }
+
+      if (mode === "replay") {
+        cassette.unmatched.push(request)
+        throw new UnmatchedRequestError(
+          `No recording of ${requestKeyValue} in ${filename}; record it with ${ENV_CASSETTE_MODE_KEY}=update`,
+          { request, key: requestKeyValue }
+        )
+      }
+
+      // The caller gets the response as sent; only the recording is scrubbed
+      const response = await readResponse(await fetchImpl(url, init))
+      interactions.push({ request, response: { ...response, body: scrubAll(response.body) } })
+      played.add(interactions.length - 1)
+      await save()
+      return toResponse(response)
+    },
+
+    // Recordings no request has asked for yet; after a test run these are
+    // stale and can be re-recorded away.
+    unplayed() {
+      return interactions.filter((interaction, index) => !played.has(index))
+    },
+
+    save,
+  }
+  return cassette
+}
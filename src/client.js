@@ -0,0 +1,379 @@
+// client.js
+import { ClientError, GraphQLClient } from "graphql-request"
+import { AUTH_HEADER_KEY, BASE_URL, ENV_BASE_URL_KEY, ENV_TOKEN_KEY, MonarchMoneyEndpoints } from "./constants.js"
+import {
+  AuthError,
+  LoginFailedException,
+  MonarchValidationError,
+  NetworkError,
+  NotFoundError,
+  RateLimitedError,
+  RequestFailedException,
+  SessionExpiredException,
+  TimeoutError,
+} from "./errors.js"
+import { createLogger } from "./logger.js"
+import { createRateLimiter } from "./rateLimiter.js"
+import { NameResolver } from "./resolver.js"
+import { anySignal, canRetryOperation, createRetryPolicy, withRetry } from "./retry.js"
+import { createFileSessionStore, isSessionStore } from "./sessionStore.js"
+
+const DEFAULT_TIMEOUT = 10
+
+const isNetworkFailure = (error) => {
+  const code = error.code || (error.cause && error.cause.code)
+  return (error instanceof TypeError && error.message === "fetch failed") || (typeof code === "string" && /^E[A-Z]+$/.test(code))
+}
+
+// Turns a graphql-request/fetch failure into one of the errors in errors.js.
+const toRequestError = (operation, error) => {
+  if (!(error instanceof ClientError)) {
+    if (isNetworkFailure(error)) {
+      return new NetworkError(`Network error during ${operation}: ${error.message}`, { operation, cause: error })
+    }
+    return error
+  }
+
+  const { status, headers, errors = null } = error.response
+  const details = { operation, status, errors, cause: error }
+  const message = errors && errors.length ? errors[0].message : `HTTP Code ${status}`
+  const codes = (errors || []).map((e) => (e.extensions && e.extensions.code) || "")
+
+  if (status === 401) {
+    return new SessionExpiredException(`Session token was rejected during ${operation}; log in again.`, { cause: error })
+  }
+  if (status === 429) {
+    const retryAfter = Number(headers && headers.get && headers.get("retry-after")) || null
+    return new RateLimitedError(`Rate limited during ${operation}`, { ...details, retryAfter })
+  }
+  if (status === 404 || codes.includes("NOT_FOUND") || /not found|does not exist/i.test(message)) {
+    return new NotFoundError(`${operation}: ${message}`, details)
+  }
+  if (status === 403 || codes.some((code) => ["UNAUTHENTICATED", "FORBIDDEN"].includes(code))) {
+    return new AuthError(`${operation}: ${message}`, details)
+  }
+  return new RequestFailedException(`${operation}: ${message}`, details)
+}
+
+const isMutation = (document) =>
+  typeof document === "string"
+    ? /^\s*mutation\b/.test(document)
+    : document.definitions.some((definition) => definition.operation === "mutation")
+
+// Mutations report failures as `errors { fieldErrors, message, code }` on the
+// payload rather than as GraphQL errors.
+const throwOnPayloadErrors = (operation, data) => {
+  for (const payload of Object.values(data || {})) {
+    const payloadErrors = payload && payload.errors
+    const error = Array.isArray(payloadErrors) ? payloadErrors[0] : payloadErrors
+    if (error) {
+      throw new MonarchValidationError(`${operation}: ${error.message || "Validation failed"}`, {
+        operation,
+        fieldErrors: error.fieldErrors || [],
+        code: error.code || null,
+        errors: payloadErrors,
+      })
+    }
+  }
+}
+
+// One authenticated connection to Monarch. Every function in api.js and the
+// login helpers in login.js are also available as methods on the instance.
+export class MonarchClient {
+  constructor({
+    token = null,
+    timeout = DEFAULT_TIMEOUT,
+    baseUrl = process.env[ENV_BASE_URL_KEY] || BASE_URL,
+    sessionStore = createFileSessionStore(),
+    logger = {},
+    credentials = null,
+    retry = {},
+    rateLimit = {},
+    middleware = [],
+    raw = true,
+    fetch = null,
+    cassette = null,
+  } = {}) {
+    if (!isSessionStore(sessionStore)) {
+      throw new Error("sessionStore must implement load(), save(), delete() and exists()")
+    }
+
+    this.timeout = timeout
+    this.baseUrl = baseUrl
+    this.sessionStore = sessionStore
+    this.logger = createLogger(logger)
+    this.retryPolicy = createRetryPolicy(retry)
+    this.rateLimiter = createRateLimiter(rateLimit)
+    this.middleware = []
+    this.resolver = new NameResolver(this)
+    // false makes getters return the classes in models.js
+    this.raw = raw
+    // Sends every request when set; a cassette records or replays them
+    this.cassette = cassette
+    this.fetch = cassette ? cassette.fetch : fetch
+    this.sessionRestored = false
+    this.credentials = credentials
+    this.reloginPromise = null
+    this.headers = {
+      "Client-Platform": "web",
+    }
+    this.token = null
+    // Who the token belongs to, when it came from a login
+    this.email = null
+
+    if (token) {
+      this.setToken(token)
+    }
+    middleware.forEach((handlers) => this.use(handlers))
+  }
+
+  setToken(newToken, email = null) {
+    this.token = newToken
+    this.email = newToken ? email : null
+    if (newToken) {
+      this.headers[AUTH_HEADER_KEY] = `Token ${newToken}`
+    } else {
+      delete this.headers[AUTH_HEADER_KEY]
+    }
+  }
+
+  // Accepts a Logger or the options for one, e.g. { level: "debug", sink: console }.
+  setLogger(logger) {
+    this.logger = createLogger(logger)
+  }
+
+  getToken() {
+    return this.token
+  }
+
+  getHeaders() {
+    return this.headers
+  }
+
+  // Each session method uses the client's session store, or the file at
+  // `filename` when one is given.
+  sessionStoreFor(filename = null) {
+    return filename ? createFileSessionStore(filename) : this.sessionStore
+  }
+
+  async saveSession(filename = null) {
+    await this.sessionStoreFor(filename).save({ token: this.token, ...(this.email && { email: this.email }) })
+  }
+
+  async loadSession(filename = null) {
+    const session = await this.sessionStoreFor(filename).load()
+    if (session && session.token) {
+      this.setToken(session.token, session.email)
+    }
+    return session
+  }
+
+  // Loads the saved session unless it was saved by a login as someone other
+  // than `email`, since several clients may share one store.
+  async loadSessionFor(email) {
+    const session = await this.sessionStore.load()
+    if (!session || !session.token) {
+      return null
+    }
+    if (email && session.email && session.email.toLowerCase() !== email.toLowerCase()) {
+      this.logger.debug("Ignoring the saved session, which belongs to another user")
+      return null
+    }
+    this.setToken(session.token, session.email)
+    return session
+  }
+
+  async deleteSession(filename = null) {
+    await this.sessionStoreFor(filename).delete()
+  }
+
+  async sessionExists(filename = null) {
+    return await this.sessionStoreFor(filename).exists()
+  }
+
+  // Picks up a saved session the first time a token is needed, falling back
+  // to the credential provider when there is none.
+  async restoreSession() {
+    if (this.token || this.sessionRestored) {
+      return
+    }
+    this.sessionRestored = true
+    const credentials = this.credentials ? await this.getCredentials() : null
+    await this.loadSessionFor(credentials && credentials.email)
+    if (!this.token && credentials) {
+      await this.relogin()
+    }
+  }
+
+  // `credentials` is { email, password, mfaSecretKey } or an async function
+  // returning one, so secrets can be fetched only when a login is needed.
+  setCredentials(credentials) {
+    this.credentials = credentials
+  }
+
+  async getCredentials() {
+    const credentials = typeof this.credentials === "function" ? await this.credentials() : this.credentials
+    if (!credentials || !credentials.email || !credentials.password) {
+      throw new LoginFailedException("The credential provider must supply an email and password.")
+    }
+    return credentials
+  }
+
+  // Logs in with the credential provider and persists the new token.
+  // Concurrent callers share a single login.
+  async relogin() {
+    if (!this.reloginPromise) {
+      this.reloginPromise = (async () => {
+        const { email, password, mfaSecretKey = null } = await this.getCredentials()
+        await this.loginUser(email, password, mfaSecretKey, true)
+      })().finally(() => {
+        this.reloginPromise = null
+      })
+    }
+    return await this.reloginPromise
+  }
+
+  // Per-attempt timeout for a call, falling back to the client's `timeout`.
+  // `timeoutMs: null` disables it.
+  timeoutFor({ timeoutMs } = {}) {
+    return timeoutMs === undefined ? this.timeout * 1000 : timeoutMs
+  }
+
+  getGraphQLClient(headers = this.headers) {
+    if (!headers[AUTH_HEADER_KEY]) {
+      throw new LoginFailedException("Make sure you call login() first or provide a session token!")
+    }
+    return new GraphQLClient(MonarchMoneyEndpoints.getGraphQL(this.baseUrl), {
+      headers,
+      ...(this.fetch && { fetch: this.fetch }),
+    })
+  }
+
+  // Middleware is an object with any of `beforeRequest`, `afterResponse` and
+  // `onError`, or a function used as `beforeRequest`. Hooks run once per
+  // attempt and receive a context with operation, query, variables, headers,
+  // attempt and timings, which they may change. They can be async.
+  use(middleware) {
+    this.middleware.push(typeof middleware === "function" ? { beforeRequest: middleware } : middleware)
+    return this
+  }
+
+  // beforeRequest hooks run in the order they were added; the others in reverse.
+  async runMiddleware(hook, context) {
+    const middleware = hook === "beforeRequest" ? this.middleware : [...this.middleware].reverse()
+    for (const handlers of middleware) {
+      if (handlers[hook]) {
+        await handlers[hook](context)
+      }
+    }
+  }
+
+  // Transient failures are retried according to the retry policy. When the
+  // token is rejected and credentials are available, logs in again and
+  // retries the operation exactly once. A request that was sent with a token
+  // another call has already replaced is retried without logging in again.
+  // `options.signal` cancels the call, including any wait between retries;
+  // `options.timeoutMs` limits each attempt (default: the client's timeout).
+  async gqlCall(operation, graphqlQuery, variables = {}, options = {}) {
+    await this.restoreSession()
+    try {
+      return await this.requestWithRetry(operation, graphqlQuery, variables, options)
+    } catch (error) {
+      if (!(error instanceof SessionExpiredException) || !this.credentials) {
+        throw error
+      }
+      if (error.authorization === this.headers[AUTH_HEADER_KEY]) {
+        this.logger.warn(`Session expired during ${operation}, logging in again`)
+        await this.relogin()
+      }
+      return await this.requestWithRetry(operation, graphqlQuery, variables, options)
+    }
+  }
+
+  async requestWithRetry(operation, graphqlQuery, variables, options) {
+    const request = (attempt) =>
+      this.rateLimiter.schedule(
+        operation,
+        () => this.requestOnce(operation, graphqlQuery, variables, options, attempt),
+        options.signal
+      )
+    return await withRetry(this.retryPolicy, request, {
+      signal: options.signal,
+      idempotent: canRetryOperation(this.retryPolicy, operation, isMutation(graphqlQuery)),
+      onRetry: (error, attempt, delay) => {
+        this.logger.warn(`Retrying ${operation} in ${Math.round(delay)}ms after attempt ${attempt} failed:`, error.message)
+      },
+    })
+  }
+
+  async requestOnce(operation, graphqlQuery, variables, options = {}, attempt = 1) {
+    const { signal = null } = options
+    const timeoutMs = this.timeoutFor(options)
+    const context = {
+      operation,
+      query: graphqlQuery,
+      variables,
+      headers: { ...this.headers },
+      options,
+      attempt,
+      startedAt: Date.now(),
+    }
+    await this.runMiddleware("beforeRequest", context)
+
+    const client = this.getGraphQLClient(context.headers)
+    const timeoutSignal = timeoutMs ? AbortSignal.timeout(timeoutMs) : null
+    this.logger.debug(`GraphQL ${operation}`, context.variables)
+    try {
+      context.data = await client.request({
+        document: context.query,
+        variables: context.variables,
+        signal: anySignal(signal, timeoutSignal),
+      })
+      if (isMutation(context.query)) {
+        throwOnPayloadErrors(operation, context.data)
+      }
+    } catch (error) {
+      if (signal && signal.aborted) {
+        context.error = signal.reason
+      } else if (timeoutSignal && timeoutSignal.aborted) {
+        context.error = new TimeoutError(`${operation} timed out after ${timeoutMs}ms`, { operation, cause: error })
+      } else {
+        context.error = toRequestError(operation, error)
+      }
+      if (context.error instanceof SessionExpiredException) {
+        // The header that was rejected, so gqlCall can tell if it has been replaced since
+        context.error.authorization = context.headers[AUTH_HEADER_KEY]
+      }
+      context.durationMs = Date.now() - context.startedAt
+      this.logger.debug(`GraphQL ${operation} failed after ${context.durationMs}ms:`, context.error.message)
+      await this.runMiddleware("onError", context)
+      throw context.error
+    }
+
+    context.durationMs = Date.now() - context.startedAt
+    await this.runMiddleware("afterResponse", context)
+    return context.data
+  }
+
+}
+
+let defaultClient = null
+
+// The client used by the top-level exports, created on first use.
+export const getDefaultClient = () => {
+  if (!defaultClient) {
+    // Try to load token from environment variable, rather than from session file.
+    defaultClient = new MonarchClient({ token: process.env[ENV_TOKEN_KEY] })
+    if (process.env[ENV_TOKEN_KEY]) {
+      defaultClient.logger.info("Loaded token from environment variable.")
+    }
+  }
+  return defaultClient
+}
+
+export const setDefaultClient = (client) => {
+  defaultClient = client
+}
+
+// Top-level exports are called without a receiver; methods are called on a client.
+export const resolveClient = (self) => (self instanceof MonarchClient ? self : getDefaultClient())
@@ -9,6 +9,9 @@ export const SESSION_DIR = path.resolve(__dirname, '../.mm');
 export const SESSION_FILE = path.join(SESSION_DIR, "mm_session.json");
 
 export const ENV_TOKEN_KEY = "MONARCH_TOKEN"
+export const ENV_BASE_URL_KEY = "MONARCH_BASE_URL"
+export const ENV_CASSETTE_MODE_KEY = "MONARCH_CASSETTE_MODE"
+export const SESSION_PASSPHRASE_ENV_KEY = "MONARCH_SESSION_PASSPHRASE"
 export const AUTH_HEADER_KEY = "Authorization";
 export const CSRF_KEY = "csrftoken";
 export const DEFAULT_RECORD_LIMIT = 100;
@@ -18,15 +21,15 @@ export const GQL_ENDPOINT = `${BASE_URL}/graphql`;
 
 export const MonarchMoneyEndpoints = {
 
-    getLoginEndpoint() {
-        return `${BASE_URL}/auth/login/`;
+    getLoginEndpoint(baseUrl = BASE_URL) {
+        return `${baseUrl}/auth/login/`;
     },
 
-    getGraphQL() {
-        return `${BASE_URL}/graphql`;
+    getGraphQL(baseUrl = BASE_URL) {
+        return `${baseUrl}/graphql`;
     },
 
-    getAccountBalanceHistoryUploadEndpoint() {
-        return `${BASE_URL}/account-balance-history/upload/`;
+    getAccountBalanceHistoryUploadEndpoint(baseUrl = BASE_URL) {
+        return `${baseUrl}/account-balance-history/upload/`;
     }
 };
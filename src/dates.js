@@ -0,0 +1,22 @@
+// dates.js
+
+// Monarch's date-only fields are "YYYY-MM-DD" strings naming a calendar day,
+// with no timezone. Dates given for them are read as local dates.
+
+export const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+// YYYY-MM-DD for the local date; toISOString() gives the UTC one, which is a
+// day off for local midnight anywhere east of UTC.
+export const formatDate = (date) =>
+  [date.getFullYear(), date.getMonth() + 1, date.getDate()].map((part) => String(part).padStart(2, "0")).join("-")
+
+// True for a YYYY-MM-DD string naming a real day. Date.parse() accepts
+// "2024-02-30" and rolls it over, so check the parts instead.
+export const isCalendarDay = (day) => {
+  if (typeof day !== "string" || !DATE_PATTERN.test(day)) {
+    return false
+  }
+  const [year, month, date] = day.split("-").map(Number)
+  const parsed = new Date(Date.UTC(year, month - 1, date))
+  return parsed.getUTCFullYear() === year && parsed.getUTCMonth() === month - 1 && parsed.getUTCDate() === date
+}
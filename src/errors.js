@@ -0,0 +1,73 @@
+// errors.js
+
+// Custom Exceptions
+export class RequireMFAException extends Error {}
+export class LoginFailedException extends Error {}
+
+// Base class for failed API calls. `status` is the HTTP status when there was
+// one, `errors` the GraphQL errors, and `operation` the GraphQL operation name.
+export class RequestFailedException extends Error {
+  constructor(message, { operation = null, status = null, errors = null, cause = undefined } = {}) {
+    super(message, { cause })
+    this.operation = operation
+    this.status = status
+    this.errors = errors
+  }
+}
+
+// The token was rejected (HTTP 401); log in again to get a new one. For a
+// GraphQL call, `authorization` is the header that was rejected.
+export class SessionExpiredException extends LoginFailedException {}
+
+// A mutation returned PayloadError fields instead of a result.
+export class MonarchValidationError extends RequestFailedException {
+  constructor(message, { fieldErrors = [], code = null, ...details } = {}) {
+    super(message, details)
+    this.fieldErrors = fieldErrors
+    this.code = code
+  }
+}
+
+export class NotFoundError extends RequestFailedException {}
+
+export class AuthError extends RequestFailedException {}
+
+// `retryAfter` is the number of seconds Monarch asked us to wait, when it said.
+export class RateLimitedError extends RequestFailedException {
+  constructor(message, { retryAfter = null, ...details } = {}) {
+    super(message, details)
+    this.retryAfter = retryAfter
+  }
+}
+
+// The request never got an HTTP response (DNS failure, socket reset, ...).
+export class NetworkError extends RequestFailedException {}
+
+// An attempt took longer than its `timeoutMs`.
+export class TimeoutError extends NetworkError {}
+
+// A name passed where an id is expected matched no record (NameNotFoundError)
+// or more than one (AmbiguousNameError). `kind` is "account", "category", "tag"
+// or "merchant", `value` the name as given and `matches` the candidate records.
+export class NameResolutionError extends Error {
+  constructor(message, { kind = null, value = null, matches = [] } = {}) {
+    super(message)
+    this.kind = kind
+    this.value = value
+    this.matches = matches
+  }
+}
+
+export class NameNotFoundError extends NameResolutionError {}
+
+export class AmbiguousNameError extends NameResolutionError {}
+
+// A cassette in replay mode had no recorded response for a request. `request`
+// is { method, path, operationName, variables } as it would be recorded.
+export class UnmatchedRequestError extends Error {
+  constructor(message, { request = null, key = null } = {}) {
+    super(message)
+    this.request = request
+    this.key = key
+  }
+}
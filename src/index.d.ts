@@ -0,0 +1,897 @@
+// index.d.ts
+// Typings for the package entry point. Response types and the run*
+// wrappers come from operations.d.ts, which scripts/codegen.js generates.
+import type { Interface as ReadlineInterface } from "readline"
+import type { DocumentNode, GraphQLSchema } from "graphql"
+import type * as Ops from "./operations.js"
+
+export * from "./operations.js"
+
+// ---- constants.js
+
+export declare const SESSION_DIR: string
+export declare const SESSION_FILE: string
+export declare const ENV_TOKEN_KEY: "MONARCH_TOKEN"
+export declare const ENV_BASE_URL_KEY: "MONARCH_BASE_URL"
+export declare const ENV_CASSETTE_MODE_KEY: "MONARCH_CASSETTE_MODE"
+export declare const SESSION_PASSPHRASE_ENV_KEY: "MONARCH_SESSION_PASSPHRASE"
+export declare const AUTH_HEADER_KEY: "Authorization"
+export declare const CSRF_KEY: "csrftoken"
+export declare const DEFAULT_RECORD_LIMIT: 100
+export declare const ERRORS_KEY: "error_code"
+export declare const BASE_URL: string
+export declare const GQL_ENDPOINT: string
+export declare const MonarchMoneyEndpoints: {
+  getLoginEndpoint(baseUrl?: string): string
+  getGraphQL(baseUrl?: string): string
+  getAccountBalanceHistoryUploadEndpoint(baseUrl?: string): string
+}
+
+// ---- errors.js
+
+export interface GraphQLErrorDetail {
+  message: string
+  path?: Array<string | number>
+  extensions?: Record<string, unknown>
+}
+
+export interface RequestErrorDetails {
+  operation?: string | null
+  status?: number | null
+  errors?: GraphQLErrorDetail[] | null
+  cause?: unknown
+}
+
+export declare class RequireMFAException extends Error {}
+export declare class LoginFailedException extends Error {}
+export declare class SessionExpiredException extends LoginFailedException {
+  authorization?: string
+}
+
+export declare class RequestFailedException extends Error {
+  constructor(message: string, details?: RequestErrorDetails)
+  operation: string | null
+  status: number | null
+  errors: GraphQLErrorDetail[] | null
+}
+
+export interface FieldError {
+  field: string
+  messages: string[]
+}
+
+export declare class MonarchValidationError extends RequestFailedException {
+  constructor(message: string, details?: RequestErrorDetails & { fieldErrors?: FieldError[]; code?: string | null })
+  fieldErrors: FieldError[]
+  code: string | null
+}
+
+export declare class NotFoundError extends RequestFailedException {}
+export declare class AuthError extends RequestFailedException {}
+
+export declare class RateLimitedError extends RequestFailedException {
+  constructor(message: string, details?: RequestErrorDetails & { retryAfter?: number | null })
+  retryAfter: number | null
+}
+
+export declare class NetworkError extends RequestFailedException {}
+export declare class TimeoutError extends NetworkError {}
+
+export type LookupKind = "account" | "category" | "tag" | "merchant"
+
+export declare class NameResolutionError extends Error {
+  constructor(message: string, details?: { kind?: LookupKind | null; value?: string | null; matches?: unknown[] })
+  kind: LookupKind | null
+  value: string | null
+  matches: unknown[]
+}
+
+export declare class NameNotFoundError extends NameResolutionError {}
+export declare class AmbiguousNameError extends NameResolutionError {}
+
+export declare class UnmatchedRequestError extends Error {
+  constructor(message: string, details?: { request?: CassetteRequest | null; key?: string | null })
+  request: CassetteRequest | null
+  key: string | null
+}
+
+// ---- logger.js
+
+export type LogLevel = "debug" | "info" | "warn" | "error" | "silent"
+
+export type LogSink =
+  | Partial<Record<Exclude<LogLevel, "silent">, (...args: unknown[]) => void>>
+  | ((level: Exclude<LogLevel, "silent">, ...args: unknown[]) => void)
+
+export interface LoggerOptions {
+  level?: LogLevel
+  sink?: LogSink
+}
+
+export declare const LOG_LEVELS: Record<LogLevel, number>
+export declare function redact<T>(value: T): T
+
+export declare class Logger {
+  constructor(options?: LoggerOptions)
+  level: LogLevel
+  sink: LogSink
+  log(level: Exclude<LogLevel, "silent">, ...args: unknown[]): void
+  debug(...args: unknown[]): void
+  info(...args: unknown[]): void
+  warn(...args: unknown[]): void
+  error(...args: unknown[]): void
+}
+
+export declare function createLogger(options?: Logger | LoggerOptions): Logger
+
+// ---- sessionStore.js
+
+export interface Session {
+  token: string | null
+  email?: string
+  [key: string]: unknown
+}
+
+export interface SessionStore {
+  load(): Promise<Session | null>
+  save(session: Session): Promise<void>
+  delete(): Promise<void>
+  exists(): Promise<boolean>
+}
+
+export interface FileSessionStoreOptions {
+  passphrase?: string | null
+  keyFile?: string | null
+  passphraseEnv?: string
+  migrate?: boolean
+  allowPlaintext?: boolean
+}
+
+export declare function createFileSessionStore(filename?: string, options?: FileSessionStoreOptions): SessionStore & { filename: string }
+export declare function createMemorySessionStore(initialSession?: Session | null): SessionStore
+export declare function isSessionStore(store: unknown): store is SessionStore
+
+// ---- client.js
+
+export interface Credentials {
+  email: string
+  password: string
+  mfaSecretKey?: string | null
+}
+
+export type CredentialProvider = Credentials | (() => Credentials | Promise<Credentials>)
+
+export interface RetryPolicy {
+  maxAttempts: number
+  initialDelayMs: number
+  maxDelayMs: number
+  backoffFactor: number
+  jitter: boolean
+  retryableStatusCodes: number[]
+  retryMutations: boolean
+  idempotentMutations: string[]
+}
+
+export interface RateLimit {
+  requestsPerSecond?: number
+  burst?: number
+  maxConcurrency?: number
+}
+
+export interface RateLimitOptions extends RateLimit {
+  operations?: Record<string, RateLimit>
+}
+
+export interface MiddlewareContext {
+  operation: string
+  query: string
+  variables: Record<string, unknown>
+  headers: Record<string, string>
+  options: CallOptions
+  attempt: number
+  startedAt: number
+  durationMs?: number
+  data?: unknown
+  error?: Error
+}
+
+export type MiddlewareHook = (context: MiddlewareContext) => void | Promise<void>
+
+export type Middleware =
+  | MiddlewareHook
+  | {
+      beforeRequest?: MiddlewareHook
+      afterResponse?: MiddlewareHook
+      onError?: MiddlewareHook
+    }
+
+export interface MonarchClientOptions {
+  token?: string | null
+  // seconds
+  timeout?: number
+  baseUrl?: string
+  sessionStore?: SessionStore
+  logger?: Logger | LoggerOptions
+  credentials?: CredentialProvider | null
+  retry?: Partial<RetryPolicy> | false
+  rateLimit?: RateLimitOptions | false
+  middleware?: Middleware[]
+  // false makes getters return models; a client's methods are typed to match.
+  // The top-level functions are typed as returning raw payloads unless a call
+  // passes { raw: false } itself.
+  raw?: boolean
+  fetch?: typeof fetch | null
+  cassette?: Cassette | null
+}
+
+export interface CallOptions {
+  signal?: AbortSignal | null
+  // null disables the timeout; defaults to the client's `timeout`
+  timeoutMs?: number | null
+  raw?: boolean
+  // extra fields to select for this call, e.g. { Transaction: "originalDate" }
+  selection?: CustomSelection
+}
+
+export type RawOptions = CallOptions & { raw?: true }
+export type ModelOptions = CallOptions & { raw: false }
+
+// What a getter returns when the call doesn't pass `raw`: the payload, or
+// models for a client created with { raw: false }.
+export type DefaultShape<Raw extends boolean, Payload, Models> = Raw extends false ? Models : Payload
+
+export declare class MonarchClient<Raw extends boolean = true> {
+  constructor(options?: MonarchClientOptions & { raw?: Raw })
+  timeout: number
+  baseUrl: string
+  sessionStore: SessionStore
+  logger: Logger
+  retryPolicy: RetryPolicy
+  credentials: CredentialProvider | null
+  raw: Raw
+  cassette: Cassette | null
+  fetch: typeof fetch | null
+  headers: Record<string, string>
+  token: string | null
+  email: string | null
+
+  setToken(newToken: string | null, email?: string | null): void
+  setLogger(logger: Logger | LoggerOptions): void
+  getToken(): string | null
+  getHeaders(): Record<string, string>
+  sessionStoreFor(filename?: string | null): SessionStore
+  saveSession(filename?: string | null): Promise<void>
+  loadSession(filename?: string | null): Promise<Session | null>
+  loadSessionFor(email: string | null): Promise<Session | null>
+  deleteSession(filename?: string | null): Promise<void>
+  sessionExists(filename?: string | null): Promise<boolean>
+  restoreSession(): Promise<void>
+  setCredentials(credentials: CredentialProvider | null): void
+  getCredentials(): Promise<Credentials>
+  relogin(): Promise<void>
+  timeoutFor(options?: CallOptions): number | null
+  use(middleware: Middleware): this
+  gqlCall<T = unknown>(operation: string, query: string, variables?: Record<string, unknown>, options?: CallOptions): Promise<T>
+}
+
+export declare function getDefaultClient(): MonarchClient<boolean>
+export declare function setDefaultClient(client: MonarchClient<boolean> | null): void
+export declare function resolveClient(self: unknown): MonarchClient<boolean>
+
+// ---- session.js
+
+export declare function setToken(newToken: string | null): void
+export declare function setLogger(logger: Logger | LoggerOptions): void
+export declare function saveSession(filename?: string | null): Promise<void>
+export declare function loadSession(filename?: string | null): Promise<Session | null>
+export declare function deleteSession(filename?: string | null): Promise<void>
+export declare function sessionExists(filename?: string | null): Promise<boolean>
+export declare function getHeaders(): Record<string, string>
+export declare function getToken(): string | null
+
+// ---- login.js
+
+export interface LoginOptions extends Omit<CallOptions, "raw"> {
+  mfaSecretKey?: string | null
+  useSavedSession?: boolean
+  saveSession?: boolean
+}
+
+export declare function createInterface(): ReadlineInterface
+export declare function generateOtp(mfaSecretKey: string): string
+export declare function loginUser(
+  email: string,
+  password: string,
+  mfaSecretKey?: string | null,
+  saveSessionFlag?: boolean,
+  options?: CallOptions
+): Promise<void>
+export declare function multiFactorAuthenticate(
+  email: string,
+  password: string,
+  code: string,
+  saveSessionFlag?: boolean,
+  options?: CallOptions
+): Promise<void>
+export declare function login(email: string | null, password: string | null, options?: LoginOptions): Promise<void>
+export declare function interactiveLogin(useSavedSession?: boolean, saveSessionFlag?: boolean): Promise<void>
+
+// ---- models.js
+
+type TransactionPayload =
+  | Ops.GetTransactionsResult["allTransactions"]["results"][number]
+  | Ops.GetTransactionDetailsResult["getTransaction"]
+
+declare class Model<Raw> {
+  readonly raw: Raw
+  toJSON(): Record<string, unknown>
+  [field: string]: unknown
+}
+
+export declare class Category extends Model<Ops.GetTransactionCategoriesResult["categories"][number]> {
+  constructor(data: object)
+  id: string
+  name: string
+  createdAt?: Date | null
+  updatedAt?: Date | null
+  group?: { id: string; name?: string; type: string } | null
+  readonly groupType: string | null
+  readonly groupName: string | null
+}
+
+export declare class Account extends Model<Ops.GetAccountsResult["accounts"][number]> {
+  constructor(data: object)
+  id: string
+  displayName: string
+  currentBalance: number | null
+  displayBalance: number | null
+  createdAt: Date | null
+  updatedAt: Date | null
+  displayLastUpdatedAt: Date | null
+  deactivatedAt: Date | null
+  isAsset: boolean
+  readonly name: string
+  readonly typeName: string | null
+  readonly isLiability: boolean
+  readonly isActive: boolean
+  readonly institutionName: string | null
+}
+
+export declare class Transaction extends Model<TransactionPayload> {
+  constructor(data: object)
+  id: string
+  amount: number
+  date: Date | null
+  originalDate?: Date | null
+  createdAt?: Date | null
+  updatedAt?: Date | null
+  reviewedAt?: Date | null
+  pending: boolean
+  category: Category | null
+  readonly isExpense: boolean
+  readonly isIncome: boolean
+  readonly merchantName: string | null
+  readonly accountName: string | null
+}
+
+export declare class Budget extends Model<object> {
+  constructor(data: object)
+  month: Date | null
+  category: Category | null
+  plannedCashFlowAmount: number | null
+  plannedSetAsideAmount?: number | null
+  actualAmount: number | null
+  remainingAmount: number | null
+  previousMonthRolloverAmount: number | null
+  rolloverType: string | null
+  readonly planned: number | null
+  readonly actual: number | null
+  readonly remaining: number | null
+  readonly isOverBudget: boolean
+}
+
+export declare class Holding extends Model<Ops.GetAccountHoldingsResult["portfolio"]["aggregateHoldings"]["edges"][number]["node"]> {
+  constructor(data: object)
+  id: string
+  quantity: number | null
+  basis: number | null
+  totalValue: number | null
+  lastSyncedAt: Date | null
+  readonly ticker: string | null
+  readonly name: string | null
+  readonly gain: number | null
+}
+
+export declare function stripTypename<T>(value: T): T
+export declare function isRaw(client: MonarchClient<boolean>, options?: CallOptions): boolean
+export declare function budgetsFromData(data: Ops.GetBudgetsResult): Budget[]
+
+// ---- queries.js
+
+export type CustomSelectionType = "Account" | "Transaction"
+export type CustomSelection = Partial<Record<CustomSelectionType, string>>
+
+export declare function operationNames(): string[]
+export declare function composeDocument(name: string, custom?: Map<string, string[]>): DocumentNode
+export declare function getDocument(name: string, selection?: CustomSelection | null): string
+export declare function registerSelection(typeName: CustomSelectionType, fields: string): void
+export declare function clearSelections(typeName?: CustomSelectionType | null): void
+
+// ---- api.js
+
+export interface TransactionFilters {
+  orderBy?: string
+  startDate?: string | null
+  endDate?: string | null
+  search?: string
+  // ids or names
+  categoryIds?: string[]
+  accountIds?: string[]
+  tagIds?: string[]
+  hasAttachments?: boolean | null
+  hasNotes?: boolean | null
+  hiddenFromReports?: boolean | null
+  isSplit?: boolean | null
+  isRecurring?: boolean | null
+  importedFromMint?: boolean | null
+  syncedFromInstitution?: boolean | null
+}
+
+export interface GetTransactionsParams extends TransactionFilters {
+  limit?: number
+  offset?: number
+}
+
+export interface PageOptions extends CallOptions {
+  pageSize?: number
+  cursor?: string | null
+}
+
+export interface TransactionPage<T> {
+  results: T[]
+  totalCount: number
+  cursor: string | null
+}
+
+export type RawTransaction = Ops.GetTransactionsResult["allTransactions"]["results"][number]
+
+export type AccountSnapshot = Ops.GetAccountHistoryResult["snapshots"][number] & { accountId: string; accountName: string }
+
+export declare function getAccounts(options?: RawOptions): Promise<Ops.GetAccountsResult>
+export declare function getAccounts(options: ModelOptions): Promise<Account[]>
+export declare function getAccountTypeOptions(options?: CallOptions): Promise<Ops.GetAccountTypeOptionsResult>
+export declare function getRecentAccountBalances(startDate?: string | null, options?: CallOptions): Promise<Ops.GetRecentAccountBalancesResult>
+export declare function getAccountHoldings(accountId: string, options?: RawOptions): Promise<Ops.GetAccountHoldingsResult>
+export declare function getAccountHoldings(accountId: string, options: ModelOptions): Promise<Holding[]>
+export declare function getAccountHistory(accountId: string, options?: CallOptions): Promise<AccountSnapshot[]>
+export declare function getSubscriptionDetails(options?: CallOptions): Promise<Ops.GetSubscriptionDetailsResult>
+export declare function whoami(options?: CallOptions): Promise<Ops.WhoamiResult>
+export declare function validateSession(options?: CallOptions): Promise<true>
+export declare function getInstitutions(options?: CallOptions): Promise<Ops.GetInstitutionsResult>
+export declare function getAccountSnapshotsByType(
+  startDate: string,
+  timeframe: "year" | "month",
+  options?: CallOptions
+): Promise<Ops.GetAccountSnapshotsByTypeResult>
+export declare function getAggregateSnapshots(
+  startDate?: string | null,
+  endDate?: string | null,
+  accountType?: string | null,
+  options?: CallOptions
+): Promise<Ops.GetAggregateSnapshotsResult>
+export declare function getBudgets(
+  startDate?: string | null,
+  endDate?: string | null,
+  useLegacyGoals?: boolean,
+  useV2Goals?: boolean,
+  options?: RawOptions
+): Promise<Ops.GetBudgetsResult>
+export declare function getBudgets(
+  startDate: string | null,
+  endDate: string | null,
+  useLegacyGoals: boolean,
+  useV2Goals: boolean,
+  options: ModelOptions
+): Promise<Budget[]>
+export declare function getTransactions(params: GetTransactionsParams, options?: RawOptions): Promise<Ops.GetTransactionsResult>
+export declare function getTransactions(
+  params: GetTransactionsParams,
+  options: ModelOptions
+): Promise<{ totalCount: number; results: Transaction[] }>
+export declare function iterateTransactionPages(
+  filters?: TransactionFilters,
+  options?: PageOptions & { raw?: true }
+): AsyncGenerator<TransactionPage<RawTransaction>, void>
+export declare function iterateTransactionPages(
+  filters: TransactionFilters,
+  options: PageOptions & { raw: false }
+): AsyncGenerator<TransactionPage<Transaction>, void>
+export declare function iterateTransactions(
+  filters?: TransactionFilters,
+  options?: PageOptions & { raw?: true }
+): AsyncGenerator<RawTransaction, void>
+export declare function iterateTransactions(filters: TransactionFilters, options: PageOptions & { raw: false }): AsyncGenerator<Transaction, void>
+export declare function getAllTransactions(filters?: TransactionFilters, options?: PageOptions & { raw?: true }): Promise<RawTransaction[]>
+export declare function getAllTransactions(filters: TransactionFilters, options: PageOptions & { raw: false }): Promise<Transaction[]>
+export declare function getTransactionsSummary(options?: CallOptions): Promise<Ops.GetTransactionsSummaryResult>
+export declare function getRecurringTransactions(
+  startDate?: string | null,
+  endDate?: string | null,
+  options?: CallOptions
+): Promise<Ops.GetRecurringTransactionsResult>
+export declare function getTransactionCategories(options?: RawOptions): Promise<Ops.GetTransactionCategoriesResult>
+export declare function getTransactionCategories(options: ModelOptions): Promise<Category[]>
+export declare function getTransactionCategoryGroups(options?: CallOptions): Promise<Ops.GetTransactionCategoryGroupsResult>
+export declare function getTransactionTags(options?: CallOptions): Promise<Ops.GetTransactionTagsResult>
+export declare function getMerchants(params?: { search?: string; limit?: number | null }, options?: CallOptions): Promise<Ops.GetMerchantsResult>
+export declare function getTransactionDetails(
+  transactionId: string,
+  redirectPosted?: boolean,
+  options?: RawOptions
+): Promise<Ops.GetTransactionDetailsResult>
+export declare function getTransactionDetails(transactionId: string, redirectPosted: boolean, options: ModelOptions): Promise<Transaction>
+export declare function getTransactionSplits(transactionId: string, options?: CallOptions): Promise<Ops.GetTransactionSplitsResult>
+export declare function getCashflow(
+  params: { limit?: number; startDate?: string | null; endDate?: string | null },
+  options?: CallOptions
+): Promise<Ops.GetCashflowResult>
+export declare function getCashflowSummary(
+  params: { limit?: number; startDate?: string | null; endDate?: string | null },
+  options?: CallOptions
+): Promise<Ops.GetCashflowSummaryResult>
+export declare function deleteTransactionCategory(categoryId: string, options?: CallOptions): Promise<true>
+export declare function deleteTransactionCategories(categoryIds: string[], options?: CallOptions): Promise<Array<true | Error>>
+export declare function createTransactionCategory(
+  params: {
+    groupId: string
+    transactionCategoryName: string
+    rolloverStartMonth?: Date
+    icon?: string
+    rolloverEnabled?: boolean
+    rolloverType?: string
+  },
+  options?: CallOptions
+): Promise<Ops.CreateTransactionCategoryResult>
+export declare function createTransactionTag(name: string, color: string, options?: CallOptions): Promise<Ops.CreateTransactionTagResult>
+export declare function setTransactionTags(transactionId: string, tagIds: string[], options?: CallOptions): Promise<Ops.SetTransactionTagsResult>
+export declare function updateTransactionSplits(
+  transactionId: string,
+  splitData: Array<{ merchantName: string; amount: number; categoryId: string; [field: string]: unknown }> | null,
+  options?: CallOptions
+): Promise<Ops.UpdateTransactionSplitsResult>
+export declare function updateTransaction(
+  params: {
+    transactionId: string
+    categoryId?: string | null
+    merchantName?: string | null
+    goalId?: string | null
+    amount?: number | null
+    date?: string | null
+    hideFromReports?: boolean | null
+    needsReview?: boolean | null
+    notes?: string | null
+  },
+  options?: CallOptions
+): Promise<Ops.UpdateTransactionResult>
+export declare function setBudgetAmount(
+  params: {
+    amount: number
+    categoryId?: string | null
+    categoryGroupId?: string | null
+    timeframe?: string
+    startDate?: string | null
+    applyToFuture?: boolean
+  },
+  options?: CallOptions
+): Promise<Ops.SetBudgetAmountResult>
+export declare function deleteTransaction(transactionId: string, options?: CallOptions): Promise<true>
+export declare function createTransaction(
+  params: {
+    date: string
+    accountId: string
+    amount: number
+    merchantName: string
+    categoryId: string
+    notes?: string
+    updateBalance?: boolean
+  },
+  options?: CallOptions
+): Promise<Ops.CreateTransactionResult>
+export declare function uploadAccountBalanceHistory(accountId: string, history: BalanceHistory, options?: CallOptions): Promise<true>
+export declare function uploadAccountBalanceHistories(
+  histories: Record<string, BalanceHistory> | Map<string, BalanceHistory>,
+  options?: CallOptions
+): Promise<true>
+export declare function createManualAccount(
+  accountType: string,
+  accountSubType: string,
+  isInNetWorth: boolean,
+  accountName: string,
+  accountBalance?: number,
+  options?: CallOptions
+): Promise<Ops.CreateManualAccountResult>
+export declare function updateAccount(
+  accountId: string,
+  accountName?: string | null,
+  accountBalance?: number | null,
+  accountType?: string | null,
+  accountSubType?: string | null,
+  includeInNetWorth?: boolean | null,
+  hideFromSummaryList?: boolean | null,
+  hideTransactionsFromReports?: boolean | null,
+  options?: CallOptions
+): Promise<Ops.UpdateAccountResult>
+export declare function deleteAccount(accountId: string, options?: CallOptions): Promise<Ops.DeleteAccountResult>
+
+export interface MigrateAccountHistoryOptions extends CallOptions {
+  // which account's balance is kept on days both have; default "new"
+  overlap?: "new" | "old"
+  // what to do with the old account afterwards; default "keep"
+  oldAccount?: "keep" | "hide" | "delete"
+}
+export interface MigrateAccountHistoryResult {
+  fromAccountId: string
+  toAccountId: string
+  history: Array<{ date: string; balance: number }>
+  uploaded: number
+  oldAccount: "kept" | "hidden" | "deleted"
+}
+export declare function migrateAccountHistory(
+  fromAccountId: string,
+  toAccountId: string,
+  options?: MigrateAccountHistoryOptions
+): Promise<MigrateAccountHistoryResult>
+export declare function requestAccountsRefresh(accountIds: string[], options?: CallOptions): Promise<true>
+export declare function isAccountsRefreshComplete(accountIds?: string[] | null, options?: CallOptions): Promise<boolean>
+export declare function requestAccountsRefreshAndWait(
+  accountIds?: string[] | null,
+  timeout?: number,
+  delay?: number,
+  options?: CallOptions
+): Promise<boolean>
+export declare function requestAccountsRefreshAndDontWait(accountIds?: string[] | null, options?: CallOptions): Promise<true>
+export interface SchemaResult {
+  schema: GraphQLSchema
+  sdl: string
+  source: "introspection" | "reconstructed"
+}
+export declare function getSchema(options?: CallOptions & { fallback?: boolean }): Promise<SchemaResult>
+export declare function resolveId(kind: LookupKind, nameOrId: string, options?: CallOptions): Promise<string>
+export declare function resolveId(kind: LookupKind, nameOrId: null | undefined, options?: CallOptions): Promise<null | undefined>
+export declare function resolveIds(kind: LookupKind, namesOrIds: string[], options?: CallOptions): Promise<string[]>
+export declare function refreshLookups(kind?: LookupKind | null): void
+export interface QueryOptions extends CallOptions {
+  operationName?: string
+}
+export declare function query<T = Record<string, unknown>>(
+  document: string | DocumentNode,
+  variables?: Record<string, unknown>,
+  options?: QueryOptions
+): Promise<T>
+export declare function mutate<T = Record<string, unknown>>(
+  document: string | DocumentNode,
+  variables?: Record<string, unknown>,
+  options?: QueryOptions
+): Promise<T>
+
+// ---- transactionQuery.js
+
+export type TransactionOrderField = "date" | "amount" | "merchant"
+
+export declare function buildTransactionFilters(filters?: TransactionFilters): Record<string, unknown>
+
+export declare class TransactionQuery<Raw extends boolean = true> {
+  constructor(client?: MonarchClient<Raw> | null)
+  between(startDate: string | Date, endDate: string | Date): this
+  since(startDate: string | Date): this
+  search(text: string): this
+  accounts(...accounts: Array<string | string[]>): this
+  categories(...categories: Array<string | string[]>): this
+  tags(...tags: Array<string | string[]>): this
+  excludeCategories(...categories: Array<string | string[]>): this
+  merchants(...merchants: Array<string | string[]>): this
+  amountBetween(min?: number | null, max?: number | null): this
+  pending(isPending?: boolean): this
+  hasAttachments(value?: boolean): this
+  hasNotes(value?: boolean): this
+  hiddenFromReports(value?: boolean): this
+  recurring(value?: boolean): this
+  split(value?: boolean): this
+  orderBy(field: TransactionOrderField, direction?: "asc" | "desc"): this
+  toFilters(): TransactionFilters
+  toFilterInput(): Record<string, unknown>
+  matches(transaction: RawTransaction): boolean
+  isServerOrdered(): boolean
+  iterate(options: PageOptions & { raw: true }): AsyncGenerator<RawTransaction, void>
+  iterate(options: PageOptions & { raw: false }): AsyncGenerator<Transaction, void>
+  iterate(options?: PageOptions): AsyncGenerator<DefaultShape<Raw, RawTransaction, Transaction>, void>
+  fetchAll(options: PageOptions & { raw: true }): Promise<RawTransaction[]>
+  fetchAll(options: PageOptions & { raw: false }): Promise<Transaction[]>
+  fetchAll(options?: PageOptions): Promise<DefaultShape<Raw, RawTransaction, Transaction>[]>
+}
+
+export declare function queryTransactions(): TransactionQuery
+
+// ---- balanceHistory.js
+
+// `signedBalance` is read when there is no `balance`, so getAccountHistory()
+// results work as records.
+export interface BalanceRecord {
+  date: string | Date
+  balance?: number | string
+  signedBalance?: number | string | null
+}
+
+// CSV text (Date,Balance rows) or records.
+export type BalanceHistory = string | Buffer | BalanceRecord[]
+
+export declare function normalizeBalanceHistory(records: BalanceRecord[]): Array<{ date: string; balance: number }>
+export declare function buildBalanceHistoryCsv(records: BalanceRecord[]): string
+export declare function mergeBalanceHistories(
+  ...histories: Array<BalanceRecord[] | null | undefined>
+): Array<{ date: string; balance: number }>
+
+// ---- cassette.js
+
+export type CassetteMode = "replay" | "record" | "update"
+
+export interface CassetteRequest {
+  method: string
+  path: string
+  operationName: string | null
+  variables: Record<string, unknown> | null
+}
+
+export interface CassetteResponse {
+  status: number
+  statusText: string
+  headers: Record<string, string>
+  body: unknown
+}
+
+export interface CassetteInteraction {
+  request: CassetteRequest
+  response: CassetteResponse
+}
+
+export interface CassetteOptions {
+  mode?: CassetteMode
+  scrub?: (value: unknown) => unknown
+  key?: (request: CassetteRequest) => string
+  fetch?: typeof fetch
+}
+
+export interface Cassette {
+  filename: string
+  mode: CassetteMode
+  interactions: CassetteInteraction[]
+  unmatched: CassetteRequest[]
+  fetch: typeof fetch
+  unplayed(): CassetteInteraction[]
+  save(): Promise<void>
+}
+
+export declare function requestKey(request: CassetteRequest): string
+export declare function createCassette(filename: string, options?: CassetteOptions): Cassette
+
+// Every function in api.js and login.js, and queryTransactions(), is also a
+// method on MonarchClient. The getters that can return models default to the
+// client's `raw` setting.
+export interface MonarchClient<Raw extends boolean = true> {
+  loginUser: typeof loginUser
+  multiFactorAuthenticate: typeof multiFactorAuthenticate
+  login: typeof login
+  interactiveLogin: typeof interactiveLogin
+  getAccounts(options: RawOptions & { raw: true }): Promise<Ops.GetAccountsResult>
+  getAccounts(options: ModelOptions): Promise<Account[]>
+  getAccounts(options?: CallOptions): Promise<DefaultShape<Raw, Ops.GetAccountsResult, Account[]>>
+  getAccountTypeOptions: typeof getAccountTypeOptions
+  getRecentAccountBalances: typeof getRecentAccountBalances
+  getAccountHoldings(accountId: string, options: RawOptions & { raw: true }): Promise<Ops.GetAccountHoldingsResult>
+  getAccountHoldings(accountId: string, options: ModelOptions): Promise<Holding[]>
+  getAccountHoldings(accountId: string, options?: CallOptions): Promise<DefaultShape<Raw, Ops.GetAccountHoldingsResult, Holding[]>>
+  getAccountHistory: typeof getAccountHistory
+  getSubscriptionDetails: typeof getSubscriptionDetails
+  whoami: typeof whoami
+  validateSession: typeof validateSession
+  getInstitutions: typeof getInstitutions
+  getAccountSnapshotsByType: typeof getAccountSnapshotsByType
+  getAggregateSnapshots: typeof getAggregateSnapshots
+  getBudgets(
+    startDate: string | null,
+    endDate: string | null,
+    useLegacyGoals: boolean,
+    useV2Goals: boolean,
+    options: RawOptions & { raw: true }
+  ): Promise<Ops.GetBudgetsResult>
+  getBudgets(
+    startDate: string | null,
+    endDate: string | null,
+    useLegacyGoals: boolean,
+    useV2Goals: boolean,
+    options: ModelOptions
+  ): Promise<Budget[]>
+  getBudgets(
+    startDate?: string | null,
+    endDate?: string | null,
+    useLegacyGoals?: boolean,
+    useV2Goals?: boolean,
+    options?: CallOptions
+  ): Promise<DefaultShape<Raw, Ops.GetBudgetsResult, Budget[]>>
+  getTransactions(params: GetTransactionsParams, options: RawOptions & { raw: true }): Promise<Ops.GetTransactionsResult>
+  getTransactions(params: GetTransactionsParams, options: ModelOptions): Promise<{ totalCount: number; results: Transaction[] }>
+  getTransactions(
+    params: GetTransactionsParams,
+    options?: CallOptions
+  ): Promise<DefaultShape<Raw, Ops.GetTransactionsResult, { totalCount: number; results: Transaction[] }>>
+  iterateTransactionPages(
+    filters: TransactionFilters,
+    options: PageOptions & { raw: true }
+  ): AsyncGenerator<TransactionPage<RawTransaction>, void>
+  iterateTransactionPages(
+    filters: TransactionFilters,
+    options: PageOptions & { raw: false }
+  ): AsyncGenerator<TransactionPage<Transaction>, void>
+  iterateTransactionPages(
+    filters?: TransactionFilters,
+    options?: PageOptions
+  ): AsyncGenerator<TransactionPage<DefaultShape<Raw, RawTransaction, Transaction>>, void>
+  iterateTransactions(filters: TransactionFilters, options: PageOptions & { raw: true }): AsyncGenerator<RawTransaction, void>
+  iterateTransactions(filters: TransactionFilters, options: PageOptions & { raw: false }): AsyncGenerator<Transaction, void>
+  iterateTransactions(
+    filters?: TransactionFilters,
+    options?: PageOptions
+  ): AsyncGenerator<DefaultShape<Raw, RawTransaction, Transaction>, void>
+  getAllTransactions(filters: TransactionFilters, options: PageOptions & { raw: true }): Promise<RawTransaction[]>
+  getAllTransactions(filters: TransactionFilters, options: PageOptions & { raw: false }): Promise<Transaction[]>
+  getAllTransactions(filters?: TransactionFilters, options?: PageOptions): Promise<DefaultShape<Raw, RawTransaction, Transaction>[]>
+  getTransactionsSummary: typeof getTransactionsSummary
+  getRecurringTransactions: typeof getRecurringTransactions
+  getTransactionCategories(options: RawOptions & { raw: true }): Promise<Ops.GetTransactionCategoriesResult>
+  getTransactionCategories(options: ModelOptions): Promise<Category[]>
+  getTransactionCategories(options?: CallOptions): Promise<DefaultShape<Raw, Ops.GetTransactionCategoriesResult, Category[]>>
+  getTransactionCategoryGroups: typeof getTransactionCategoryGroups
+  getTransactionTags: typeof getTransactionTags
+  getMerchants: typeof getMerchants
+  getTransactionDetails(
+    transactionId: string,
+    redirectPosted: boolean,
+    options: RawOptions & { raw: true }
+  ): Promise<Ops.GetTransactionDetailsResult>
+  getTransactionDetails(transactionId: string, redirectPosted: boolean, options: ModelOptions): Promise<Transaction>
+  getTransactionDetails(
+    transactionId: string,
+    redirectPosted?: boolean,
+    options?: CallOptions
+  ): Promise<DefaultShape<Raw, Ops.GetTransactionDetailsResult, Transaction>>
+  getTransactionSplits: typeof getTransactionSplits
+  getCashflow: typeof getCashflow
+  getCashflowSummary: typeof getCashflowSummary
+  deleteTransactionCategory: typeof deleteTransactionCategory
+  deleteTransactionCategories: typeof deleteTransactionCategories
+  createTransactionCategory: typeof createTransactionCategory
+  createTransactionTag: typeof createTransactionTag
+  setTransactionTags: typeof setTransactionTags
+  updateTransactionSplits: typeof updateTransactionSplits
+  updateTransaction: typeof updateTransaction
+  setBudgetAmount: typeof setBudgetAmount
+  deleteTransaction: typeof deleteTransaction
+  createTransaction: typeof createTransaction
+  uploadAccountBalanceHistory: typeof uploadAccountBalanceHistory
+  uploadAccountBalanceHistories: typeof uploadAccountBalanceHistories
+  createManualAccount: typeof createManualAccount
+  updateAccount: typeof updateAccount
+  deleteAccount: typeof deleteAccount
+  migrateAccountHistory: typeof migrateAccountHistory
+  requestAccountsRefresh: typeof requestAccountsRefresh
+  isAccountsRefreshComplete: typeof isAccountsRefreshComplete
+  requestAccountsRefreshAndWait: typeof requestAccountsRefreshAndWait
+  requestAccountsRefreshAndDontWait: typeof requestAccountsRefreshAndDontWait
+  getSchema: typeof getSchema
+  resolveId: typeof resolveId
+  resolveIds: typeof resolveIds
+  refreshLookups: typeof refreshLookups
+  query: typeof query
+  mutate: typeof mutate
+  queryTransactions(): TransactionQuery<Raw>
+}
@@ -1,4 +1,14 @@
 export * from './constants.js';
+export * from './errors.js';
+export * from './logger.js';
+export * from './client.js';
 export * from './session.js';
+export * from './sessionStore.js';
 export * from './login.js';
-export * from './api.js';
\ No newline at end of file
+export * from './models.js';
+export * from './queries.js';
+export * from './api.js';
+export * from './operations.js';
+export * from './transactionQuery.js';
+export * from './balanceHistory.js';
+export * from './cassette.js';
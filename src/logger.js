@@ -0,0 +1,90 @@
+// logger.js
+
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity,
+}
+
+const REDACTED = "[REDACTED]"
+const SENSITIVE_KEY = /token|passw|totp|secret|authorization/i
+const STRING_PATTERNS = [
+  // Authorization header values: "Token abc123", "Bearer abc123"
+  [/\b(Token|Bearer)\s+[\w.~+/=-]+/g, `$1 ${REDACTED}`],
+  // key=value and "key": "value" pairs, as in form bodies and JSON
+  [/((?:token|password|passwd|totp|secret)\w*["']?\s*[:=]\s*["']?)[^"'&\s,}]+/gi, `$1${REDACTED}`],
+]
+
+const redactString = (value) => STRING_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), value)
+
+// Returns a copy of `value` with tokens, passwords and TOTP codes masked, both
+// under sensitive keys and inside strings.
+export const redact = (value, seen = new WeakSet()) => {
+  if (typeof value === "string") {
+    return redactString(value)
+  }
+  if (value instanceof Error) {
+    return redactString(value.stack || `${value.name}: ${value.message}`)
+  }
+  if (!value || typeof value !== "object") {
+    return value
+  }
+  if (seen.has(value)) {
+    return "[Circular]"
+  }
+  seen.add(value)
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, seen))
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, SENSITIVE_KEY.test(key) && item ? REDACTED : redact(item, seen)])
+  )
+}
+
+// Writes redacted log lines at or above `level` to `sink`: the console, any
+// object with debug/info/warn/error methods, or a function (level, ...args).
+export class Logger {
+  constructor({ level = "silent", sink = console } = {}) {
+    if (!(level in LOG_LEVELS)) {
+      throw new Error(`Unknown log level "${level}"`)
+    }
+    this.level = level
+    this.sink = sink
+  }
+
+  log(level, ...args) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[this.level]) {
+      return
+    }
+    const redacted = args.map((arg) => redact(arg))
+    if (typeof this.sink === "function") {
+      this.sink(level, ...redacted)
+      return
+    }
+    const write = this.sink[level] || this.sink.log
+    if (write) {
+      write.call(this.sink, ...redacted)
+    }
+  }
+
+  debug(...args) {
+    this.log("debug", ...args)
+  }
+
+  info(...args) {
+    this.log("info", ...args)
+  }
+
+  warn(...args) {
+    this.log("warn", ...args)
+  }
+
+  error(...args) {
+    this.log("error", ...args)
+  }
+}
+
+export const createLogger = (options = {}) => (options instanceof Logger ? options : new Logger(options))
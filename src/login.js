@@ -1,9 +1,9 @@
-import fetch from "node-fetch"
+import { authenticator } from "otplib"
 import { promisify } from "util"
-import { RequireMFAException, LoginFailedException } from "./api.js"
-import { MonarchMoneyEndpoints, ERRORS_KEY, ENV_TOKEN_KEY } from "./constants.js"
-// import { getHeaders, setToken, saveSession } from "./session.js"
-import { getHeaders, setToken } from "./session.js"
+import { RequireMFAException, LoginFailedException } from "./errors.js"
+import { MonarchMoneyEndpoints, ERRORS_KEY, AUTH_HEADER_KEY } from "./constants.js"
+import { MonarchClient, resolveClient } from "./client.js"
+import { fetchWithRetry } from "./retry.js"
 import readline from "readline"
 
 export const createInterface = () =>
@@ -12,7 +12,13 @@ export const createInterface = () =>
     output: process.stdout,
   })
 
-export const loginUser = async (email, password, mfaSecretKey) => {
+const TOTP_STEP_SECONDS = 30
+
+export const generateOtp = (mfaSecretKey) => authenticator.generate(mfaSecretKey)
+
+const totpWindow = () => Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS)
+
+const postLogin = async (client, email, password, totp = null, options = {}) => {
   const data = new URLSearchParams({
     password,
     supports_mfa: true,
@@ -20,83 +26,138 @@ export const loginUser = async (email, password, mfaSecretKey) => {
     username: email,
   })
 
-  if (mfaSecretKey) {
-    data.append("totp", generateOtp(mfaSecretKey)) // You need to implement generateOtp function if required
+  if (totp) {
+    data.append("totp", totp)
   }
 
-  const response = await fetch(MonarchMoneyEndpoints.getLoginEndpoint(), {
-    method: "POST",
-    headers: getHeaders(),
-    body: data,
-  })
+  // Logging in again after the token expired must not send the rejected token
+  const headers = { ...client.getHeaders() }
+  delete headers[AUTH_HEADER_KEY]
 
-  if (response.status === 403) {
-    throw new RequireMFAException("Multi-Factor Auth Required")
-  } else if (response.status !== 200) {
-    throw new LoginFailedException(`HTTP Code ${response.status}: ${response.statusText}`)
-  }
+  return await fetchWithRetry(
+    client.retryPolicy,
+    MonarchMoneyEndpoints.getLoginEndpoint(client.baseUrl),
+    {
+      method: "POST",
+      headers,
+      body: data,
+    },
+    {
+      operation: "login",
+      signal: options.signal,
+      timeoutMs: client.timeoutFor(options),
+      fetch: client.fetch,
+      onRetry: (error, attempt, delay) => client.logger.warn(`Retrying login in ${Math.round(delay)}ms:`, error.message),
+    }
+  )
+}
 
-  const json = await response.json()
-  console.log(json.token)
+const loginErrorMessage = async (response) => {
+  const json = await response.json().catch(() => ({}))
+  return json[ERRORS_KEY] ? json[ERRORS_KEY] : `HTTP Code ${response.status}: ${response.statusText}`
+}
 
-  setToken(json.token)
+const completeLogin = async (client, email, response, saveSessionFlag) => {
+  const json = await response.json()
+  client.setToken(json.token, email)
+  if (saveSessionFlag) {
+    await client.saveSession()
+  }
 }
 
-export const multiFactorAuthenticate = async (email, password, code) => {
-  const data = new URLSearchParams({
-    password,
-    supports_mfa: true,
-    totp: code,
-    trusted_device: false,
-    username: email,
-  })
+export async function loginUser(email, password, mfaSecretKey = null, saveSessionFlag = true, options = {}) {
+  const client = resolveClient(this)
 
-  const response = await fetch(MonarchMoneyEndpoints.getLoginEndpoint(), {
-    method: "POST",
-    headers: getHeaders(),
-    body: data,
-  })
+  if (!mfaSecretKey) {
+    const response = await postLogin(client, email, password, null, options)
+    if (response.status === 403) {
+      client.logger.warn("Login requires multi-factor auth")
+      throw new RequireMFAException("Multi-Factor Auth Required. Pass mfaSecretKey to log in without a prompt.")
+    } else if (response.status !== 200) {
+      throw new LoginFailedException(await loginErrorMessage(response))
+    }
+    client.logger.info("Logged in as", email)
+    return await completeLogin(client, email, response, saveSessionFlag)
+  }
+
+  const window = totpWindow()
+  let response = await postLogin(client, email, password, generateOtp(mfaSecretKey), options)
+
+  // A code generated just before a 30-second boundary can expire on the way
+  // to the server; try once more with the code for the new window.
+  if (response.status !== 200 && totpWindow() !== window) {
+    client.logger.warn("TOTP code expired in flight, retrying with a fresh code")
+    response = await postLogin(client, email, password, generateOtp(mfaSecretKey), options)
+  }
 
   if (response.status !== 200) {
-    const json = await response.json()
-    const errorMessage = json[ERRORS_KEY] ? json[ERRORS_KEY] : "Unknown error"
+    const errorMessage = await loginErrorMessage(response)
+    client.logger.error("Login with TOTP failed:", errorMessage)
     throw new LoginFailedException(errorMessage)
   }
 
-  const json = await response.json()
-  console.log(json.token)
-  setToken(json.token)
+  client.logger.info("Logged in with TOTP as", email)
+  await completeLogin(client, email, response, saveSessionFlag)
+}
+
+export async function multiFactorAuthenticate(email, password, code, saveSessionFlag = true, options = {}) {
+  const client = resolveClient(this)
+  const response = await postLogin(client, email, password, code, options)
+
+  if (response.status !== 200) {
+    const errorMessage = await loginErrorMessage(response)
+    client.logger.error("Multi-factor auth failed:", errorMessage)
+    throw new LoginFailedException(errorMessage)
+  }
+
+  client.logger.info("Logged in with multi-factor auth as", email)
+  await completeLogin(client, email, response, saveSessionFlag)
+}
+
+// Logs in without prompting. With `mfaSecretKey` (the TOTP secret shown when
+// enabling 2FA) the code is generated here, so headless servers can log in
+// unattended.
+export async function login(
+  email,
+  password,
+  { mfaSecretKey = null, useSavedSession = true, saveSession = true, ...options } = {}
+) {
+  const client = resolveClient(this)
+  if (useSavedSession && (await client.loadSessionFor(email))) {
+    return
+  }
+
+  if (!email || !password) {
+    throw new LoginFailedException("Email and password are required to login when not using a saved session.")
+  }
+
+  await client.loginUser(email, password, mfaSecretKey, saveSession, options)
 }
 
-export const interactiveLogin = async (useSavedSession = true, saveSessionFlag = true) => {
+export async function interactiveLogin(useSavedSession = true, saveSessionFlag = true) {
+  const client = resolveClient(this)
+  if (useSavedSession && (await client.sessionExists())) {
+    await client.loadSession()
+    return
+  }
+
   const rl = createInterface()
   const email = await promisify(rl.question).bind(rl)("Email: ")
   const passwd = await promisify(rl.question).bind(rl)("Password: ")
   rl.close()
 
   try {
-    await loginUser(email, passwd)
+    await client.loginUser(email, passwd, null, saveSessionFlag)
   } catch (error) {
     if (error instanceof RequireMFAException) {
       const rl = createInterface()
       const twoFactorCode = await promisify(rl.question).bind(rl)("Two Factor Code: ")
       rl.close()
-      await multiFactorAuthenticate(email, passwd, twoFactorCode)
-      if (saveSessionFlag) {
-        // saveSession()
-      }
+      await client.multiFactorAuthenticate(email, passwd, twoFactorCode, saveSessionFlag)
     } else {
       throw error
     }
   }
 }
 
-// interactiveLogin()
-if (!process.env[ENV_TOKEN_KEY]) {
-    console.error(`No environment variable with key "${ENV_TOKEN_KEY}" found.`)
-    // throw new Error(`No environment variable with key "${ENV_TOKEN_KEY}" found.`)
-    // interactiveLogin()
-} else {
-    // console.log(`Loaded token from environment variable ${ENV_TOKEN_KEY}. ` + process.env[ENV_TOKEN_KEY])
-    // setToken(process.env.token)
-}
+Object.assign(MonarchClient.prototype, { loginUser, multiFactorAuthenticate, login, interactiveLogin })
@@ -0,0 +1,61 @@
+// mockServer.d.ts
+// Typings for the "monarch-money-api/mock" entry point.
+import type { GraphQLSchema } from "graphql"
+import type { MonarchClient, MonarchClientOptions } from "./index.js"
+
+export declare const MOCK_TOKEN: "mock-token"
+
+// Records are loose: seed only the fields a test cares about.
+export type MockRecord = { id: string | number } & Record<string, unknown>
+
+export interface MockSeed {
+  users?: Array<MockRecord & { email: string; password: string; mfaSecretKey?: string | null; mfaCode?: string | null }>
+  institutions?: MockRecord[]
+  credentials?: MockRecord[]
+  accounts?: MockRecord[]
+  categoryGroups?: MockRecord[]
+  categories?: MockRecord[]
+  tags?: MockRecord[]
+  merchants?: MockRecord[]
+  transactions?: MockRecord[]
+  budgets?: Array<{ categoryId: string; month: string; amount: number; applyToFuture?: boolean }>
+  snapshots?: Array<{ accountId: string; date: string; balance: number }>
+  holdings?: MockRecord[]
+  recurring?: MockRecord[]
+  subscription?: Record<string, unknown>
+}
+
+export type MockData = { [K in keyof MockSeed]-?: NonNullable<MockSeed[K]> } & { nextId(): string }
+
+export interface MockRequest {
+  operationName: string | null
+  variables: Record<string, unknown>
+  query?: string
+}
+
+export type MockStubResult = Record<string, unknown> | { status: number; body?: unknown; headers?: Record<string, string> }
+
+export interface MockServerOptions {
+  data?: MockSeed
+  token?: string | null
+  refreshPolls?: number
+  schema?: GraphQLSchema
+}
+
+export declare function createMockData(seed?: MockSeed): MockData
+
+export declare class MockMonarchServer {
+  constructor(options?: MockServerOptions)
+  data: MockData
+  requests: MockRequest[]
+  token: string | null
+  refreshPolls: number
+  schema: GraphQLSchema
+  url: string | null
+  reset(data?: MockSeed): this
+  listen(port?: number, host?: string): Promise<string>
+  close(): Promise<void>
+  client<Raw extends boolean = true>(options?: MonarchClientOptions & { raw?: Raw }): MonarchClient<Raw>
+  stub(operationName: string, handler: (request: Required<MockRequest>) => MockStubResult | Promise<MockStubResult>): this
+  revokeTokens(): void
+}
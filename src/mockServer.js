@@ -0,0 +1,1118 @@
+// mockServer.js
+import http from "http"
+import { GraphQLError, graphql } from "graphql"
+import { authenticator } from "otplib"
+// The entry point, so client() has every API method mixed in
+import { MonarchClient } from "./index.js"
+import { ERRORS_KEY } from "./constants.js"
+import { formatDate } from "./dates.js"
+import { reconstructSchema } from "./schema.js"
+import { createMemorySessionStore } from "./sessionStore.js"
+
+export const MOCK_TOKEN = "mock-token"
+
+const ACCOUNT_TYPES = {
+  depository: { display: "Cash", group: "asset", subtypes: { checking: "Checking", savings: "Savings" } },
+  credit: { display: "Credit Cards", group: "liability", subtypes: { credit_card: "Credit Card" } },
+  brokerage: { display: "Investments", group: "asset", subtypes: { brokerage: "Brokerage", st_401k: "401k", ira: "IRA" } },
+  loan: { display: "Loans", group: "liability", subtypes: { mortgage: "Mortgage", auto: "Auto", student: "Student" } },
+  real_estate: { display: "Real Estate", group: "asset", subtypes: { primary_home: "Primary Home" } },
+  vehicle: { display: "Vehicles", group: "asset", subtypes: { car: "Car" } },
+  other_asset: { display: "Other Assets", group: "asset", subtypes: { other: "Other" } },
+  other_liability: { display: "Other Liabilities", group: "liability", subtypes: { other: "Other" } },
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// The day of a Date at UTC midnight, which the date arithmetic here works in.
+// "Today" is the local date, as the client sees it.
+const toDay = (date) => date.toISOString().split("T")[0]
+
+const monthStart = (day) => `${day.slice(0, 7)}-01`
+
+const addMonths = (day, months) => {
+  const date = new Date(`${monthStart(day)}T00:00:00Z`)
+  date.setUTCMonth(date.getUTCMonth() + months)
+  return toDay(date)
+}
+
+const monthsBetween = (startDay, endDay) => {
+  const months = []
+  for (let month = monthStart(startDay); month <= endDay; month = addMonths(month, 1)) {
+    months.push(month)
+  }
+  return months
+}
+
+const sum = (values) => Math.round(values.reduce((total, value) => total + value, 0) * 100) / 100
+
+const matchesSearch = (search, ...values) => !search || values.some((value) => value && value.toLowerCase().includes(search.toLowerCase()))
+
+const payloadError = (message, field = null) => ({
+  message,
+  code: field ? "INVALID" : "ERROR",
+  fieldErrors: field ? [{ field, messages: [message] }] : [],
+})
+
+const notFound = (kind, id) => new GraphQLError(`${kind} ${id} not found`, { extensions: { code: "NOT_FOUND" } })
+
+// A small household dated around the current month, so the default date
+// ranges of getBudgets(), getCashflow() and friends find something.
+const defaultData = () => {
+  const month = monthStart(formatDate(new Date()))
+  const lastMonth = addMonths(month, -1)
+  const day = (dayOfMonth) => `${month.slice(0, 8)}${String(dayOfMonth).padStart(2, "0")}`
+  return {
+    users: [{ id: "1", name: "Mock User", email: "user@example.com", password: "password", timezone: "America/New_York" }],
+    institutions: [{ id: "301", name: "Mock Bank", url: "https://bank.example.com", primaryColor: "#0061A8" }],
+    credentials: [{ id: "201", institutionId: "301" }],
+    accounts: [
+      {
+        id: "101",
+        displayName: "Checking",
+        type: "depository",
+        subtype: "checking",
+        currentBalance: 2500,
+        mask: "1234",
+        credentialId: "201",
+      },
+      {
+        id: "102",
+        displayName: "Credit Card",
+        type: "credit",
+        subtype: "credit_card",
+        currentBalance: -420.5,
+        mask: "9876",
+        credentialId: "201",
+      },
+      { id: "103", displayName: "Brokerage", type: "brokerage", subtype: "brokerage", currentBalance: 12500, credentialId: "201" },
+    ],
+    categoryGroups: [
+      { id: "401", name: "Income", type: "income" },
+      { id: "402", name: "Food & Dining", type: "expense" },
+      { id: "403", name: "Transfers", type: "transfer" },
+    ],
+    categories: [
+      { id: "501", name: "Paychecks", groupId: "401" },
+      { id: "502", name: "Groceries", groupId: "402" },
+      { id: "503", name: "Restaurants", groupId: "402" },
+      { id: "504", name: "Transfer", groupId: "403" },
+    ],
+    tags: [
+      { id: "601", name: "Reimbursable", color: "#19D2A5" },
+      { id: "602", name: "Vacation", color: "#FF7369" },
+    ],
+    merchants: [
+      { id: "701", name: "Employer" },
+      { id: "702", name: "Whole Foods" },
+      { id: "703", name: "Pizza Place" },
+    ],
+    transactions: [
+      { id: "801", accountId: "101", categoryId: "501", merchantId: "701", amount: 3000, date: day(1), isRecurring: true },
+      { id: "802", accountId: "102", categoryId: "502", merchantId: "702", amount: -85.2, date: day(2) },
+      { id: "803", accountId: "102", categoryId: "503", merchantId: "703", amount: -32, date: day(3), notes: "Dinner", tagIds: ["602"] },
+      { id: "804", accountId: "102", categoryId: "502", merchantId: "702", amount: -61.75, date: day(4), pending: true },
+      {
+        id: "805",
+        accountId: "101",
+        categoryId: "501",
+        merchantId: "701",
+        amount: 3000,
+        date: `${lastMonth.slice(0, 8)}01`,
+        isRecurring: true,
+      },
+    ],
+    budgets: [
+      { categoryId: "501", month, amount: 3000 },
+      { categoryId: "502", month, amount: 400 },
+      { categoryId: "503", month, amount: 150 },
+    ],
+    snapshots: [
+      { accountId: "101", date: lastMonth, balance: 1800 },
+      { accountId: "101", date: month, balance: 2500 },
+      { accountId: "102", date: lastMonth, balance: -300 },
+      { accountId: "102", date: month, balance: -420.5 },
+      { accountId: "103", date: lastMonth, balance: 12000 },
+      { accountId: "103", date: month, balance: 12500 },
+    ],
+    holdings: [
+      {
+        id: "901",
+        accountId: "103",
+        ticker: "VTI",
+        name: "Vanguard Total Stock Market ETF",
+        quantity: 50,
+        basis: 10000,
+        closingPrice: 250,
+      },
+    ],
+    recurring: [{ id: "1001", merchantId: "701", accountId: "101", categoryId: "501", amount: 3000, frequency: "monthly", dayOfMonth: 1 }],
+    subscription: { id: "1", paymentSource: "STRIPE", referralCode: "MOCK", isOnFreeTrial: false, hasPremiumEntitlement: true },
+  }
+}
+
+// Builds the mock server's dataset: `seed` replaces the default collection of
+// the same name (pass [] to empty one), and every record gets the fields the
+// queries select.
+export const createMockData = (seed = {}) => {
+  const source = { ...defaultData(), ...seed }
+  const now = new Date().toISOString()
+  const stamp = (record) => ({ createdAt: now, updatedAt: now, ...record, id: String(record.id) })
+
+  const data = {
+    users: source.users.map((user) => ({ timezone: null, mfaSecretKey: null, mfaCode: null, ...user, id: String(user.id) })),
+    institutions: source.institutions.map((institution) => ({
+      url: null,
+      primaryColor: null,
+      status: "HEALTHY",
+      ...institution,
+      id: String(institution.id),
+    })),
+    credentials: source.credentials.map((credential) => ({
+      dataProvider: "PLAID",
+      updateRequired: false,
+      ...credential,
+      id: String(credential.id),
+    })),
+    accounts: source.accounts.map((account, index) => {
+      const group = ACCOUNT_TYPES[account.type] ? ACCOUNT_TYPES[account.type].group : "asset"
+      return stamp({
+        type: "depository",
+        subtype: null,
+        currentBalance: 0,
+        isAsset: group === "asset",
+        isManual: !account.credentialId,
+        includeInNetWorth: true,
+        isHidden: false,
+        hideFromList: false,
+        hideTransactionsFromReports: false,
+        mask: null,
+        credentialId: null,
+        deletedAt: null,
+        order: index,
+        ...account,
+      })
+    }),
+    categoryGroups: source.categoryGroups.map((group, index) => stamp({ type: "expense", order: index, ...group })),
+    categories: source.categories.map((category, index) =>
+      stamp({ order: index, icon: null, isSystemCategory: false, rolloverPeriod: null, ...category })
+    ),
+    tags: source.tags.map((tag, index) => ({ color: null, order: index, ...tag, id: String(tag.id) })),
+    merchants: source.merchants.map((merchant) => ({ logoUrl: null, ...merchant, id: String(merchant.id) })),
+    transactions: source.transactions.map((transaction) =>
+      stamp({
+        categoryId: null,
+        merchantId: null,
+        notes: null,
+        pending: false,
+        hideFromReports: false,
+        needsReview: false,
+        isRecurring: false,
+        isManual: false,
+        tagIds: [],
+        attachments: [],
+        splits: [],
+        ...transaction,
+      })
+    ),
+    budgets: source.budgets.map((budget) => ({ applyToFuture: false, ...budget, month: monthStart(budget.month) })),
+    snapshots: source.snapshots.map((snapshot) => ({ ...snapshot })),
+    holdings: source.holdings.map((holding) => ({
+      basis: null,
+      closingPrice: null,
+      type: "etf",
+      isManual: false,
+      ...holding,
+      id: String(holding.id),
+    })),
+    recurring: source.recurring.map((stream) => ({
+      frequency: "monthly",
+      dayOfMonth: 1,
+      isApproximate: false,
+      ...stream,
+      id: String(stream.id),
+    })),
+    subscription: { ...source.subscription },
+  }
+
+  const ids = Object.values(data)
+    .filter(Array.isArray)
+    .flat()
+    .map((record) => Number(record.id))
+    .filter(Number.isInteger)
+  let lastId = Math.max(10000, ...ids)
+  Object.defineProperty(data, "nextId", { value: () => String(++lastId) })
+  return data
+}
+
+// Transaction filters as getTransactions() and getCashflow() send them.
+const filterTransactions = (data, filters = {}) =>
+  data.transactions.filter((transaction) => {
+    const merchant = data.merchants.find((m) => m.id === transaction.merchantId)
+    const account = data.accounts.find((a) => a.id === transaction.accountId)
+    return (
+      matchesSearch(filters.search, merchant && merchant.name, transaction.notes, transaction.plaidName) &&
+      (!filters.accounts || !filters.accounts.length || filters.accounts.includes(transaction.accountId)) &&
+      (!filters.categories || !filters.categories.length || filters.categories.includes(transaction.categoryId)) &&
+      (!filters.tags || !filters.tags.length || filters.tags.some((tagId) => transaction.tagIds.includes(tagId))) &&
+      (!filters.startDate || transaction.date >= filters.startDate) &&
+      (!filters.endDate || transaction.date <= filters.endDate) &&
+      (filters.hasAttachments == null || filters.hasAttachments === transaction.attachments.length > 0) &&
+      (filters.hasNotes == null || filters.hasNotes === Boolean(transaction.notes)) &&
+      (filters.hideFromReports == null || filters.hideFromReports === transaction.hideFromReports) &&
+      (filters.isSplit == null || filters.isSplit === transaction.splits.length > 0) &&
+      (filters.isRecurring == null || filters.isRecurring === transaction.isRecurring) &&
+      (filters.syncedFromInstitution == null || filters.syncedFromInstitution === Boolean(account && !account.isManual)) &&
+      (filters.importedFromMint == null || filters.importedFromMint === false)
+    )
+  })
+
+// Transactions that count towards budgets and cash flow.
+const reportable = (data, transactions) =>
+  transactions.filter((transaction) => {
+    const category = data.categories.find((c) => c.id === transaction.categoryId)
+    const group = category && data.categoryGroups.find((g) => g.id === category.groupId)
+    return !transaction.hideFromReports && (!group || group.type !== "transfer")
+  })
+
+const summarize = (transactions) => {
+  const amounts = transactions.map((transaction) => transaction.amount)
+  const dates = transactions.map((transaction) => transaction.date).sort()
+  const sumIncome = sum(amounts.filter((amount) => amount > 0))
+  const sumExpense = sum(amounts.filter((amount) => amount < 0))
+  const savings = sum([sumIncome, sumExpense])
+  return {
+    avg: amounts.length ? sum(amounts) / amounts.length : null,
+    count: amounts.length,
+    max: amounts.length ? Math.max(...amounts) : null,
+    maxExpense: amounts.some((amount) => amount < 0) ? Math.min(...amounts) : null,
+    sum: sum(amounts),
+    sumIncome,
+    sumExpense,
+    first: dates.length ? dates[0] : null,
+    last: dates.length ? dates[dates.length - 1] : null,
+    savings,
+    savingsRate: sumIncome ? savings / sumIncome : 0,
+  }
+}
+
+// Resolver objects for the query and mutation fields in the schema that
+// reconstructSchema() builds. Fields given as functions are called with the
+// field's arguments.
+const createRoot = (server, user) => {
+  const { data } = server
+  const find = (collection, id) => data[collection].find((record) => record.id === String(id))
+
+  const institution = (record) =>
+    record && {
+      ...record,
+      plaidInstitutionId: null,
+      hasIssuesReported: false,
+      hasIssuesReportedMessage: null,
+      plaidStatus: null,
+      balanceStatus: "HEALTHY",
+      transactionsStatus: "HEALTHY",
+    }
+
+  const credential = (record) =>
+    record && {
+      ...record,
+      disconnectedFromDataProviderAt: null,
+      displayLastUpdatedAt: new Date().toISOString(),
+      canBeForceRefreshed: true,
+      hasSyncInProgress: () => data.accounts.some((a) => a.credentialId === record.id && a.refreshPollsRemaining > 0),
+      institution: () => institution(find("institutions", record.institutionId)),
+    }
+
+  const accountType = (name) => {
+    const type = ACCOUNT_TYPES[name] || { display: name, group: "asset", subtypes: {} }
+    return {
+      name,
+      display: type.display,
+      group: type.group,
+      possibleSubtypes: Object.entries(type.subtypes).map(([subtype, display]) => ({ name: subtype, display })),
+    }
+  }
+
+  const balanceOn = (record, day) => {
+    const snapshots = data.snapshots.filter((s) => s.accountId === record.id && s.date <= day).sort((a, b) => a.date.localeCompare(b.date))
+    return snapshots.length ? snapshots[snapshots.length - 1].balance : record.currentBalance
+  }
+
+  const account = (record) => {
+    if (!record) {
+      return null
+    }
+    const accountCredential = find("credentials", record.credentialId)
+    return {
+      ...record,
+      syncDisabled: false,
+      deactivatedAt: null,
+      displayBalance: record.currentBalance,
+      displayLastUpdatedAt: record.updatedAt,
+      includeBalanceInNetWorth: record.includeInNetWorth,
+      includeInGoalBalance: false,
+      dataProvider: accountCredential ? accountCredential.dataProvider : null,
+      dataProviderAccountId: null,
+      manualInvestmentsTrackingMethod: null,
+      logoUrl: null,
+      icon: null,
+      invertSyncedBalance: false,
+      canInvertBalance: false,
+      isLiability: !record.isAsset,
+      transactionsCount: () => data.transactions.filter((t) => t.accountId === record.id).length,
+      holdingsCount: () => data.holdings.filter((h) => h.accountId === record.id).length,
+      type: accountType(record.type),
+      subtype: record.subtype && {
+        name: record.subtype,
+        display: accountType(record.type).possibleSubtypes.find((s) => s.name === record.subtype)?.display || record.subtype,
+      },
+      credential: () => credential(accountCredential),
+      institution: () => institution(accountCredential && find("institutions", accountCredential.institutionId)),
+      recentBalances: ({ startDate }) => {
+        const balances = []
+        for (let day = new Date(`${startDate}T00:00:00Z`); toDay(day) <= formatDate(new Date()); day = new Date(day.getTime() + DAY_MS)) {
+          balances.push(balanceOn(record, toDay(day)))
+        }
+        return balances
+      },
+      // A refresh reports itself in progress for `refreshPolls` reads
+      hasSyncInProgress: () => {
+        if (record.refreshPollsRemaining > 0) {
+          record.refreshPollsRemaining--
+          return true
+        }
+        return false
+      },
+    }
+  }
+
+  const group = (record) =>
+    record && {
+      ...record,
+      groupLevelBudgetingEnabled: false,
+      budgetVariability: null,
+      rolloverPeriod: null,
+      categories: () => data.categories.filter((c) => c.groupId === record.id).map(category),
+    }
+
+  const category = (record) =>
+    record && {
+      ...record,
+      budgetVariability: "flexible",
+      systemCategory: null,
+      systemCategoryDisplayName: null,
+      isDisabled: false,
+      group: () => group(find("categoryGroups", record.groupId)),
+    }
+
+  const countFor = (predicate) => () => data.transactions.filter(predicate).length
+
+  const merchant = (record) =>
+    record && {
+      ...record,
+      transactionsCount: countFor((t) => t.merchantId === record.id),
+      transactionCount: countFor((t) => t.merchantId === record.id),
+      recurringTransactionStream: () => {
+        const stream = data.recurring.find((s) => s.merchantId === record.id)
+        return stream ? { id: stream.id } : null
+      },
+    }
+
+  const tag = (record) => record && { ...record, transactionCount: countFor((t) => t.tagIds.includes(record.id)) }
+
+  const split = (record, parent) => ({
+    ...record,
+    date: parent.date,
+    pending: parent.pending,
+    merchant: () => merchant(find("merchants", record.merchantId)),
+    category: () => category(find("categories", record.categoryId)),
+  })
+
+  const transaction = (record) =>
+    record && {
+      ...record,
+      plaidName: record.plaidName || null,
+      reviewStatus: null,
+      reviewedAt: null,
+      reviewedByUser: null,
+      needsReviewByUser: null,
+      dataProviderDescription: null,
+      originalDate: record.date,
+      isSplitTransaction: false,
+      hasSplitTransactions: record.splits.length > 0,
+      splitTransactions: () => record.splits.map((s) => split(s, record)),
+      originalTransaction: null,
+      goal: null,
+      account: () => account(find("accounts", record.accountId)),
+      category: () => category(find("categories", record.categoryId)),
+      merchant: () => merchant(find("merchants", record.merchantId)),
+      tags: () => record.tagIds.map((id) => tag(find("tags", id))).filter(Boolean),
+    }
+
+  const findOrCreateMerchant = (name) => {
+    let record = data.merchants.find((m) => m.name.toLowerCase() === name.toLowerCase())
+    if (!record) {
+      record = { id: data.nextId(), name, logoUrl: null }
+      data.merchants.push(record)
+    }
+    return record
+  }
+
+  const touch = (record) => {
+    record.updatedAt = new Date().toISOString()
+    return record
+  }
+
+  const monthlyAmounts = (categoryIds, months, type) =>
+    months.map((month) => {
+      const planned = sum(
+        data.budgets
+          .filter((b) => categoryIds.includes(b.categoryId) && (b.month === month || (b.applyToFuture && b.month < month)))
+          .map((b) => b.amount)
+      )
+      const spent = reportable(data, data.transactions).filter((t) => categoryIds.includes(t.categoryId) && monthStart(t.date) === month)
+      const actual = sum(spent.map((t) => (type === "income" ? t.amount : -t.amount)))
+      return {
+        month,
+        plannedCashFlowAmount: planned,
+        plannedSetAsideAmount: 0,
+        actualAmount: actual,
+        remainingAmount: sum([planned, -actual]),
+        previousMonthRolloverAmount: 0,
+        rolloverType: null,
+      }
+    })
+
+  const total = (amounts) => ({
+    plannedAmount: sum(amounts.map((a) => a.plannedCashFlowAmount)),
+    actualAmount: sum(amounts.map((a) => a.actualAmount)),
+    remainingAmount: sum(amounts.map((a) => a.remainingAmount)),
+    previousMonthRolloverAmount: 0,
+  })
+
+  const categoriesOfType = (type) =>
+    data.categories.filter((c) => {
+      const categoryGroup = find("categoryGroups", c.groupId)
+      return categoryGroup && categoryGroup.type === type
+    })
+
+  return {
+    // Queries
+    me: () => ({ id: user.id, name: user.name, email: user.email, timezone: user.timezone }),
+    myHousehold: () => ({ users: data.users.map(({ id, name }) => ({ id, name })) }),
+    householdPreferences: () => ({ id: "1", accountGroupOrder: [] }),
+    subscription: () => data.subscription,
+    accounts: ({ filters = null }) => data.accounts.filter((a) => !a.deletedAt || (filters && filters.includeDeleted)).map(account),
+    account: ({ id }) => account(find("accounts", id)),
+    accountTypeOptions: () =>
+      Object.keys(ACCOUNT_TYPES).flatMap((name) => {
+        const type = accountType(name)
+        return type.possibleSubtypes.map((subtype) => ({ type, subtype }))
+      }),
+    accountTypes: () => [...new Set(data.accounts.map((a) => a.type))].map((name) => ({ name, group: accountType(name).group })),
+    credentials: () => data.credentials.map(credential),
+    snapshotsForAccount: ({ accountId }) =>
+      data.snapshots
+        .filter((s) => s.accountId === String(accountId))
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map((s) => ({ date: s.date, signedBalance: s.balance })),
+    snapshotsByAccountType: ({ startDate, timeframe }) => {
+      const period = (day) => (timeframe === "year" ? `${day.slice(0, 4)}-01-01` : monthStart(day))
+      const periods = [...new Set(data.snapshots.filter((s) => s.date >= startDate).map((s) => period(s.date)))].sort()
+      return periods.flatMap((month) =>
+        [...new Set(data.accounts.map((a) => a.type))].map((accountType) => ({
+          accountType,
+          month,
+          balance: sum(data.accounts.filter((a) => a.type === accountType).map((a) => balanceOn(a, month))),
+        }))
+      )
+    },
+    aggregateSnapshots: ({ filters = null }) => {
+      const { startDate = null, endDate = null, accountType: type = null } = filters || {}
+      const accounts = data.accounts.filter((a) => !a.deletedAt && (!type || a.type === type))
+      const dates = [...new Set(data.snapshots.map((s) => s.date))]
+        .filter((day) => (!startDate || day >= startDate) && (!endDate || day <= endDate))
+        .sort()
+      return dates.map((date) => ({ date, balance: sum(accounts.map((a) => balanceOn(a, date))) }))
+    },
+    portfolio: ({ input = null }) => {
+      const accountIds = input && input.accountIds ? input.accountIds.map(String) : null
+      const holdings = data.holdings.filter((h) => !accountIds || accountIds.includes(h.accountId))
+      return {
+        aggregateHoldings: {
+          edges: holdings.map((h) => {
+            const security = {
+              id: h.id,
+              name: h.name,
+              type: h.type,
+              ticker: h.ticker,
+              typeDisplay: h.type.toUpperCase(),
+              currentPrice: h.closingPrice,
+              currentPriceUpdatedAt: null,
+              closingPrice: h.closingPrice,
+              closingPriceUpdatedAt: null,
+              oneDayChangePercent: null,
+              oneDayChangeDollars: null,
+            }
+            return {
+              node: {
+                id: h.id,
+                quantity: h.quantity,
+                basis: h.basis,
+                totalValue: h.closingPrice === null ? null : sum([h.quantity * h.closingPrice]),
+                securityPriceChangeDollars: null,
+                securityPriceChangePercent: null,
+                lastSyncedAt: null,
+                holdings: [{ ...security, isManual: h.isManual }],
+                security,
+              },
+            }
+          }),
+        },
+      }
+    },
+    budgetData: ({ startMonth, endMonth }) => {
+      const months = monthsBetween(startMonth, endMonth)
+      const typeOf = (categoryRecord) => {
+        const categoryGroup = find("categoryGroups", categoryRecord.groupId)
+        return categoryGroup ? categoryGroup.type : "expense"
+      }
+      const incomeIds = categoriesOfType("income").map((c) => c.id)
+      const expenseIds = categoriesOfType("expense").map((c) => c.id)
+      const income = monthlyAmounts(incomeIds, months, "income")
+      const expenses = monthlyAmounts(expenseIds, months, "expense")
+      return {
+        monthlyAmountsByCategory: data.categories.map((c) => ({
+          category: category(c),
+          monthlyAmounts: monthlyAmounts([c.id], months, typeOf(c)),
+        })),
+        monthlyAmountsByCategoryGroup: data.categoryGroups.map((g) => ({
+          categoryGroup: group(g),
+          monthlyAmounts: monthlyAmounts(
+            data.categories.filter((c) => c.groupId === g.id).map((c) => c.id),
+            months,
+            g.type
+          ),
+        })),
+        monthlyAmountsForFlexExpense: { budgetVariability: "flexible", monthlyAmounts: expenses },
+        totalsByMonth: months.map((month, index) => ({
+          month,
+          totalIncome: total([income[index]]),
+          totalExpenses: total([expenses[index]]),
+          totalFixedExpenses: total([]),
+          totalNonMonthlyExpenses: total([]),
+          totalFlexibleExpenses: total([expenses[index]]),
+        })),
+      }
+    },
+    categoryGroups: () => data.categoryGroups.map(group),
+    categories: () => data.categories.map(category),
+    goals: () => [],
+    goalMonthlyContributions: () => [],
+    goalPlannedContributions: () => [],
+    goalsV2: () => [],
+    budgetSystem: () => "fixed_and_flex",
+    transactionRules: () => [],
+    allTransactions: ({ filters = null }) => {
+      const transactions = filterTransactions(data, filters || {})
+      return {
+        totalCount: transactions.length,
+        results: ({ offset = 0, limit = 100 }) =>
+          [...transactions]
+            .sort((a, b) => b.date.localeCompare(a.date) || Number(b.id) - Number(a.id))
+            .slice(offset || 0, (offset || 0) + (limit === null ? transactions.length : limit))
+            .map(transaction),
+      }
+    },
+    getTransaction: ({ id }) => {
+      const record = find("transactions", id)
+      if (!record) {
+        throw notFound("Transaction", id)
+      }
+      return transaction(record)
+    },
+    aggregates: ({ filters = null, groupBy = [] }) => {
+      const transactions = reportable(data, filterTransactions(data, filters || {}))
+      const emptyGroup = { category: null, categoryGroup: null, merchant: null }
+      const groupOf = {
+        category: (t) => t.categoryId,
+        categoryGroup: (t) => {
+          const c = find("categories", t.categoryId)
+          return c ? c.groupId : null
+        },
+        merchant: (t) => t.merchantId,
+      }
+      const [field] = groupBy || []
+      if (!field) {
+        return [{ groupBy: emptyGroup, summary: summarize(transactions) }]
+      }
+      const collection = { category: "categories", categoryGroup: "categoryGroups", merchant: "merchants" }[field]
+      const view = { category, categoryGroup: group, merchant }[field]
+      return [...new Set(transactions.map(groupOf[field]))].map((id) => ({
+        groupBy: { ...emptyGroup, [field]: view(find(collection, id) || null) },
+        summary: summarize(transactions.filter((t) => groupOf[field](t) === id)),
+      }))
+    },
+    recurringTransactionItems: ({ startDate, endDate }) =>
+      data.recurring.flatMap((stream) =>
+        monthsBetween(startDate, endDate)
+          .map((month) => `${month.slice(0, 8)}${String(stream.dayOfMonth).padStart(2, "0")}`)
+          .filter((date) => date >= startDate && date <= endDate)
+          .map((date) => {
+            const posted = data.transactions.find((t) => t.merchantId === stream.merchantId && t.date === date)
+            return {
+              stream: {
+                id: stream.id,
+                frequency: stream.frequency,
+                amount: stream.amount,
+                isApproximate: stream.isApproximate,
+                merchant: () => merchant(find("merchants", stream.merchantId)),
+              },
+              date,
+              isPast: date < formatDate(new Date()),
+              transactionId: posted ? posted.id : null,
+              amount: posted ? posted.amount : stream.amount,
+              amountDiff: posted ? sum([posted.amount, -stream.amount]) : null,
+              category: () => category(find("categories", stream.categoryId)),
+              account: () => account(find("accounts", stream.accountId)),
+            }
+          })
+      ),
+    householdTransactionTags: ({ search = null, limit = null }) =>
+      data.tags
+        .filter((t) => matchesSearch(search, t.name))
+        .slice(0, limit === null ? undefined : limit)
+        .map(tag),
+    merchants: ({ search = null, limit = null }) =>
+      data.merchants
+        .filter((m) => matchesSearch(search, m.name))
+        .slice(0, limit === null ? undefined : limit)
+        .map(merchant),
+
+    // Mutations
+    createTransaction: ({ input }) => {
+      const targetAccount = find("accounts", input.accountId)
+      if (!targetAccount) {
+        return { errors: payloadError("Account not found", "accountId"), transaction: null }
+      }
+      if (input.categoryId && !find("categories", input.categoryId)) {
+        return { errors: payloadError("Category not found", "categoryId"), transaction: null }
+      }
+      const now = new Date().toISOString()
+      const record = {
+        id: data.nextId(),
+        accountId: targetAccount.id,
+        categoryId: input.categoryId ? String(input.categoryId) : null,
+        merchantId: input.merchantName ? findOrCreateMerchant(input.merchantName).id : null,
+        amount: input.amount,
+        date: input.date,
+        notes: input.notes || null,
+        pending: false,
+        hideFromReports: false,
+        needsReview: false,
+        isRecurring: false,
+        isManual: true,
+        tagIds: [],
+        attachments: [],
+        splits: [],
+        createdAt: now,
+        updatedAt: now,
+      }
+      data.transactions.push(record)
+      if (input.shouldUpdateBalance) {
+        touch(targetAccount).currentBalance = sum([targetAccount.currentBalance, input.amount])
+      }
+      return { errors: null, transaction: transaction(record) }
+    },
+    updateTransaction: ({ input }) => {
+      const record = find("transactions", input.id)
+      if (!record) {
+        return { errors: payloadError("Transaction not found", "id"), transaction: null }
+      }
+      if (input.category && !find("categories", input.category)) {
+        return { errors: payloadError("Category not found", "category"), transaction: null }
+      }
+      if (input.category) record.categoryId = String(input.category)
+      if (input.name) record.merchantId = findOrCreateMerchant(input.name).id
+      for (const field of ["amount", "date", "hideFromReports", "needsReview", "notes"]) {
+        if (input[field] !== undefined) record[field] = input[field]
+      }
+      return { errors: null, transaction: transaction(touch(record)) }
+    },
+    deleteTransaction: ({ input }) => {
+      const index = data.transactions.findIndex((t) => t.id === String(input.transactionId))
+      if (index < 0) {
+        return { deleted: false, errors: payloadError("Transaction not found", "transactionId") }
+      }
+      data.transactions.splice(index, 1)
+      return { deleted: true, errors: null }
+    },
+    setTransactionTags: ({ input }) => {
+      const record = find("transactions", input.transactionId)
+      const unknown = (input.tagIds || []).filter((id) => !find("tags", id))
+      if (!record || unknown.length) {
+        const message = record ? `Unknown tags: ${unknown.join(", ")}` : "Transaction not found"
+        return { errors: payloadError(message, record ? "tagIds" : "transactionId"), transaction: null }
+      }
+      record.tagIds = (input.tagIds || []).map(String)
+      return { errors: null, transaction: transaction(touch(record)) }
+    },
+    updateTransactionSplit: ({ input }) => {
+      const record = find("transactions", input.transactionId)
+      if (!record) {
+        return { errors: payloadError("Transaction not found", "transactionId"), transaction: null }
+      }
+      const splitData = input.splitData || []
+      if (splitData.length && sum(splitData.map((s) => s.amount)) !== sum([record.amount])) {
+        return { errors: payloadError("Split amounts must add up to the transaction amount", "splitData"), transaction: null }
+      }
+      record.splits = splitData.map((s) => ({
+        id: data.nextId(),
+        amount: s.amount,
+        notes: s.notes || null,
+        categoryId: s.categoryId ? String(s.categoryId) : record.categoryId,
+        merchantId: s.merchantName ? findOrCreateMerchant(s.merchantName).id : record.merchantId,
+      }))
+      return { errors: null, transaction: transaction(touch(record)) }
+    },
+    createCategory: ({ input }) => {
+      if (!find("categoryGroups", input.group)) {
+        return { errors: payloadError("Category group not found", "group"), category: null }
+      }
+      if (!input.name) {
+        return { errors: payloadError("Name is required", "name"), category: null }
+      }
+      const now = new Date().toISOString()
+      const id = data.nextId()
+      const record = {
+        id,
+        name: input.name,
+        groupId: String(input.group),
+        icon: input.icon || null,
+        order: data.categories.length,
+        isSystemCategory: false,
+        rolloverPeriod: input.rolloverEnabled ? { id, startMonth: input.rolloverStartMonth, endMonth: null, startingBalance: 0 } : null,
+        createdAt: now,
+        updatedAt: now,
+      }
+      data.categories.push(record)
+      return { errors: null, category: category(record) }
+    },
+    deleteCategory: ({ id, moveToCategoryId = null }) => {
+      const record = find("categories", id)
+      if (!record) {
+        return { deleted: false, errors: payloadError("Category not found", "id") }
+      }
+      if (record.isSystemCategory) {
+        return { deleted: false, errors: payloadError("System categories can't be deleted") }
+      }
+      data.transactions
+        .filter((t) => t.categoryId === record.id)
+        .forEach((t) => (t.categoryId = moveToCategoryId && String(moveToCategoryId)))
+      data.categories.splice(data.categories.indexOf(record), 1)
+      return { deleted: true, errors: null }
+    },
+    createTransactionTag: ({ input }) => {
+      if (!input.name || data.tags.some((t) => t.name.toLowerCase() === input.name.toLowerCase())) {
+        return { tag: null, errors: { message: input.name ? `A tag named "${input.name}" already exists` : "Name is required" } }
+      }
+      const record = { id: data.nextId(), name: input.name, color: input.color || null, order: data.tags.length }
+      data.tags.push(record)
+      return { tag: tag(record), errors: null }
+    },
+    updateOrCreateBudgetItem: ({ input }) => {
+      const month = monthStart(input.startDate)
+      const categoryId = input.categoryId ? String(input.categoryId) : null
+      let budget = data.budgets.find((b) => b.categoryId === categoryId && b.month === month)
+      if (!budget) {
+        budget = { categoryId, month }
+        data.budgets.push(budget)
+      }
+      Object.assign(budget, { amount: input.amount, applyToFuture: Boolean(input.applyToFuture) })
+      return { budgetItem: { id: `${categoryId || input.categoryGroupId}-${month}`, budgetAmount: input.amount } }
+    },
+    createManualAccount: ({ input }) => {
+      if (!input.name) {
+        return { account: null, errors: payloadError("Name is required", "name") }
+      }
+      const now = new Date().toISOString()
+      const record = {
+        id: data.nextId(),
+        displayName: input.name,
+        type: input.type,
+        subtype: input.subtype || null,
+        currentBalance: input.displayBalance || 0,
+        isAsset: !ACCOUNT_TYPES[input.type] || ACCOUNT_TYPES[input.type].group === "asset",
+        isManual: true,
+        includeInNetWorth: input.includeInNetWorth !== false,
+        isHidden: false,
+        hideFromList: false,
+        hideTransactionsFromReports: false,
+        mask: null,
+        credentialId: null,
+        deletedAt: null,
+        order: data.accounts.length,
+        createdAt: now,
+        updatedAt: now,
+      }
+      data.accounts.push(record)
+      return { account: account(record), errors: null }
+    },
+    updateAccount: ({ input }) => {
+      const record = find("accounts", input.id)
+      if (!record || record.deletedAt) {
+        return { account: null, errors: payloadError("Account not found", "id") }
+      }
+      if (input.name) record.displayName = input.name
+      if (input.displayBalance !== undefined) record.currentBalance = input.displayBalance
+      for (const field of ["type", "subtype", "includeInNetWorth", "hideFromList", "hideTransactionsFromReports"]) {
+        if (input[field] !== undefined) record[field] = input[field]
+      }
+      return { account: account(touch(record)), errors: null }
+    },
+    deleteAccount: ({ id }) => {
+      const record = find("accounts", id)
+      if (!record || record.deletedAt) {
+        return { deleted: false, errors: payloadError("Account not found", "id") }
+      }
+      record.deletedAt = new Date().toISOString()
+      return { deleted: true, errors: null }
+    },
+    forceRefreshAccounts: ({ input }) => {
+      const accountIds = (input.accountIds || []).map(String)
+      const unknown = accountIds.filter((id) => !find("accounts", id))
+      if (unknown.length) {
+        return { success: false, errors: payloadError(`Unknown accounts: ${unknown.join(", ")}`, "accountIds") }
+      }
+      data.accounts.filter((a) => accountIds.includes(a.id)).forEach((a) => (a.refreshPollsRemaining = server.refreshPolls))
+      return { success: true, errors: null }
+    },
+  }
+}
+
+const readBody = (request) =>
+  new Promise((resolve, reject) => {
+    const chunks = []
+    request.on("data", (chunk) => chunks.push(chunk))
+    request.on("end", () => resolve(Buffer.concat(chunks).toString("utf-8")))
+    request.on("error", reject)
+  })
+
+// Splits a multipart/form-data body into [{ name, filename, value }]. Enough
+// for the text parts the client sends; not a general parser.
+const parseMultipart = (body, contentType = "") => {
+  const [, quoted, bare] = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/) || []
+  const boundary = quoted || bare
+  if (!boundary) {
+    return null
+  }
+  return body
+    .split(`--${boundary}`)
+    .slice(1, -1)
+    .map((part) => {
+      const [head, ...rest] = part.replace(/^\r\n/, "").split("\r\n\r\n")
+      const [, name] = head.match(/\bname="([^"]*)"/) || []
+      const [, filename = null] = head.match(/\bfilename="([^"]*)"/) || []
+      return { name, filename, value: rest.join("\r\n\r\n").replace(/\r\n$/, "") }
+    })
+}
+
+const sendJson = (response, status, body, headers = {}) => {
+  response.writeHead(status, { "Content-Type": "application/json", ...headers })
+  response.end(JSON.stringify(body))
+}
+
+// A stand-in for Monarch's API, backed by an in-memory dataset, for tests
+// that shouldn't touch a real account. It serves /auth/login/ (with MFA) and
+// every operation in queries.js at /graphql, plus the balance history upload.
+//
+//   const server = new MockMonarchServer({ data: { accounts: [...] } })
+//   await server.listen()
+//   const client = server.client()
+//
+// Or point a client in another process at it with MONARCH_BASE_URL.
+export class MockMonarchServer {
+  constructor({ data = {}, token = MOCK_TOKEN, refreshPolls = 1, schema = reconstructSchema() } = {}) {
+    this.seed = data
+    this.token = token
+    // How many times a refreshed account reports hasSyncInProgress
+    this.refreshPolls = refreshPolls
+    this.schema = schema
+    this.url = null
+    this.httpServer = http.createServer((request, response) => {
+      this.handle(request, response).catch((error) => sendJson(response, 500, { [ERRORS_KEY]: "SERVER_ERROR", detail: error.message }))
+    })
+    this.reset()
+  }
+
+  // Restores the seeded dataset and forgets requests, stubs and logins.
+  reset(data = this.seed) {
+    this.seed = data
+    this.data = createMockData(data)
+    this.requests = []
+    this.stubs = new Map()
+    this.sessions = new Map()
+    if (this.token && this.data.users.length) {
+      this.sessions.set(this.token, this.data.users[0].id)
+    }
+    return this
+  }
+
+  async listen(port = 0, host = "127.0.0.1") {
+    await new Promise((resolve, reject) => {
+      this.httpServer.once("error", reject)
+      this.httpServer.listen(port, host, resolve)
+    })
+    this.url = `http://${host}:${this.httpServer.address().port}`
+    return this.url
+  }
+
+  async close() {
+    await new Promise((resolve) => this.httpServer.close(resolve))
+    this.url = null
+  }
+
+  // A MonarchClient pointed at this server and logged in with its token.
+  client(options = {}) {
+    if (!this.url) {
+      throw new Error("Call listen() before client()")
+    }
+    return new MonarchClient({ baseUrl: this.url, token: this.token, sessionStore: createMemorySessionStore(), ...options })
+  }
+
+  // Answers `operationName` with `handler({ operationName, variables, query })`
+  // instead of the dataset. Return a GraphQL response body, or
+  // { status, body, headers } to control the HTTP response.
+  stub(operationName, handler) {
+    this.stubs.set(operationName, handler)
+    return this
+  }
+
+  // Rejects every token, so the next request fails with SessionExpiredException.
+  revokeTokens() {
+    this.sessions.clear()
+  }
+
+  async handle(request, response) {
+    const body = await readBody(request)
+    const { pathname } = new URL(request.url, "http://localhost")
+    if (request.method === "POST" && pathname === "/auth/login/") {
+      return this.login(request, new URLSearchParams(body), response)
+    }
+    if (request.method === "POST" && pathname === "/graphql") {
+      return await this.graphql(request, body, response)
+    }
+    if (request.method === "POST" && pathname === "/account-balance-history/upload/") {
+      return await this.uploadBalanceHistory(request, body, response)
+    }
+    sendJson(response, 404, { detail: "Not found." })
+  }
+
+  login(request, form, response) {
+    const email = form.get("username") || ""
+    const user = this.data.users.find((u) => u.email.toLowerCase() === email.toLowerCase() && u.password === form.get("password"))
+    this.requests.push({ operationName: "login", variables: { username: email } })
+    // An unknown token fails the request before the credentials are checked, so
+    // logging in again must not send the expired one
+    const sentToken = (request.headers.authorization || "").replace(/^Token /, "")
+    if (sentToken && !this.sessions.has(sentToken)) {
+      return sendJson(response, 401, { detail: "Invalid token." })
+    }
+    if (!user) {
+      return sendJson(response, 401, { [ERRORS_KEY]: "INVALID_CREDENTIALS", detail: "Unable to log in with the provided credentials." })
+    }
+    if (user.mfaSecretKey || user.mfaCode) {
+      const totp = form.get("totp")
+      if (!totp) {
+        return sendJson(response, 403, { [ERRORS_KEY]: "MFA_REQUIRED", detail: "Multi-Factor Auth Required" })
+      }
+      const valid = totp === user.mfaCode || (user.mfaSecretKey && authenticator.check(totp, user.mfaSecretKey))
+      if (!valid) {
+        return sendJson(response, 401, { [ERRORS_KEY]: "INVALID_MFA_CODE", detail: "Invalid code." })
+      }
+    }
+    const token = `${MOCK_TOKEN}-${this.data.nextId()}`
+    this.sessions.set(token, user.id)
+    sendJson(response, 200, { token, id: user.id, name: user.name, email: user.email })
+  }
+
+  // Each CSV's rows replace the account's snapshots for those days. Stub
+  // "uploadAccountBalanceHistory" to answer it yourself.
+  async uploadBalanceHistory(request, body, response) {
+    const parts = parseMultipart(body, request.headers["content-type"])
+    const userId = this.sessions.get((request.headers.authorization || "").replace(/^Token /, ""))
+    const mappingPart = parts && parts.find((part) => part.name === "account_files_mapping")
+    let mapping = null
+    try {
+      mapping = mappingPart && JSON.parse(mappingPart.value)
+    } catch (error) {
+      // Reported as a missing mapping below
+    }
+    const files = parts ? parts.filter((part) => part.name === "files") : []
+    const variables = { mapping, files: Object.fromEntries(files.map((file) => [file.filename, file.value])) }
+    this.requests.push({ operationName: "uploadAccountBalanceHistory", variables })
+
+    if (!userId) {
+      return sendJson(response, 401, { detail: "Invalid token." })
+    }
+    if (this.stubs.has("uploadAccountBalanceHistory")) {
+      const result = await this.stubs.get("uploadAccountBalanceHistory")({ operationName: "uploadAccountBalanceHistory", variables })
+      return sendJson(response, result.status || 200, result.body || {}, result.headers)
+    }
+    if (!mapping || typeof mapping !== "object" || !files.length) {
+      return sendJson(response, 400, { detail: "Expected files and an account_files_mapping." })
+    }
+    const snapshots = []
+    for (const file of files) {
+      const accountId = mapping[file.filename]
+      if (!accountId || !this.data.accounts.some((account) => account.id === accountId)) {
+        return sendJson(response, 400, { detail: `No account for ${file.filename}.` })
+      }
+      const rows = file.value.trim().split(/\r?\n/).slice(1)
+      for (const row of rows) {
+        const [date, balance] = row.split(",").map((cell) => cell.trim())
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || balance === undefined || !Number.isFinite(Number(balance))) {
+          return sendJson(response, 400, { detail: `${file.filename}: invalid row "${row}".` })
+        }
+        snapshots.push({ accountId, date, balance: Number(balance) })
+      }
+    }
+    const replaced = new Set(snapshots.map(({ accountId, date }) => `${accountId} ${date}`))
+    this.data.snapshots = [...this.data.snapshots.filter(({ accountId, date }) => !replaced.has(`${accountId} ${date}`)), ...snapshots]
+    sendJson(response, 200, { success: true })
+  }
+
+  async graphql(request, body, response) {
+    let payload
+    try {
+      payload = JSON.parse(body)
+    } catch (error) {
+      return sendJson(response, 400, { errors: [{ message: "Request body must be JSON" }] })
+    }
+    const { query, variables = {}, operationName = null } = payload
+    const token = (request.headers.authorization || "").replace(/^Token /, "")
+    const userId = this.sessions.get(token)
+    this.requests.push({ operationName, variables, query })
+
+    if (!userId) {
+      return sendJson(response, 401, { detail: "Invalid token." })
+    }
+    if (this.stubs.has(operationName)) {
+      const result = await this.stubs.get(operationName)({ operationName, variables, query })
+      return typeof result.status === "number"
+        ? sendJson(response, result.status, result.body || {}, result.headers)
+        : sendJson(response, 200, result)
+    }
+
+    const user = this.data.users.find((u) => u.id === userId)
+    const result = await graphql({
+      schema: this.schema,
+      source: query,
+      rootValue: createRoot(this, user),
+      variableValues: variables,
+      operationName,
+    })
+    sendJson(response, 200, result)
+  }
+}
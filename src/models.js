@@ -0,0 +1,201 @@
+// models.js
+import { formatDate } from "./dates.js"
+
+// Getters return these instead of the GraphQL payload when called with
+// { raw: false }, or on a client created with { raw: false }. Every model keeps
+// the payload it was built from in a non-enumerable `raw` property.
+
+export const stripTypename = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(stripTypename)
+  }
+  if (value && typeof value === "object" && !(value instanceof Date) && !(value instanceof Model)) {
+    const stripped = {}
+    for (const [key, field] of Object.entries(value)) {
+      if (key !== "__typename") {
+        stripped[key] = stripTypename(field)
+      }
+    }
+    return stripped
+  }
+  return value
+}
+
+export const isRaw = (client, options = {}) => (options.raw === undefined ? client.raw : options.raw)
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value))
+
+const toTimestamp = (value) => (value ? new Date(value) : null)
+
+// Date-only fields ("2024-01-31") become local midnight, so getDate() returns
+// the day Monarch shows rather than the day before in timezones west of UTC.
+const toDay = (value) => {
+  if (!value) {
+    return null
+  }
+  const [year, month, day] = value.split("-").map(Number)
+  return new Date(year, month - 1, day)
+}
+
+class Model {
+  constructor(data, { days = [], timestamps = [], numbers = [] } = {}) {
+    Object.defineProperty(this, "raw", { value: data, enumerable: false })
+    Object.defineProperty(this, "dayFields", { value: days, enumerable: false })
+    // defineProperty so a payload field shadows a getter of the same name
+    for (const [key, value] of Object.entries(stripTypename(data))) {
+      Object.defineProperty(this, key, { value, enumerable: true, writable: true, configurable: true })
+    }
+    days.forEach((field) => field in this && (this[field] = toDay(this[field])))
+    timestamps.forEach((field) => field in this && (this[field] = toTimestamp(this[field])))
+    numbers.forEach((field) => field in this && (this[field] = toNumber(this[field])))
+  }
+
+  // Date-only fields go back out as YYYY-MM-DD; timestamps as ISO strings.
+  toJSON() {
+    const json = {}
+    for (const [key, value] of Object.entries(this)) {
+      json[key] = this.dayFields.includes(key) && value instanceof Date ? formatDate(value) : value
+    }
+    return json
+  }
+}
+
+export class Category extends Model {
+  constructor(data) {
+    super(data, { timestamps: ["createdAt", "updatedAt"] })
+  }
+
+  // "income", "expense" or "transfer"; null when the payload has no group.
+  get groupType() {
+    return (this.group && this.group.type) || null
+  }
+
+  get groupName() {
+    return (this.group && this.group.name) || null
+  }
+}
+
+export class Account extends Model {
+  constructor(data) {
+    super(data, {
+      timestamps: ["createdAt", "updatedAt", "displayLastUpdatedAt", "deactivatedAt"],
+      numbers: ["currentBalance", "displayBalance"],
+    })
+  }
+
+  get name() {
+    return this.displayName
+  }
+
+  get typeName() {
+    return (this.type && this.type.name) || null
+  }
+
+  get isLiability() {
+    return this.isAsset === false
+  }
+
+  get isActive() {
+    return !this.deactivatedAt
+  }
+
+  get institutionName() {
+    return (this.institution && this.institution.name) || null
+  }
+}
+
+export class Transaction extends Model {
+  constructor(data) {
+    super(data, {
+      days: ["date", "originalDate"],
+      timestamps: ["createdAt", "updatedAt", "reviewedAt"],
+      numbers: ["amount"],
+    })
+    if (this.category) {
+      this.category = new Category(data.category)
+    }
+  }
+
+  // Monarch signs amounts from the account's point of view: money out is negative.
+  get isExpense() {
+    return this.amount < 0
+  }
+
+  get isIncome() {
+    return this.amount > 0
+  }
+
+  get merchantName() {
+    return (this.merchant && this.merchant.name) || null
+  }
+
+  get accountName() {
+    return (this.account && this.account.displayName) || null
+  }
+}
+
+// One category's budget for one month.
+export class Budget extends Model {
+  constructor(data) {
+    super(data, {
+      days: ["month"],
+      numbers: ["plannedCashFlowAmount", "plannedSetAsideAmount", "actualAmount", "remainingAmount", "previousMonthRolloverAmount"],
+    })
+    if (this.category) {
+      this.category = new Category(data.category)
+    }
+  }
+
+  get planned() {
+    return this.plannedCashFlowAmount
+  }
+
+  get actual() {
+    return this.actualAmount
+  }
+
+  get remaining() {
+    return this.remainingAmount
+  }
+
+  get isOverBudget() {
+    return this.remainingAmount < 0
+  }
+}
+
+// An aggregate holding: one security across the holdings in an account.
+export class Holding extends Model {
+  constructor(data) {
+    super(data, {
+      timestamps: ["lastSyncedAt"],
+      numbers: ["quantity", "basis", "totalValue", "securityPriceChangeDollars", "securityPriceChangePercent"],
+    })
+  }
+
+  get ticker() {
+    return (this.security && this.security.ticker) || (this.holdings && this.holdings[0] && this.holdings[0].ticker) || null
+  }
+
+  get name() {
+    return (this.security && this.security.name) || (this.holdings && this.holdings[0] && this.holdings[0].name) || null
+  }
+
+  get gain() {
+    return this.basis === null || this.totalValue === null ? null : this.totalValue - this.basis
+  }
+}
+
+// getBudgets() returns amounts per category and month, with each category's
+// group listed separately; this joins them into one Budget per pair.
+export const budgetsFromData = ({ budgetData, categoryGroups = [] }) => {
+  const groups = new Map()
+  for (const group of categoryGroups) {
+    for (const category of group.categories || []) {
+      groups.set(category.id, { id: group.id, name: group.name, type: group.type })
+    }
+  }
+
+  return budgetData.monthlyAmountsByCategory.flatMap(({ category, monthlyAmounts }) =>
+    monthlyAmounts.map((amounts) => new Budget({ ...amounts, category: { ...category, group: groups.get(category.id) || null } }))
+  )
+}
@@ -0,0 +1,1600 @@
+// operations.d.ts
+// Generated by scripts/codegen.js from the queries in src/queries.js. Do not edit;
+// run `npm run codegen` instead.
+import type { CallOptions } from "./index.js"
+
+/** getAccounts(): query GetAccounts */
+export type GetAccountsResult = {
+  accounts: Array<{
+    id: string
+    displayName: string
+    syncDisabled: boolean
+    deactivatedAt: string | null
+    isHidden: boolean
+    isAsset: boolean
+    mask: string | null
+    createdAt: string
+    updatedAt: string
+    displayLastUpdatedAt: string | null
+    currentBalance: number | null
+    displayBalance: number | null
+    includeInNetWorth: boolean
+    hideFromList: boolean
+    hideTransactionsFromReports: boolean
+    includeBalanceInNetWorth: boolean
+    includeInGoalBalance: boolean
+    dataProvider: string | null
+    dataProviderAccountId: string | null
+    isManual: boolean
+    transactionsCount: number
+    holdingsCount: number
+    manualInvestmentsTrackingMethod: string | null
+    order: number | null
+    icon: string | null
+    logoUrl: string | null
+    type: {
+      name: string
+      display: string
+      group: string | null
+      __typename: string
+    }
+    subtype: {
+      name: string
+      display: string
+      __typename: string
+    } | null
+    credential: {
+      id: string
+      updateRequired: boolean
+      disconnectedFromDataProviderAt: string | null
+      dataProvider: string | null
+      institution: {
+        id: string
+        plaidInstitutionId: string | null
+        name: string
+        status: string | null
+        __typename: string
+      } | null
+      __typename: string
+    } | null
+    institution: {
+      id: string
+      name: string
+      primaryColor: string | null
+      url: string | null
+      __typename: string
+    } | null
+    __typename: string
+  }>
+  householdPreferences: {
+    id: string
+    accountGroupOrder: Array<string>
+    __typename: string
+  }
+}
+
+export type GetAccountsVariables = Record<string, never>
+
+export declare function runGetAccounts(variables?: GetAccountsVariables, options?: CallOptions): Promise<GetAccountsResult>
+
+/** getAccountTypeOptions(): query GetAccountTypeOptions */
+export type GetAccountTypeOptionsResult = {
+  accountTypeOptions: Array<{
+    type: {
+      name: string
+      display: string
+      group: string | null
+      possibleSubtypes: Array<{
+        display: string
+        name: string
+        __typename: string
+      }>
+      __typename: string
+    }
+    subtype: {
+      name: string
+      display: string
+      __typename: string
+    } | null
+    __typename: string
+  }>
+}
+
+export type GetAccountTypeOptionsVariables = Record<string, never>
+
+export declare function runGetAccountTypeOptions(variables?: GetAccountTypeOptionsVariables, options?: CallOptions): Promise<GetAccountTypeOptionsResult>
+
+/** getRecentAccountBalances(): query GetAccountRecentBalances */
+export type GetRecentAccountBalancesResult = {
+  accounts: Array<{
+    id: string
+    recentBalances: Array<number | null>
+    __typename: string
+  }>
+}
+
+export type GetRecentAccountBalancesVariables = {
+  startDate: string
+}
+
+export declare function runGetRecentAccountBalances(variables: GetRecentAccountBalancesVariables, options?: CallOptions): Promise<GetRecentAccountBalancesResult>
+
+/** getAccountHoldings(): query Web_GetHoldings */
+export type GetAccountHoldingsResult = {
+  portfolio: {
+    aggregateHoldings: {
+      edges: Array<{
+        node: {
+          id: string
+          quantity: number | null
+          basis: number | null
+          totalValue: number | null
+          securityPriceChangeDollars: number | null
+          securityPriceChangePercent: number | null
+          lastSyncedAt: string | null
+          holdings: Array<{
+            id: string
+            type: string
+            typeDisplay: string | null
+            name: string
+            ticker: string | null
+            closingPrice: number | null
+            isManual: boolean
+            closingPriceUpdatedAt: string | null
+            __typename: string
+          }>
+          security: {
+            id: string
+            name: string
+            type: string
+            ticker: string | null
+            typeDisplay: string | null
+            currentPrice: number | null
+            currentPriceUpdatedAt: string | null
+            closingPrice: number | null
+            closingPriceUpdatedAt: string | null
+            oneDayChangePercent: number | null
+            oneDayChangeDollars: number | null
+            __typename: string
+          } | null
+          __typename: string
+        }
+        __typename: string
+      }>
+      __typename: string
+    }
+    __typename: string
+  }
+}
+
+export type GetAccountHoldingsVariables = {
+  input?: unknown | null
+}
+
+export declare function runGetAccountHoldings(variables?: GetAccountHoldingsVariables, options?: CallOptions): Promise<GetAccountHoldingsResult>
+
+/** getAccountHistory(): query AccountDetails_getAccount */
+export type GetAccountHistoryResult = {
+  account: {
+    id: string
+    displayName: string
+    syncDisabled: boolean
+    deactivatedAt: string | null
+    isHidden: boolean
+    isAsset: boolean
+    mask: string | null
+    createdAt: string
+    updatedAt: string
+    displayLastUpdatedAt: string | null
+    currentBalance: number | null
+    displayBalance: number | null
+    includeInNetWorth: boolean
+    hideFromList: boolean
+    hideTransactionsFromReports: boolean
+    includeBalanceInNetWorth: boolean
+    includeInGoalBalance: boolean
+    dataProvider: string | null
+    dataProviderAccountId: string | null
+    isManual: boolean
+    transactionsCount: number
+    holdingsCount: number
+    manualInvestmentsTrackingMethod: string | null
+    order: number | null
+    icon: string | null
+    logoUrl: string | null
+    type: {
+      name: string
+      display: string
+      __typename: string
+    }
+    subtype: {
+      name: string
+      display: string
+      __typename: string
+    } | null
+    credential: {
+      id: string
+      hasSyncInProgress: boolean
+      canBeForceRefreshed: boolean
+      disconnectedFromDataProviderAt: string | null
+      dataProvider: string | null
+      institution: {
+        id: string
+        plaidInstitutionId: string | null
+        url: string | null
+        hasIssuesReported: boolean
+        hasIssuesReportedMessage: string | null
+        plaidStatus: string | null
+        status: string | null
+        balanceStatus: string | null
+        transactionsStatus: string | null
+        __typename: string
+      } | null
+      __typename: string
+    } | null
+    institution: {
+      id: string
+      plaidInstitutionId: string | null
+      url: string | null
+      hasIssuesReported: boolean
+      hasIssuesReportedMessage: string | null
+      plaidStatus: string | null
+      status: string | null
+      balanceStatus: string | null
+      transactionsStatus: string | null
+      __typename: string
+    } | null
+    __typename: string
+    invertSyncedBalance: boolean
+    canInvertBalance: boolean
+    isLiability: boolean
+  } | null
+  transactions: {
+    totalCount: number
+    results: Array<{
+      id: string
+      amount: number
+      pending: boolean
+      date: string
+      hideFromReports: boolean
+      plaidName: string | null
+      notes: string | null
+      isRecurring: boolean
+      reviewStatus: string | null
+      needsReview: boolean
+      dataProviderDescription: string | null
+      attachments: Array<{
+        id: string
+        extension: string | null
+        filename: string | null
+        originalAssetUrl: string | null
+        publicId: string | null
+        sizeBytes: number | null
+        __typename: string
+      }>
+      isSplitTransaction: boolean
+      createdAt: string
+      updatedAt: string
+      category: {
+        id: string
+        name: string
+        group: {
+          id: string
+          name: string
+          type: string
+          __typename: string
+        } | null
+        __typename: string
+      } | null
+      merchant: {
+        name: string
+        id: string
+        transactionsCount: number
+        __typename: string
+      } | null
+      account: {
+        id: string
+        displayName: string
+        __typename: string
+      } | null
+      tags: Array<{
+        id: string
+        name: string
+        color: string | null
+        order: number | null
+        __typename: string
+      }>
+      __typename: string
+    }>
+    __typename: string
+  }
+  snapshots: Array<{
+    date: string
+    signedBalance: number | null
+    __typename: string
+  }>
+}
+
+export type GetAccountHistoryVariables = {
+  id: string
+  filters?: unknown | null
+}
+
+export declare function runGetAccountHistory(variables: GetAccountHistoryVariables, options?: CallOptions): Promise<GetAccountHistoryResult>
+
+/** getSubscriptionDetails(): query GetSubscriptionDetails */
+export type GetSubscriptionDetailsResult = {
+  subscription: {
+    id: string
+    paymentSource: string | null
+    referralCode: string | null
+    isOnFreeTrial: boolean
+    hasPremiumEntitlement: boolean
+    __typename: string
+  }
+}
+
+export type GetSubscriptionDetailsVariables = Record<string, never>
+
+export declare function runGetSubscriptionDetails(variables?: GetSubscriptionDetailsVariables, options?: CallOptions): Promise<GetSubscriptionDetailsResult>
+
+/** whoami(): query Common_GetMe */
+export type WhoamiResult = {
+  me: {
+    id: string
+    name: string
+    email: string
+    timezone: string | null
+    __typename: string
+  }
+  householdPreferences: {
+    id: string
+    __typename: string
+  }
+  subscription: {
+    id: string
+    isOnFreeTrial: boolean
+    hasPremiumEntitlement: boolean
+    __typename: string
+  }
+}
+
+export type WhoamiVariables = Record<string, never>
+
+export declare function runWhoami(variables?: WhoamiVariables, options?: CallOptions): Promise<WhoamiResult>
+
+/** getInstitutions(): query Web_GetInstitutionSettings */
+export type GetInstitutionsResult = {
+  credentials: Array<{
+    id: string
+    updateRequired: boolean
+    disconnectedFromDataProviderAt: string | null
+    displayLastUpdatedAt: string | null
+    dataProvider: string | null
+    institution: {
+      id: string
+      name: string
+      url: string | null
+      __typename: string
+    } | null
+    __typename: string
+  }>
+  accounts: Array<{
+    id: string
+    displayName: string
+    subtype: {
+      display: string
+      __typename: string
+    } | null
+    mask: string | null
+    credential: {
+      id: string
+      __typename: string
+    } | null
+    deletedAt: string | null
+    __typename: string
+  }>
+  subscription: {
+    isOnFreeTrial: boolean
+    hasPremiumEntitlement: boolean
+    __typename: string
+  }
+}
+
+export type GetInstitutionsVariables = Record<string, never>
+
+export declare function runGetInstitutions(variables?: GetInstitutionsVariables, options?: CallOptions): Promise<GetInstitutionsResult>
+
+/** getAccountSnapshotsByType(): query GetSnapshotsByAccountType */
+export type GetAccountSnapshotsByTypeResult = {
+  snapshotsByAccountType: Array<{
+    accountType: string
+    month: string
+    balance: number | null
+    __typename: string
+  }>
+  accountTypes: Array<{
+    name: string
+    group: string | null
+    __typename: string
+  }>
+}
+
+export type GetAccountSnapshotsByTypeVariables = {
+  startDate: string
+  timeframe: unknown
+}
+
+export declare function runGetAccountSnapshotsByType(variables: GetAccountSnapshotsByTypeVariables, options?: CallOptions): Promise<GetAccountSnapshotsByTypeResult>
+
+/** getAggregateSnapshots(): query GetAggregateSnapshots */
+export type GetAggregateSnapshotsResult = {
+  aggregateSnapshots: Array<{
+    date: string
+    balance: number | null
+    __typename: string
+  }>
+}
+
+export type GetAggregateSnapshotsVariables = {
+  filters?: unknown | null
+}
+
+export declare function runGetAggregateSnapshots(variables?: GetAggregateSnapshotsVariables, options?: CallOptions): Promise<GetAggregateSnapshotsResult>
+
+/** getBudgets(): query GetJointPlanningData */
+export type GetBudgetsResult = {
+  budgetData: {
+    monthlyAmountsByCategory: Array<{
+      category: {
+        id: string
+        name: string
+        __typename: string
+      } | null
+      monthlyAmounts: Array<{
+        month: string
+        plannedCashFlowAmount: number | null
+        plannedSetAsideAmount: number | null
+        actualAmount: number | null
+        remainingAmount: number | null
+        previousMonthRolloverAmount: number | null
+        rolloverType: string | null
+        __typename: string
+      }>
+      __typename: string
+    }>
+    monthlyAmountsByCategoryGroup: Array<{
+      categoryGroup: {
+        id: string
+        name: string
+        __typename: string
+      } | null
+      monthlyAmounts: Array<{
+        month: string
+        plannedCashFlowAmount: number | null
+        actualAmount: number | null
+        remainingAmount: number | null
+        previousMonthRolloverAmount: number | null
+        rolloverType: string | null
+        __typename: string
+      }>
+      __typename: string
+    }>
+    monthlyAmountsForFlexExpense: {
+      budgetVariability: string | null
+      monthlyAmounts: Array<{
+        month: string
+        plannedCashFlowAmount: number | null
+        actualAmount: number | null
+        remainingAmount: number | null
+        previousMonthRolloverAmount: number | null
+        rolloverType: string | null
+        __typename: string
+      }>
+      __typename: string
+    }
+    totalsByMonth: Array<{
+      month: string
+      totalIncome: {
+        plannedAmount: number | null
+        actualAmount: number | null
+        remainingAmount: number | null
+        previousMonthRolloverAmount: number | null
+        __typename: string
+      }
+      totalExpenses: {
+        plannedAmount: number | null
+        actualAmount: number | null
+        remainingAmount: number | null
+        previousMonthRolloverAmount: number | null
+        __typename: string
+      }
+      totalFixedExpenses: {
+        plannedAmount: number | null
+        actualAmount: number | null
+        remainingAmount: number | null
+        previousMonthRolloverAmount: number | null
+        __typename: string
+      }
+      totalNonMonthlyExpenses: {
+        plannedAmount: number | null
+        actualAmount: number | null
+        remainingAmount: number | null
+        previousMonthRolloverAmount: number | null
+        __typename: string
+      }
+      totalFlexibleExpenses: {
+        plannedAmount: number | null
+        actualAmount: number | null
+        remainingAmount: number | null
+        previousMonthRolloverAmount: number | null
+        __typename: string
+      }
+      __typename: string
+    }>
+    __typename: string
+  }
+  categoryGroups: Array<{
+    id: string
+    name: string
+    order: number | null
+    groupLevelBudgetingEnabled: boolean | null
+    budgetVariability: string | null
+    rolloverPeriod: {
+      id: string
+      startMonth: string | null
+      endMonth: string | null
+      __typename: string
+    } | null
+    categories: Array<{
+      id: string
+      name: string
+      order: number | null
+      budgetVariability: string | null
+      rolloverPeriod: {
+        id: string
+        startMonth: string | null
+        endMonth: string | null
+        __typename: string
+      } | null
+      __typename: string
+    }>
+    type: string
+    __typename: string
+  }>
+  goals?: Array<{
+    id: string
+    name: string
+    completedAt: string | null
+    targetDate: string | null
+    __typename: string
+  }>
+  goalMonthlyContributions?: Array<{
+    month: number | null
+    startDate: string | null
+    goalId: string | null
+    __typename: string
+  }>
+  goalPlannedContributions?: Array<{
+    id: string
+    amount: number
+    startDate: string | null
+    goal: {
+      id: string
+      __typename: string
+    } | null
+    __typename: string
+  }>
+  goalsV2?: Array<{
+    id: string
+    name: string
+    archivedAt: string | null
+    completedAt: string | null
+    priority: number | null
+    imageStorageProvider: string | null
+    imageStorageProviderId: string | null
+    plannedContributions: Array<{
+      id: string
+      month: string
+      amount: number
+      __typename: string
+    }>
+    monthlyContributionSummaries: Array<{
+      month: string
+      sum: number | null
+      __typename: string
+    }>
+    __typename: string
+  }>
+  budgetSystem: string | null
+}
+
+export type GetBudgetsVariables = {
+  startDate: string
+  endDate: string
+  useLegacyGoals: boolean
+  useV2Goals: boolean
+}
+
+export declare function runGetBudgets(variables: GetBudgetsVariables, options?: CallOptions): Promise<GetBudgetsResult>
+
+/** getTransactions(): query GetTransactionsList */
+export type GetTransactionsResult = {
+  allTransactions: {
+    totalCount: number
+    results: Array<{
+      id: string
+      amount: number
+      pending: boolean
+      date: string
+      hideFromReports: boolean
+      plaidName: string | null
+      notes: string | null
+      isRecurring: boolean
+      reviewStatus: string | null
+      needsReview: boolean
+      dataProviderDescription: string | null
+      attachments: Array<{
+        id: string
+        extension: string | null
+        filename: string | null
+        originalAssetUrl: string | null
+        publicId: string | null
+        sizeBytes: number | null
+        __typename: string
+      }>
+      isSplitTransaction: boolean
+      createdAt: string
+      updatedAt: string
+      category: {
+        id: string
+        name: string
+        group: {
+          id: string
+          name: string
+          type: string
+          __typename: string
+        } | null
+        __typename: string
+      } | null
+      merchant: {
+        name: string
+        id: string
+        transactionsCount: number
+        __typename: string
+      } | null
+      account: {
+        id: string
+        displayName: string
+        __typename: string
+      } | null
+      tags: Array<{
+        id: string
+        name: string
+        color: string | null
+        order: number | null
+        __typename: string
+      }>
+      __typename: string
+    }>
+    __typename: string
+  }
+  transactionRules: Array<{
+    id: string
+    __typename: string
+  }>
+}
+
+export type GetTransactionsVariables = {
+  offset?: number | null
+  limit?: number | null
+  filters?: unknown | null
+  orderBy?: unknown | null
+}
+
+export declare function runGetTransactions(variables?: GetTransactionsVariables, options?: CallOptions): Promise<GetTransactionsResult>
+
+/** getTransactionsSummary(): query GetTransactionsPage */
+export type GetTransactionsSummaryResult = {
+  aggregates: Array<{
+    summary: {
+      avg: number | null
+      count: number
+      max: number | null
+      maxExpense: number | null
+      sum: number | null
+      sumIncome: number | null
+      sumExpense: number | null
+      first: string | null
+      last: string | null
+      __typename: string
+    }
+    __typename: string
+  }>
+}
+
+export type GetTransactionsSummaryVariables = {
+  filters?: unknown | null
+}
+
+export declare function runGetTransactionsSummary(variables?: GetTransactionsSummaryVariables, options?: CallOptions): Promise<GetTransactionsSummaryResult>
+
+/** getRecurringTransactions(): query Web_GetUpcomingRecurringTransactionItems */
+export type GetRecurringTransactionsResult = {
+  recurringTransactionItems: Array<{
+    stream: {
+      id: string
+      frequency: string | null
+      amount: number
+      isApproximate: boolean
+      merchant: {
+        id: string
+        name: string
+        logoUrl: string | null
+        __typename: string
+      } | null
+      __typename: string
+    }
+    date: string
+    isPast: boolean
+    transactionId: string | null
+    amount: number
+    amountDiff: number | null
+    category: {
+      id: string
+      name: string
+      __typename: string
+    } | null
+    account: {
+      id: string
+      displayName: string
+      logoUrl: string | null
+      __typename: string
+    } | null
+    __typename: string
+  }>
+}
+
+export type GetRecurringTransactionsVariables = {
+  startDate: string
+  endDate: string
+  filters?: unknown | null
+}
+
+export declare function runGetRecurringTransactions(variables: GetRecurringTransactionsVariables, options?: CallOptions): Promise<GetRecurringTransactionsResult>
+
+/** getTransactionCategories(): query GetCategories */
+export type GetTransactionCategoriesResult = {
+  categories: Array<{
+    id: string
+    order: number | null
+    name: string
+    systemCategory: string | null
+    isSystemCategory: boolean
+    isDisabled: boolean | null
+    updatedAt: string
+    createdAt: string
+    group: {
+      id: string
+      name: string
+      type: string
+      __typename: string
+    } | null
+    __typename: string
+  }>
+}
+
+export type GetTransactionCategoriesVariables = Record<string, never>
+
+export declare function runGetTransactionCategories(variables?: GetTransactionCategoriesVariables, options?: CallOptions): Promise<GetTransactionCategoriesResult>
+
+/** getTransactionCategoryGroups(): query ManageGetCategoryGroups */
+export type GetTransactionCategoryGroupsResult = {
+  categoryGroups: Array<{
+    id: string
+    name: string
+    order: number | null
+    type: string
+    updatedAt: string
+    createdAt: string
+    __typename: string
+  }>
+}
+
+export type GetTransactionCategoryGroupsVariables = Record<string, never>
+
+export declare function runGetTransactionCategoryGroups(variables?: GetTransactionCategoryGroupsVariables, options?: CallOptions): Promise<GetTransactionCategoryGroupsResult>
+
+/** getTransactionTags(): query GetHouseholdTransactionTags */
+export type GetTransactionTagsResult = {
+  householdTransactionTags: Array<{
+    id: string
+    name: string
+    color: string | null
+    order: number | null
+    transactionCount: number
+    __typename: string
+  }>
+}
+
+export type GetTransactionTagsVariables = {
+  search?: string | null
+  limit?: number | null
+  bulkParams?: unknown | null
+}
+
+export declare function runGetTransactionTags(variables?: GetTransactionTagsVariables, options?: CallOptions): Promise<GetTransactionTagsResult>
+
+/** getMerchants(): query GetMerchants */
+export type GetMerchantsResult = {
+  merchants: Array<{
+    id: string
+    name: string
+    transactionCount: number
+    __typename: string
+  }>
+}
+
+export type GetMerchantsVariables = {
+  search?: string | null
+  limit?: number | null
+}
+
+export declare function runGetMerchants(variables?: GetMerchantsVariables, options?: CallOptions): Promise<GetMerchantsResult>
+
+/** getTransactionDetails(): query GetTransactionDrawer */
+export type GetTransactionDetailsResult = {
+  getTransaction: {
+    id: string
+    amount: number
+    pending: boolean
+    isRecurring: boolean
+    date: string
+    originalDate: string | null
+    hideFromReports: boolean
+    needsReview: boolean
+    reviewedAt: string | null
+    reviewedByUser: {
+      id: string
+      name: string
+      __typename: string
+    } | null
+    plaidName: string | null
+    notes: string | null
+    hasSplitTransactions: boolean
+    isSplitTransaction: boolean
+    isManual: boolean
+    splitTransactions: Array<{
+      id: string
+      amount: number
+      merchant: {
+        id: string
+        name: string
+        __typename: string
+      } | null
+      category: {
+        id: string
+        name: string
+        __typename: string
+      } | null
+      __typename: string
+    }>
+    originalTransaction: {
+      id: string
+      date: string
+      amount: number
+      merchant: {
+        id: string
+        name: string
+        __typename: string
+      } | null
+      __typename: string
+    } | null
+    attachments: Array<{
+      id: string
+      publicId: string | null
+      extension: string | null
+      sizeBytes: number | null
+      filename: string | null
+      originalAssetUrl: string | null
+      __typename: string
+    }>
+    account: {
+      id: string
+      displayName: string
+      logoUrl: string | null
+      mask: string | null
+      subtype: {
+        display: string
+        __typename: string
+      } | null
+      __typename: string
+    } | null
+    category: {
+      id: string
+      __typename: string
+    } | null
+    goal: {
+      id: string
+      __typename: string
+    } | null
+    merchant: {
+      id: string
+      name: string
+      transactionCount: number
+      logoUrl: string | null
+      recurringTransactionStream: {
+        id: string
+        __typename: string
+      } | null
+      __typename: string
+    } | null
+    tags: Array<{
+      id: string
+      name: string
+      color: string | null
+      order: number | null
+      __typename: string
+    }>
+    needsReviewByUser: {
+      id: string
+      __typename: string
+    } | null
+    __typename: string
+  }
+  myHousehold: {
+    users: Array<{
+      id: string
+      name: string
+      __typename: string
+    }>
+    __typename: string
+  }
+}
+
+export type GetTransactionDetailsVariables = {
+  id: string
+  redirectPosted?: boolean | null
+}
+
+export declare function runGetTransactionDetails(variables: GetTransactionDetailsVariables, options?: CallOptions): Promise<GetTransactionDetailsResult>
+
+/** getTransactionSplits(): query TransactionSplitQuery */
+export type GetTransactionSplitsResult = {
+  getTransaction: {
+    id: string
+    amount: number
+    category: {
+      id: string
+      name: string
+      __typename: string
+    } | null
+    merchant: {
+      id: string
+      name: string
+      __typename: string
+    } | null
+    splitTransactions: Array<{
+      id: string
+      merchant: {
+        id: string
+        name: string
+        __typename: string
+      } | null
+      category: {
+        id: string
+        name: string
+        __typename: string
+      } | null
+      amount: number
+      notes: string | null
+      __typename: string
+    }>
+    __typename: string
+  }
+}
+
+export type GetTransactionSplitsVariables = {
+  id: string
+}
+
+export declare function runGetTransactionSplits(variables: GetTransactionSplitsVariables, options?: CallOptions): Promise<GetTransactionSplitsResult>
+
+/** getCashflow(): query Web_GetCashFlowPage */
+export type GetCashflowResult = {
+  byCategory: Array<{
+    groupBy: {
+      category: {
+        id: string
+        name: string
+        group: {
+          id: string
+          type: string
+          __typename: string
+        } | null
+        __typename: string
+      } | null
+      __typename: string
+    }
+    summary: {
+      sum: number | null
+      __typename: string
+    }
+    __typename: string
+  }>
+  byCategoryGroup: Array<{
+    groupBy: {
+      categoryGroup: {
+        id: string
+        name: string
+        type: string
+        __typename: string
+      } | null
+      __typename: string
+    }
+    summary: {
+      sum: number | null
+      __typename: string
+    }
+    __typename: string
+  }>
+  byMerchant: Array<{
+    groupBy: {
+      merchant: {
+        id: string
+        name: string
+        logoUrl: string | null
+        __typename: string
+      } | null
+      __typename: string
+    }
+    summary: {
+      sumIncome: number | null
+      sumExpense: number | null
+      __typename: string
+    }
+    __typename: string
+  }>
+  summary: Array<{
+    summary: {
+      sumIncome: number | null
+      sumExpense: number | null
+      savings: number | null
+      savingsRate: number | null
+      __typename: string
+    }
+    __typename: string
+  }>
+}
+
+export type GetCashflowVariables = {
+  filters?: unknown | null
+}
+
+export declare function runGetCashflow(variables?: GetCashflowVariables, options?: CallOptions): Promise<GetCashflowResult>
+
+/** getCashflowSummary(): query Web_GetCashFlowPage */
+export type GetCashflowSummaryResult = {
+  summary: Array<{
+    summary: {
+      sumIncome: number | null
+      sumExpense: number | null
+      savings: number | null
+      savingsRate: number | null
+      __typename: string
+    }
+    __typename: string
+  }>
+}
+
+export type GetCashflowSummaryVariables = {
+  filters?: unknown | null
+}
+
+export declare function runGetCashflowSummary(variables?: GetCashflowSummaryVariables, options?: CallOptions): Promise<GetCashflowSummaryResult>
+
+/** deleteTransactionCategory(): mutation Web_DeleteCategory */
+export type DeleteTransactionCategoryResult = {
+  deleteCategory: {
+    errors: {
+      fieldErrors: Array<{
+        field: string
+        messages: Array<string>
+        __typename: string
+      }>
+      message: string | null
+      code: string | null
+      __typename: string
+    } | null
+    deleted: boolean
+    __typename: string
+  }
+}
+
+export type DeleteTransactionCategoryVariables = {
+  id: string
+  moveToCategoryId?: string | null
+}
+
+export declare function runDeleteTransactionCategory(variables: DeleteTransactionCategoryVariables, options?: CallOptions): Promise<DeleteTransactionCategoryResult>
+
+/** createTransactionCategory(): mutation Web_CreateCategory */
+export type CreateTransactionCategoryResult = {
+  createCategory: {
+    errors: {
+      fieldErrors: Array<{
+        field: string
+        messages: Array<string>
+        __typename: string
+      }>
+      message: string | null
+      code: string | null
+      __typename: string
+    } | null
+    category: {
+      id: string
+      order: number | null
+      name: string
+      systemCategory: string | null
+      systemCategoryDisplayName: string | null
+      budgetVariability: string | null
+      isSystemCategory: boolean
+      isDisabled: boolean | null
+      group: {
+        id: string
+        type: string
+        groupLevelBudgetingEnabled: boolean | null
+        __typename: string
+      } | null
+      rolloverPeriod: {
+        id: string
+        startMonth: string | null
+        startingBalance: number | null
+        __typename: string
+      } | null
+      __typename: string
+    } | null
+    __typename: string
+  }
+}
+
+export type CreateTransactionCategoryVariables = {
+  input: unknown
+}
+
+export declare function runCreateTransactionCategory(variables: CreateTransactionCategoryVariables, options?: CallOptions): Promise<CreateTransactionCategoryResult>
+
+/** createTransactionTag(): mutation Common_CreateTransactionTag */
+export type CreateTransactionTagResult = {
+  createTransactionTag: {
+    tag: {
+      id: string
+      name: string
+      color: string | null
+      order: number | null
+      transactionCount: number
+      __typename: string
+    } | null
+    errors: {
+      message: string | null
+      __typename: string
+    } | null
+    __typename: string
+  }
+}
+
+export type CreateTransactionTagVariables = {
+  input: unknown
+}
+
+export declare function runCreateTransactionTag(variables: CreateTransactionTagVariables, options?: CallOptions): Promise<CreateTransactionTagResult>
+
+/** setTransactionTags(): mutation Web_SetTransactionTags */
+export type SetTransactionTagsResult = {
+  setTransactionTags: {
+    errors: {
+      fieldErrors: Array<{
+        field: string
+        messages: Array<string>
+        __typename: string
+      }>
+      message: string | null
+      code: string | null
+      __typename: string
+    } | null
+    transaction: {
+      id: string
+      tags: Array<{
+        id: string
+        __typename: string
+      }>
+      __typename: string
+    } | null
+    __typename: string
+  }
+}
+
+export type SetTransactionTagsVariables = {
+  input: unknown
+}
+
+export declare function runSetTransactionTags(variables: SetTransactionTagsVariables, options?: CallOptions): Promise<SetTransactionTagsResult>
+
+/** updateTransactionSplits(): mutation Common_SplitTransactionMutation */
+export type UpdateTransactionSplitsResult = {
+  updateTransactionSplit: {
+    errors: {
+      fieldErrors: Array<{
+        field: string
+        messages: Array<string>
+        __typename: string
+      }>
+      message: string | null
+      code: string | null
+      __typename: string
+    } | null
+    transaction: {
+      id: string
+      hasSplitTransactions: boolean
+      splitTransactions: Array<{
+        id: string
+        merchant: {
+          id: string
+          name: string
+          __typename: string
+        } | null
+        category: {
+          id: string
+          name: string
+          __typename: string
+        } | null
+        amount: number
+        notes: string | null
+        __typename: string
+      }>
+      __typename: string
+    } | null
+    __typename: string
+  }
+}
+
+export type UpdateTransactionSplitsVariables = {
+  input: unknown
+}
+
+export declare function runUpdateTransactionSplits(variables: UpdateTransactionSplitsVariables, options?: CallOptions): Promise<UpdateTransactionSplitsResult>
+
+/** updateTransaction(): mutation Web_TransactionDrawerUpdateTransaction */
+export type UpdateTransactionResult = {
+  updateTransaction: {
+    transaction: {
+      id: string
+      amount: number
+      pending: boolean
+      date: string
+      hideFromReports: boolean
+      needsReview: boolean
+      reviewedAt: string | null
+      reviewedByUser: {
+        id: string
+        name: string
+        __typename: string
+      } | null
+      plaidName: string | null
+      notes: string | null
+      isRecurring: boolean
+      category: {
+        id: string
+        __typename: string
+      } | null
+      goal: {
+        id: string
+        __typename: string
+      } | null
+      merchant: {
+        id: string
+        name: string
+        __typename: string
+      } | null
+      __typename: string
+    } | null
+    errors: {
+      fieldErrors: Array<{
+        field: string
+        messages: Array<string>
+        __typename: string
+      }>
+      message: string | null
+      code: string | null
+      __typename: string
+    } | null
+    __typename: string
+  }
+}
+
+export type UpdateTransactionVariables = {
+  input: unknown
+}
+
+export declare function runUpdateTransaction(variables: UpdateTransactionVariables, options?: CallOptions): Promise<UpdateTransactionResult>
+
+/** setBudgetAmount(): mutation Common_UpdateBudgetItem */
+export type SetBudgetAmountResult = {
+  updateOrCreateBudgetItem: {
+    budgetItem: {
+      id: string
+      budgetAmount: number | null
+      __typename: string
+    }
+    __typename: string
+  }
+}
+
+export type SetBudgetAmountVariables = {
+  input: unknown
+}
+
+export declare function runSetBudgetAmount(variables: SetBudgetAmountVariables, options?: CallOptions): Promise<SetBudgetAmountResult>
+
+/** deleteTransaction(): mutation Common_DeleteTransactionMutation */
+export type DeleteTransactionResult = {
+  deleteTransaction: {
+    deleted: boolean
+    errors: {
+      fieldErrors: Array<{
+        field: string
+        messages: Array<string>
+        __typename: string
+      }>
+      message: string | null
+      code: string | null
+      __typename: string
+    } | null
+    __typename: string
+  }
+}
+
+export type DeleteTransactionVariables = {
+  input: unknown
+}
+
+export declare function runDeleteTransaction(variables: DeleteTransactionVariables, options?: CallOptions): Promise<DeleteTransactionResult>
+
+/** createTransaction(): mutation Common_CreateTransactionMutation */
+export type CreateTransactionResult = {
+  createTransaction: {
+    errors: {
+      fieldErrors: Array<{
+        field: string
+        messages: Array<string>
+        __typename: string
+      }>
+      message: string | null
+      code: string | null
+      __typename: string
+    } | null
+    transaction: {
+      id: string
+    } | null
+    __typename: string
+  }
+}
+
+export type CreateTransactionVariables = {
+  input: unknown
+}
+
+export declare function runCreateTransaction(variables: CreateTransactionVariables, options?: CallOptions): Promise<CreateTransactionResult>
+
+/** createManualAccount(): mutation Web_CreateManualAccount */
+export type CreateManualAccountResult = {
+  createManualAccount: {
+    account: {
+      id: string
+      __typename: string
+    } | null
+    errors: {
+      fieldErrors: Array<{
+        field: string
+        messages: Array<string>
+        __typename: string
+      }>
+      message: string | null
+      code: string | null
+      __typename: string
+    } | null
+    __typename: string
+  }
+}
+
+export type CreateManualAccountVariables = {
+  input: unknown
+}
+
+export declare function runCreateManualAccount(variables: CreateManualAccountVariables, options?: CallOptions): Promise<CreateManualAccountResult>
+
+/** updateAccount(): mutation Common_UpdateAccount */
+export type UpdateAccountResult = {
+  updateAccount: {
+    account: {
+      id: string
+      displayName: string
+      syncDisabled: boolean
+      deactivatedAt: string | null
+      isHidden: boolean
+      isAsset: boolean
+      mask: string | null
+      createdAt: string
+      updatedAt: string
+      displayLastUpdatedAt: string | null
+      currentBalance: number | null
+      displayBalance: number | null
+      includeInNetWorth: boolean
+      hideFromList: boolean
+      hideTransactionsFromReports: boolean
+      includeBalanceInNetWorth: boolean
+      includeInGoalBalance: boolean
+      dataProvider: string | null
+      dataProviderAccountId: string | null
+      isManual: boolean
+      transactionsCount: number
+      holdingsCount: number
+      manualInvestmentsTrackingMethod: string | null
+      order: number | null
+      icon: string | null
+      logoUrl: string | null
+      type: {
+        name: string
+        display: string
+        group: string | null
+        __typename: string
+      }
+      subtype: {
+        name: string
+        display: string
+        __typename: string
+      } | null
+      credential: {
+        id: string
+        updateRequired: boolean
+        disconnectedFromDataProviderAt: string | null
+        dataProvider: string | null
+        institution: {
+          id: string
+          plaidInstitutionId: string | null
+          name: string
+          status: string | null
+          __typename: string
+        } | null
+        __typename: string
+      } | null
+      institution: {
+        id: string
+        name: string
+        primaryColor: string | null
+        url: string | null
+        __typename: string
+      } | null
+      __typename: string
+    } | null
+    errors: {
+      fieldErrors: Array<{
+        field: string
+        messages: Array<string>
+        __typename: string
+      }>
+      message: string | null
+      code: string | null
+      __typename: string
+    } | null
+    __typename: string
+  }
+}
+
+export type UpdateAccountVariables = {
+  input: unknown
+}
+
+export declare function runUpdateAccount(variables: UpdateAccountVariables, options?: CallOptions): Promise<UpdateAccountResult>
+
+/** deleteAccount(): mutation Common_DeleteAccount */
+export type DeleteAccountResult = {
+  deleteAccount: {
+    deleted: boolean
+    errors: {
+      fieldErrors: Array<{
+        field: string
+        messages: Array<string>
+        __typename: string
+      }>
+      message: string | null
+      code: string | null
+      __typename: string
+    } | null
+    __typename: string
+  }
+}
+
+export type DeleteAccountVariables = {
+  id: string
+}
+
+export declare function runDeleteAccount(variables: DeleteAccountVariables, options?: CallOptions): Promise<DeleteAccountResult>
+
+/** requestAccountsRefresh(): mutation Common_ForceRefreshAccountsMutation */
+export type RequestAccountsRefreshResult = {
+  forceRefreshAccounts: {
+    success: boolean
+    errors: {
+      fieldErrors: Array<{
+        field: string
+        messages: Array<string>
+        __typename: string
+      }>
+      message: string | null
+      code: string | null
+      __typename: string
+    } | null
+    __typename: string
+  }
+}
+
+export type RequestAccountsRefreshVariables = {
+  input: unknown
+}
+
+export declare function runRequestAccountsRefresh(variables: RequestAccountsRefreshVariables, options?: CallOptions): Promise<RequestAccountsRefreshResult>
+
+/** isAccountsRefreshComplete(): query ForceRefreshAccountsQuery */
+export type IsAccountsRefreshCompleteResult = {
+  accounts: Array<{
+    id: string
+    hasSyncInProgress: boolean
+    __typename: string
+  }>
+}
+
+export type IsAccountsRefreshCompleteVariables = Record<string, never>
+
+export declare function runIsAccountsRefreshComplete(variables?: IsAccountsRefreshCompleteVariables, options?: CallOptions): Promise<IsAccountsRefreshCompleteResult>
+
+declare module "./index.js" {
+  interface MonarchClient {
+    runGetAccounts: typeof runGetAccounts
+    runGetAccountTypeOptions: typeof runGetAccountTypeOptions
+    runGetRecentAccountBalances: typeof runGetRecentAccountBalances
+    runGetAccountHoldings: typeof runGetAccountHoldings
+    runGetAccountHistory: typeof runGetAccountHistory
+    runGetSubscriptionDetails: typeof runGetSubscriptionDetails
+    runWhoami: typeof runWhoami
+    runGetInstitutions: typeof runGetInstitutions
+    runGetAccountSnapshotsByType: typeof runGetAccountSnapshotsByType
+    runGetAggregateSnapshots: typeof runGetAggregateSnapshots
+    runGetBudgets: typeof runGetBudgets
+    runGetTransactions: typeof runGetTransactions
+    runGetTransactionsSummary: typeof runGetTransactionsSummary
+    runGetRecurringTransactions: typeof runGetRecurringTransactions
+    runGetTransactionCategories: typeof runGetTransactionCategories
+    runGetTransactionCategoryGroups: typeof runGetTransactionCategoryGroups
+    runGetTransactionTags: typeof runGetTransactionTags
+    runGetMerchants: typeof runGetMerchants
+    runGetTransactionDetails: typeof runGetTransactionDetails
+    runGetTransactionSplits: typeof runGetTransactionSplits
+    runGetCashflow: typeof runGetCashflow
+    runGetCashflowSummary: typeof runGetCashflowSummary
+    runDeleteTransactionCategory: typeof runDeleteTransactionCategory
+    runCreateTransactionCategory: typeof runCreateTransactionCategory
+    runCreateTransactionTag: typeof runCreateTransactionTag
+    runSetTransactionTags: typeof runSetTransactionTags
+    runUpdateTransactionSplits: typeof runUpdateTransactionSplits
+    runUpdateTransaction: typeof runUpdateTransaction
+    runSetBudgetAmount: typeof runSetBudgetAmount
+    runDeleteTransaction: typeof runDeleteTransaction
+    runCreateTransaction: typeof runCreateTransaction
+    runCreateManualAccount: typeof runCreateManualAccount
+    runUpdateAccount: typeof runUpdateAccount
+    runDeleteAccount: typeof runDeleteAccount
+    runRequestAccountsRefresh: typeof runRequestAccountsRefresh
+    runIsAccountsRefreshComplete: typeof runIsAccountsRefreshComplete
+  }
+}
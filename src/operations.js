@@ -0,0 +1,188 @@
+// operations.js
+// Generated by scripts/codegen.js from the queries in src/queries.js. Do not edit;
+// run `npm run codegen` instead.
+import { MonarchClient, resolveClient } from "./client.js"
+import { getDocument } from "./queries.js"
+
+export async function runGetAccounts(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("GetAccounts", getDocument("getAccounts", options.selection), variables, options)
+}
+
+export async function runGetAccountTypeOptions(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("GetAccountTypeOptions", getDocument("getAccountTypeOptions", options.selection), variables, options)
+}
+
+export async function runGetRecentAccountBalances(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("GetAccountRecentBalances", getDocument("getRecentAccountBalances", options.selection), variables, options)
+}
+
+export async function runGetAccountHoldings(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("Web_GetHoldings", getDocument("getAccountHoldings", options.selection), variables, options)
+}
+
+export async function runGetAccountHistory(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("AccountDetails_getAccount", getDocument("getAccountHistory", options.selection), variables, options)
+}
+
+export async function runGetSubscriptionDetails(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("GetSubscriptionDetails", getDocument("getSubscriptionDetails", options.selection), variables, options)
+}
+
+export async function runWhoami(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("Common_GetMe", getDocument("whoami", options.selection), variables, options)
+}
+
+export async function runGetInstitutions(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("Web_GetInstitutionSettings", getDocument("getInstitutions", options.selection), variables, options)
+}
+
+export async function runGetAccountSnapshotsByType(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("GetSnapshotsByAccountType", getDocument("getAccountSnapshotsByType", options.selection), variables, options)
+}
+
+export async function runGetAggregateSnapshots(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("GetAggregateSnapshots", getDocument("getAggregateSnapshots", options.selection), variables, options)
+}
+
+export async function runGetBudgets(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("GetJointPlanningData", getDocument("getBudgets", options.selection), variables, options)
+}
+
+export async function runGetTransactions(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("GetTransactionsList", getDocument("getTransactions", options.selection), variables, options)
+}
+
+export async function runGetTransactionsSummary(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("GetTransactionsPage", getDocument("getTransactionsSummary", options.selection), variables, options)
+}
+
+export async function runGetRecurringTransactions(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("Web_GetUpcomingRecurringTransactionItems", getDocument("getRecurringTransactions", options.selection), variables, options)
+}
+
+export async function runGetTransactionCategories(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("GetCategories", getDocument("getTransactionCategories", options.selection), variables, options)
+}
+
+export async function runGetTransactionCategoryGroups(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("ManageGetCategoryGroups", getDocument("getTransactionCategoryGroups", options.selection), variables, options)
+}
+
+export async function runGetTransactionTags(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("GetHouseholdTransactionTags", getDocument("getTransactionTags", options.selection), variables, options)
+}
+
+export async function runGetMerchants(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("GetMerchants", getDocument("getMerchants", options.selection), variables, options)
+}
+
+export async function runGetTransactionDetails(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("GetTransactionDrawer", getDocument("getTransactionDetails", options.selection), variables, options)
+}
+
+export async function runGetTransactionSplits(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("TransactionSplitQuery", getDocument("getTransactionSplits", options.selection), variables, options)
+}
+
+export async function runGetCashflow(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("Web_GetCashFlowPage", getDocument("getCashflow", options.selection), variables, options)
+}
+
+export async function runGetCashflowSummary(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("Web_GetCashFlowPage", getDocument("getCashflowSummary", options.selection), variables, options)
+}
+
+export async function runDeleteTransactionCategory(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("Web_DeleteCategory", getDocument("deleteTransactionCategory", options.selection), variables, options)
+}
+
+export async function runCreateTransactionCategory(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("Web_CreateCategory", getDocument("createTransactionCategory", options.selection), variables, options)
+}
+
+export async function runCreateTransactionTag(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("Common_CreateTransactionTag", getDocument("createTransactionTag", options.selection), variables, options)
+}
+
+export async function runSetTransactionTags(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("Web_SetTransactionTags", getDocument("setTransactionTags", options.selection), variables, options)
+}
+
+export async function runUpdateTransactionSplits(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("Common_SplitTransactionMutation", getDocument("updateTransactionSplits", options.selection), variables, options)
+}
+
+export async function runUpdateTransaction(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("Web_TransactionDrawerUpdateTransaction", getDocument("updateTransaction", options.selection), variables, options)
+}
+
+export async function runSetBudgetAmount(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("Common_UpdateBudgetItem", getDocument("setBudgetAmount", options.selection), variables, options)
+}
+
+export async function runDeleteTransaction(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("Common_DeleteTransactionMutation", getDocument("deleteTransaction", options.selection), variables, options)
+}
+
+export async function runCreateTransaction(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("Common_CreateTransactionMutation", getDocument("createTransaction", options.selection), variables, options)
+}
+
+export async function runCreateManualAccount(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("Web_CreateManualAccount", getDocument("createManualAccount", options.selection), variables, options)
+}
+
+export async function runUpdateAccount(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("Common_UpdateAccount", getDocument("updateAccount", options.selection), variables, options)
+}
+
+export async function runDeleteAccount(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("Common_DeleteAccount", getDocument("deleteAccount", options.selection), variables, options)
+}
+
+export async function runRequestAccountsRefresh(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("Common_ForceRefreshAccountsMutation", getDocument("requestAccountsRefresh", options.selection), variables, options)
+}
+
+export async function runIsAccountsRefreshComplete(variables = {}, options = {}) {
+  return await resolveClient(this).gqlCall("ForceRefreshAccountsQuery", getDocument("isAccountsRefreshComplete", options.selection), variables, options)
+}
+
+Object.assign(MonarchClient.prototype, {
+  runGetAccounts,
+  runGetAccountTypeOptions,
+  runGetRecentAccountBalances,
+  runGetAccountHoldings,
+  runGetAccountHistory,
+  runGetSubscriptionDetails,
+  runWhoami,
+  runGetInstitutions,
+  runGetAccountSnapshotsByType,
+  runGetAggregateSnapshots,
+  runGetBudgets,
+  runGetTransactions,
+  runGetTransactionsSummary,
+  runGetRecurringTransactions,
+  runGetTransactionCategories,
+  runGetTransactionCategoryGroups,
+  runGetTransactionTags,
+  runGetMerchants,
+  runGetTransactionDetails,
+  runGetTransactionSplits,
+  runGetCashflow,
+  runGetCashflowSummary,
+  runDeleteTransactionCategory,
+  runCreateTransactionCategory,
+  runCreateTransactionTag,
+  runSetTransactionTags,
+  runUpdateTransactionSplits,
+  runUpdateTransaction,
+  runSetBudgetAmount,
+  runDeleteTransaction,
+  runCreateTransaction,
+  runCreateManualAccount,
+  runUpdateAccount,
+  runDeleteAccount,
+  runRequestAccountsRefresh,
+  runIsAccountsRefreshComplete,
+})
@@ -0,0 +1,1394 @@
+// queries.js
+import { Kind, parse, print, visit } from "graphql"
+import { gql } from "graphql-request"
+
+// Every GraphQL document the API functions send. An operation is declared
+// once, keyed by the function that sends it, and only spreads the fragments
+// it needs; getDocument() appends them. `...Custom<Type>Fields` spreads mark
+// where fields added with registerSelection() go, and are dropped while none
+// are registered for that type.
+
+const FRAGMENTS = {
+  AccountFields: gql`
+    fragment AccountFields on Account {
+      id
+      displayName
+      syncDisabled
+      deactivatedAt
+      isHidden
+      isAsset
+      mask
+      createdAt
+      updatedAt
+      displayLastUpdatedAt
+      currentBalance
+      displayBalance
+      includeInNetWorth
+      hideFromList
+      hideTransactionsFromReports
+      includeBalanceInNetWorth
+      includeInGoalBalance
+      dataProvider
+      dataProviderAccountId
+      isManual
+      transactionsCount
+      holdingsCount
+      manualInvestmentsTrackingMethod
+      order
+      icon
+      logoUrl
+      type {
+        name
+        display
+        group
+        __typename
+      }
+      subtype {
+        name
+        display
+        __typename
+      }
+      credential {
+        id
+        updateRequired
+        disconnectedFromDataProviderAt
+        dataProvider
+        institution {
+          id
+          plaidInstitutionId
+          name
+          status
+          __typename
+        }
+        __typename
+      }
+      institution {
+        id
+        name
+        primaryColor
+        url
+        __typename
+      }
+      ...CustomAccountFields
+      __typename
+    }
+  `,
+  EditAccountFormFields: gql`
+    fragment EditAccountFormFields on Account {
+      id
+      displayName
+      deactivatedAt
+      displayBalance
+      includeInNetWorth
+      hideFromList
+      hideTransactionsFromReports
+      dataProvider
+      dataProviderAccountId
+      isManual
+      manualInvestmentsTrackingMethod
+      isAsset
+      invertSyncedBalance
+      canInvertBalance
+      type {
+        name
+        display
+        __typename
+      }
+      subtype {
+        name
+        display
+        __typename
+      }
+      __typename
+    }
+  `,
+  InstitutionStatusFields: gql`
+    fragment InstitutionStatusFields on Institution {
+      id
+      hasIssuesReported
+      hasIssuesReportedMessage
+      plaidStatus
+      status
+      balanceStatus
+      transactionsStatus
+      __typename
+    }
+  `,
+  TransactionsListFields: gql`
+    fragment TransactionsListFields on Transaction {
+      id
+      ...TransactionOverviewFields
+      __typename
+    }
+  `,
+  TransactionOverviewFields: gql`
+    fragment TransactionOverviewFields on Transaction {
+      id
+      amount
+      pending
+      date
+      hideFromReports
+      plaidName
+      notes
+      isRecurring
+      reviewStatus
+      needsReview
+      dataProviderDescription
+      attachments {
+        id
+        extension
+        filename
+        originalAssetUrl
+        publicId
+        sizeBytes
+        __typename
+      }
+      isSplitTransaction
+      createdAt
+      updatedAt
+      category {
+        id
+        name
+        group {
+          id
+          name
+          type
+          __typename
+        }
+        __typename
+      }
+      merchant {
+        name
+        id
+        transactionsCount
+        __typename
+      }
+      account {
+        id
+        displayName
+        __typename
+      }
+      tags {
+        id
+        name
+        color
+        order
+        __typename
+      }
+      ...CustomTransactionFields
+      __typename
+    }
+  `,
+  CredentialSettingsCardFields: gql`
+    fragment CredentialSettingsCardFields on Credential {
+      id
+      updateRequired
+      disconnectedFromDataProviderAt
+      ...InstitutionInfoFields
+      institution {
+        id
+        name
+        url
+        __typename
+      }
+      __typename
+    }
+  `,
+  InstitutionInfoFields: gql`
+    fragment InstitutionInfoFields on Credential {
+      id
+      displayLastUpdatedAt
+      dataProvider
+      updateRequired
+      disconnectedFromDataProviderAt
+      ...InstitutionLogoWithStatusFields
+      institution {
+        id
+        name
+        hasIssuesReported
+        hasIssuesReportedMessage
+        __typename
+      }
+      __typename
+    }
+  `,
+  InstitutionLogoWithStatusFields: gql`
+    fragment InstitutionLogoWithStatusFields on Credential {
+      dataProvider
+      updateRequired
+      institution {
+        hasIssuesReported
+        status
+        balanceStatus
+        transactionsStatus
+        __typename
+      }
+      __typename
+    }
+  `,
+  TransactionsSummaryFields: gql`
+    fragment TransactionsSummaryFields on TransactionsSummary {
+      avg
+      count
+      max
+      maxExpense
+      sum
+      sumIncome
+      sumExpense
+      first
+      last
+      __typename
+    }
+  `,
+  CategoryFields: gql`
+    fragment CategoryFields on Category {
+      id
+      order
+      name
+      systemCategory
+      isSystemCategory
+      isDisabled
+      updatedAt
+      createdAt
+      group {
+        id
+        name
+        type
+        __typename
+      }
+      __typename
+    }
+  `,
+  TransactionDrawerSplitMessageFields: gql`
+    fragment TransactionDrawerSplitMessageFields on Transaction {
+      id
+      amount
+      merchant {
+        id
+        name
+        __typename
+      }
+      category {
+        id
+        name
+        __typename
+      }
+      __typename
+    }
+  `,
+  OriginalTransactionFields: gql`
+    fragment OriginalTransactionFields on Transaction {
+      id
+      date
+      amount
+      merchant {
+        id
+        name
+        __typename
+      }
+      __typename
+    }
+  `,
+  TransactionDrawerAccountSectionFields: gql`
+    fragment TransactionDrawerAccountSectionFields on Account {
+      id
+      displayName
+      logoUrl
+      id
+      mask
+      subtype {
+        display
+        __typename
+      }
+      __typename
+    }
+  `,
+  PayloadErrorFields: gql`
+    fragment PayloadErrorFields on PayloadError {
+      fieldErrors {
+        field
+        messages
+        __typename
+      }
+      message
+      code
+      __typename
+    }
+  `,
+  CategoryFormFields: gql`
+    fragment CategoryFormFields on Category {
+      id
+      order
+      name
+      systemCategory
+      systemCategoryDisplayName
+      budgetVariability
+      isSystemCategory
+      isDisabled
+      group {
+        id
+        type
+        groupLevelBudgetingEnabled
+        __typename
+      }
+      rolloverPeriod {
+        id
+        startMonth
+        startingBalance
+        __typename
+      }
+      __typename
+    }
+  `,
+}
+
+const OPERATIONS = {
+  getAccounts: gql`
+    query GetAccounts {
+      accounts {
+        ...AccountFields
+        __typename
+      }
+      householdPreferences {
+        id
+        accountGroupOrder
+        __typename
+      }
+    }
+  `,
+  getAccountTypeOptions: gql`
+    query GetAccountTypeOptions {
+      accountTypeOptions {
+        type {
+          name
+          display
+          group
+          possibleSubtypes {
+            display
+            name
+            __typename
+          }
+          __typename
+        }
+        subtype {
+          name
+          display
+          __typename
+        }
+        __typename
+      }
+    }
+  `,
+  getRecentAccountBalances: gql`
+    query GetAccountRecentBalances($startDate: Date!) {
+      accounts {
+        id
+        recentBalances(startDate: $startDate)
+        __typename
+      }
+    }
+  `,
+  getAccountHoldings: gql`
+    query Web_GetHoldings($input: PortfolioInput) {
+      portfolio(input: $input) {
+        aggregateHoldings {
+          edges {
+            node {
+              id
+              quantity
+              basis
+              totalValue
+              securityPriceChangeDollars
+              securityPriceChangePercent
+              lastSyncedAt
+              holdings {
+                id
+                type
+                typeDisplay
+                name
+                ticker
+                closingPrice
+                isManual
+                closingPriceUpdatedAt
+                __typename
+              }
+              security {
+                id
+                name
+                type
+                ticker
+                typeDisplay
+                currentPrice
+                currentPriceUpdatedAt
+                closingPrice
+                closingPriceUpdatedAt
+                oneDayChangePercent
+                oneDayChangeDollars
+                __typename
+              }
+              __typename
+            }
+            __typename
+          }
+          __typename
+        }
+        __typename
+      }
+    }
+  `,
+  getAccountHistory: gql`
+    query AccountDetails_getAccount($id: UUID!, $filters: TransactionFilterInput) {
+      account(id: $id) {
+        id
+        ...AccountFields
+        ...EditAccountFormFields
+        isLiability
+        credential {
+          id
+          hasSyncInProgress
+          canBeForceRefreshed
+          disconnectedFromDataProviderAt
+          dataProvider
+          institution {
+            id
+            plaidInstitutionId
+            url
+            ...InstitutionStatusFields
+            __typename
+          }
+          __typename
+        }
+        institution {
+          id
+          plaidInstitutionId
+          url
+          ...InstitutionStatusFields
+          __typename
+        }
+        __typename
+      }
+      transactions: allTransactions(filters: $filters) {
+        totalCount
+        results(limit: 20) {
+          id
+          ...TransactionsListFields
+          __typename
+        }
+        __typename
+      }
+      snapshots: snapshotsForAccount(accountId: $id) {
+        date
+        signedBalance
+        __typename
+      }
+    }
+  `,
+  getSubscriptionDetails: gql`
+    query GetSubscriptionDetails {
+      subscription {
+        id
+        paymentSource
+        referralCode
+        isOnFreeTrial
+        hasPremiumEntitlement
+        __typename
+      }
+    }
+  `,
+  whoami: gql`
+    query Common_GetMe {
+      me {
+        id
+        name
+        email
+        timezone
+        __typename
+      }
+      householdPreferences {
+        id
+        __typename
+      }
+      subscription {
+        id
+        isOnFreeTrial
+        hasPremiumEntitlement
+        __typename
+      }
+    }
+  `,
+  getInstitutions: gql`
+    query Web_GetInstitutionSettings {
+      credentials {
+        id
+        ...CredentialSettingsCardFields
+        __typename
+      }
+      accounts(filters: {includeDeleted: true}) {
+        id
+        displayName
+        subtype {
+          display
+          __typename
+        }
+        mask
+        credential {
+          id
+          __typename
+        }
+        deletedAt
+        __typename
+      }
+      subscription {
+        isOnFreeTrial
+        hasPremiumEntitlement
+        __typename
+      }
+    }
+  `,
+  getAccountSnapshotsByType: gql`
+    query GetSnapshotsByAccountType($startDate: Date!, $timeframe: Timeframe!) {
+      snapshotsByAccountType(startDate: $startDate, timeframe: $timeframe) {
+        accountType
+        month
+        balance
+        __typename
+      }
+      accountTypes {
+        name
+        group
+        __typename
+      }
+    }
+  `,
+  getAggregateSnapshots: gql`
+    query GetAggregateSnapshots($filters: AggregateSnapshotFilters) {
+      aggregateSnapshots(filters: $filters) {
+        date
+        balance
+        __typename
+      }
+    }
+  `,
+  getBudgets: gql`
+    query GetJointPlanningData($startDate: Date!, $endDate: Date!, $useLegacyGoals: Boolean!, $useV2Goals: Boolean!) {
+      budgetData(startMonth: $startDate, endMonth: $endDate) {
+        monthlyAmountsByCategory {
+          category {
+            id
+            name
+            __typename
+          }
+          monthlyAmounts {
+            month
+            plannedCashFlowAmount
+            plannedSetAsideAmount
+            actualAmount
+            remainingAmount
+            previousMonthRolloverAmount
+            rolloverType
+            __typename
+          }
+          __typename
+        }
+        monthlyAmountsByCategoryGroup {
+          categoryGroup {
+            id
+            name
+            __typename
+          }
+          monthlyAmounts {
+            month
+            plannedCashFlowAmount
+            actualAmount
+            remainingAmount
+            previousMonthRolloverAmount
+            rolloverType
+            __typename
+          }
+          __typename
+        }
+        monthlyAmountsForFlexExpense {
+          budgetVariability
+          monthlyAmounts {
+            month
+            plannedCashFlowAmount
+            actualAmount
+            remainingAmount
+            previousMonthRolloverAmount
+            rolloverType
+            __typename
+          }
+          __typename
+        }
+        totalsByMonth {
+          month
+          totalIncome {
+            plannedAmount
+            actualAmount
+            remainingAmount
+            previousMonthRolloverAmount
+            __typename
+          }
+          totalExpenses {
+            plannedAmount
+            actualAmount
+            remainingAmount
+            previousMonthRolloverAmount
+            __typename
+          }
+          totalFixedExpenses {
+            plannedAmount
+            actualAmount
+            remainingAmount
+            previousMonthRolloverAmount
+            __typename
+          }
+          totalNonMonthlyExpenses {
+            plannedAmount
+            actualAmount
+            remainingAmount
+            previousMonthRolloverAmount
+            __typename
+          }
+          totalFlexibleExpenses {
+            plannedAmount
+            actualAmount
+            remainingAmount
+            previousMonthRolloverAmount
+            __typename
+          }
+          __typename
+        }
+        __typename
+      }
+      categoryGroups {
+        id
+        name
+        order
+        groupLevelBudgetingEnabled
+        budgetVariability
+        rolloverPeriod {
+          id
+          startMonth
+          endMonth
+          __typename
+        }
+        categories {
+          id
+          name
+          order
+          budgetVariability
+          rolloverPeriod {
+            id
+            startMonth
+            endMonth
+            __typename
+          }
+          __typename
+        }
+        type
+        __typename
+      }
+      goals @include(if: $useLegacyGoals) {
+        id
+        name
+        completedAt
+        targetDate
+        __typename
+      }
+      goalMonthlyContributions(startDate: $startDate, endDate: $endDate) @include(if: $useLegacyGoals) {
+        month: monthlyContribution
+        startDate
+        goalId
+        __typename
+      }
+      goalPlannedContributions(startDate: $startDate, endDate: $endDate) @include(if: $useLegacyGoals) {
+        id
+        amount
+        startDate
+        goal {
+          id
+          __typename
+        }
+        __typename
+      }
+      goalsV2 @include(if: $useV2Goals) {
+        id
+        name
+        archivedAt
+        completedAt
+        priority
+        imageStorageProvider
+        imageStorageProviderId
+        plannedContributions(startMonth: $startDate, endMonth: $endDate) {
+          id
+          month
+          amount
+          __typename
+        }
+        monthlyContributionSummaries(startMonth: $startDate, endMonth: $endDate) {
+          month
+          sum
+          __typename
+        }
+        __typename
+      }
+      budgetSystem
+    }
+  `,
+  getTransactions: gql`
+    query GetTransactionsList($offset: Int, $limit: Int, $filters: TransactionFilterInput, $orderBy: TransactionOrdering) {
+      allTransactions(filters: $filters) {
+        totalCount
+        results(offset: $offset, limit: $limit, orderBy: $orderBy) {
+          id
+          ...TransactionOverviewFields
+          __typename
+        }
+        __typename
+      }
+      transactionRules {
+        id
+        __typename
+      }
+    }
+  `,
+  getTransactionsSummary: gql`
+    query GetTransactionsPage($filters: TransactionFilterInput) {
+      aggregates(filters: $filters) {
+        summary {
+          ...TransactionsSummaryFields
+          __typename
+        }
+        __typename
+      }
+    }
+  `,
+  getRecurringTransactions: gql`
+    query Web_GetUpcomingRecurringTransactionItems($startDate: Date!, $endDate: Date!, $filters: RecurringTransactionFilter) {
+      recurringTransactionItems(
+        startDate: $startDate
+        endDate: $endDate
+        filters: $filters
+      ) {
+        stream {
+          id
+          frequency
+          amount
+          isApproximate
+          merchant {
+            id
+            name
+            logoUrl
+            __typename
+          }
+          __typename
+        }
+        date
+        isPast
+        transactionId
+        amount
+        amountDiff
+        category {
+          id
+          name
+          __typename
+        }
+        account {
+          id
+          displayName
+          logoUrl
+          __typename
+        }
+        __typename
+      }
+    }
+  `,
+  getTransactionCategories: gql`
+    query GetCategories {
+      categories {
+        ...CategoryFields
+        __typename
+      }
+    }
+  `,
+  getTransactionCategoryGroups: gql`
+    query ManageGetCategoryGroups {
+      categoryGroups {
+        id
+        name
+        order
+        type
+        updatedAt
+        createdAt
+        __typename
+      }
+    }
+  `,
+  getTransactionTags: gql`
+    query GetHouseholdTransactionTags($search: String, $limit: Int, $bulkParams: BulkTransactionDataParams) {
+      householdTransactionTags(
+        search: $search
+        limit: $limit
+        bulkParams: $bulkParams
+      ) {
+        id
+        name
+        color
+        order
+        transactionCount
+        __typename
+      }
+    }
+  `,
+  getMerchants: gql`
+    query GetMerchants($search: String, $limit: Int) {
+      merchants(search: $search, limit: $limit) {
+        id
+        name
+        transactionCount
+        __typename
+      }
+    }
+  `,
+  getTransactionDetails: gql`
+    query GetTransactionDrawer($id: UUID!, $redirectPosted: Boolean) {
+      getTransaction(id: $id, redirectPosted: $redirectPosted) {
+        id
+        amount
+        pending
+        isRecurring
+        date
+        originalDate
+        hideFromReports
+        needsReview
+        reviewedAt
+        reviewedByUser {
+          id
+          name
+          __typename
+        }
+        plaidName
+        notes
+        hasSplitTransactions
+        isSplitTransaction
+        isManual
+        splitTransactions {
+          id
+          ...TransactionDrawerSplitMessageFields
+          __typename
+        }
+        originalTransaction {
+          id
+          ...OriginalTransactionFields
+          __typename
+        }
+        attachments {
+          id
+          publicId
+          extension
+          sizeBytes
+          filename
+          originalAssetUrl
+          __typename
+        }
+        account {
+          id
+          ...TransactionDrawerAccountSectionFields
+          __typename
+        }
+        category {
+          id
+          __typename
+        }
+        goal {
+          id
+          __typename
+        }
+        merchant {
+          id
+          name
+          transactionCount
+          logoUrl
+          recurringTransactionStream {
+            id
+            __typename
+          }
+          __typename
+        }
+        tags {
+          id
+          name
+          color
+          order
+          __typename
+        }
+        needsReviewByUser {
+          id
+          __typename
+        }
+        ...CustomTransactionFields
+        __typename
+      }
+      myHousehold {
+        users {
+          id
+          name
+          __typename
+        }
+        __typename
+      }
+    }
+  `,
+  getTransactionSplits: gql`
+    query TransactionSplitQuery($id: UUID!) {
+      getTransaction(id: $id) {
+        id
+        amount
+        category {
+          id
+          name
+          __typename
+        }
+        merchant {
+          id
+          name
+          __typename
+        }
+        splitTransactions {
+          id
+          merchant {
+            id
+            name
+            __typename
+          }
+          category {
+            id
+            name
+            __typename
+          }
+          amount
+          notes
+          __typename
+        }
+        __typename
+      }
+    }
+  `,
+  getCashflow: gql`
+    query Web_GetCashFlowPage($filters: TransactionFilterInput) {
+      byCategory: aggregates(filters: $filters, groupBy: ["category"]) {
+        groupBy {
+          category {
+            id
+            name
+            group {
+              id
+              type
+              __typename
+            }
+            __typename
+          }
+          __typename
+        }
+        summary {
+          sum
+          __typename
+        }
+        __typename
+      }
+      byCategoryGroup: aggregates(filters: $filters, groupBy: ["categoryGroup"]) {
+        groupBy {
+          categoryGroup {
+            id
+            name
+            type
+            __typename
+          }
+          __typename
+        }
+        summary {
+          sum
+          __typename
+        }
+        __typename
+      }
+      byMerchant: aggregates(filters: $filters, groupBy: ["merchant"]) {
+        groupBy {
+          merchant {
+            id
+            name
+            logoUrl
+            __typename
+          }
+          __typename
+        }
+        summary {
+          sumIncome
+          sumExpense
+          __typename
+        }
+        __typename
+      }
+      summary: aggregates(filters: $filters, fillEmptyValues: true) {
+        summary {
+          sumIncome
+          sumExpense
+          savings
+          savingsRate
+          __typename
+        }
+        __typename
+      }
+    }
+  `,
+  getCashflowSummary: gql`
+    query Web_GetCashFlowPage($filters: TransactionFilterInput) {
+      summary: aggregates(filters: $filters, fillEmptyValues: true) {
+        summary {
+          sumIncome
+          sumExpense
+          savings
+          savingsRate
+          __typename
+        }
+        __typename
+      }
+    }
+  `,
+  deleteTransactionCategory: gql`
+    mutation Web_DeleteCategory($id: UUID!, $moveToCategoryId: UUID) {
+      deleteCategory(id: $id, moveToCategoryId: $moveToCategoryId) {
+        errors {
+          ...PayloadErrorFields
+          __typename
+        }
+        deleted
+        __typename
+      }
+    }
+  `,
+  createTransactionCategory: gql`
+    mutation Web_CreateCategory($input: CreateCategoryInput!) {
+      createCategory(input: $input) {
+        errors {
+          ...PayloadErrorFields
+          __typename
+        }
+        category {
+          id
+          ...CategoryFormFields
+          __typename
+        }
+        __typename
+      }
+    }
+  `,
+  createTransactionTag: gql`
+    mutation Common_CreateTransactionTag($input: CreateTransactionTagInput!) {
+      createTransactionTag(input: $input) {
+        tag {
+          id
+          name
+          color
+          order
+          transactionCount
+          __typename
+        }
+        errors {
+          message
+          __typename
+        }
+        __typename
+      }
+    }
+  `,
+  setTransactionTags: gql`
+    mutation Web_SetTransactionTags($input: SetTransactionTagsInput!) {
+      setTransactionTags(input: $input) {
+        errors {
+          ...PayloadErrorFields
+          __typename
+        }
+        transaction {
+          id
+          tags {
+            id
+            __typename
+          }
+          __typename
+        }
+        __typename
+      }
+    }
+  `,
+  updateTransactionSplits: gql`
+    mutation Common_SplitTransactionMutation($input: UpdateTransactionSplitMutationInput!) {
+      updateTransactionSplit(input: $input) {
+        errors {
+          ...PayloadErrorFields
+          __typename
+        }
+        transaction {
+          id
+          hasSplitTransactions
+          splitTransactions {
+            id
+            merchant {
+              id
+              name
+              __typename
+            }
+            category {
+              id
+              name
+              __typename
+            }
+            amount
+            notes
+            __typename
+          }
+          __typename
+        }
+        __typename
+      }
+    }
+  `,
+  updateTransaction: gql`
+    mutation Web_TransactionDrawerUpdateTransaction($input: UpdateTransactionMutationInput!) {
+      updateTransaction(input: $input) {
+        transaction {
+          id
+          amount
+          pending
+          date
+          hideFromReports
+          needsReview
+          reviewedAt
+          reviewedByUser {
+            id
+            name
+            __typename
+          }
+          plaidName
+          notes
+          isRecurring
+          category {
+            id
+            __typename
+          }
+          goal {
+            id
+            __typename
+          }
+          merchant {
+            id
+            name
+            __typename
+          }
+          __typename
+        }
+        errors {
+          ...PayloadErrorFields
+          __typename
+        }
+        __typename
+      }
+    }
+  `,
+  setBudgetAmount: gql`
+    mutation Common_UpdateBudgetItem($input: UpdateOrCreateBudgetItemMutationInput!) {
+      updateOrCreateBudgetItem(input: $input) {
+        budgetItem {
+          id
+          budgetAmount
+          __typename
+        }
+        __typename
+      }
+    }
+  `,
+  deleteTransaction: gql`
+    mutation Common_DeleteTransactionMutation($input: DeleteTransactionMutationInput!) {
+      deleteTransaction(input: $input) {
+        deleted
+        errors {
+          ...PayloadErrorFields
+          __typename
+        }
+        __typename
+      }
+    }
+  `,
+  createTransaction: gql`
+    mutation Common_CreateTransactionMutation($input: CreateTransactionMutationInput!) {
+      createTransaction(input: $input) {
+        errors {
+          ...PayloadErrorFields
+          __typename
+        }
+        transaction {
+          id
+        }
+        __typename
+      }
+    }
+  `,
+  createManualAccount: gql`
+    mutation Web_CreateManualAccount($input: CreateManualAccountMutationInput!) {
+      createManualAccount(input: $input) {
+        account {
+          id
+          __typename
+        }
+        errors {
+          ...PayloadErrorFields
+          __typename
+        }
+        __typename
+      }
+    }
+  `,
+  updateAccount: gql`
+    mutation Common_UpdateAccount($input: UpdateAccountMutationInput!) {
+      updateAccount(input: $input) {
+        account {
+          ...AccountFields
+          __typename
+        }
+        errors {
+          ...PayloadErrorFields
+          __typename
+        }
+        __typename
+      }
+    }
+  `,
+  deleteAccount: gql`
+    mutation Common_DeleteAccount($id: UUID!) {
+      deleteAccount(id: $id) {
+        deleted
+        errors {
+          ...PayloadErrorFields
+          __typename
+        }
+        __typename
+      }
+    }
+  `,
+  requestAccountsRefresh: gql`
+    mutation Common_ForceRefreshAccountsMutation($input: ForceRefreshAccountsInput!) {
+      forceRefreshAccounts(input: $input) {
+        success
+        errors {
+          ...PayloadErrorFields
+          __typename
+        }
+        __typename
+      }
+    }
+  `,
+  isAccountsRefreshComplete: gql`
+    query ForceRefreshAccountsQuery {
+      accounts {
+        id
+        hasSyncInProgress
+        __typename
+      }
+    }
+  `,
+}
+
+const CUSTOM_FRAGMENT = /^Custom(\w+)Fields$/
+
+// Types that have a ...Custom<Type>Fields spread somewhere.
+const CUSTOM_TYPES = new Set(
+  [...Object.values(FRAGMENTS), ...Object.values(OPERATIONS)].flatMap((source) =>
+    [...source.matchAll(/\.\.\.Custom(\w+)Fields\b/g)].map((match) => match[1])
+  )
+)
+
+const selections = new Map()
+const documents = new Map()
+
+const customFragment = (typeName, fields) =>
+  parse(`fragment Custom${typeName}Fields on ${typeName} {\n${fields.join("\n")}\n}`).definitions[0]
+
+export const operationNames = () => Object.keys(OPERATIONS)
+
+// The operation `name` with the fragments it uses, as a graphql-js document.
+// `custom` maps type names to the extra fields to select on them.
+export const composeDocument = (name, custom = selections) => {
+  if (!Object.hasOwn(OPERATIONS, name)) {
+    throw new Error(`Unknown operation "${name}"`)
+  }
+  const definitions = [parse(OPERATIONS[name]).definitions[0]]
+  const included = new Set()
+  for (let i = 0; i < definitions.length; i++) {
+    definitions[i] = visit(definitions[i], {
+      FragmentSpread(node) {
+        const fragmentName = node.name.value
+        const customType = CUSTOM_FRAGMENT.exec(fragmentName)?.[1]
+        if (customType && !custom.has(customType)) {
+          return null
+        }
+        if (included.has(fragmentName)) {
+          return undefined
+        }
+        included.add(fragmentName)
+        if (customType) {
+          definitions.push(customFragment(customType, custom.get(customType)))
+        } else if (Object.hasOwn(FRAGMENTS, fragmentName)) {
+          definitions.push(parse(FRAGMENTS[fragmentName]).definitions[0])
+        } else {
+          throw new Error(`Unknown fragment "${fragmentName}" in ${name}`)
+        }
+        return undefined
+      },
+    })
+  }
+  return { kind: Kind.DOCUMENT, definitions }
+}
+
+// Throws a GraphQLError when the fields don't parse.
+const checkSelection = (typeName, fields) => {
+  if (!CUSTOM_TYPES.has(typeName)) {
+    throw new Error(`Custom fields can only be added to ${[...CUSTOM_TYPES].join(", ")}, not "${typeName}"`)
+  }
+  customFragment(typeName, [fields])
+}
+
+const addSelection = (custom, typeName, fields) => custom.set(typeName, [...(custom.get(typeName) || []), fields])
+
+// `selection` adds fields for this document only, e.g. { Account: "icon" }.
+export const getDocument = (name, selection = null) => {
+  if (selection) {
+    const custom = new Map(selections)
+    for (const [typeName, fields] of Object.entries(selection)) {
+      checkSelection(typeName, fields)
+      addSelection(custom, typeName, fields)
+    }
+    return print(composeDocument(name, custom))
+  }
+  if (!documents.has(name)) {
+    documents.set(name, print(composeDocument(name)))
+  }
+  return documents.get(name)
+}
+
+// Adds fields wherever there is a ...Custom<typeName>Fields spread, e.g.
+// registerSelection("Transaction", "originalDate merchant { logoUrl }").
+export const registerSelection = (typeName, fields) => {
+  checkSelection(typeName, fields)
+  addSelection(selections, typeName, fields)
+  documents.clear()
+}
+
+export const clearSelections = (typeName = null) => {
+  if (typeName) {
+    selections.delete(typeName)
+  } else {
+    selections.clear()
+  }
+  documents.clear()
+}
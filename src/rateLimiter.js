@@ -0,0 +1,159 @@
+// rateLimiter.js
+import { RateLimitedError } from "./errors.js"
+import { sleep } from "./retry.js"
+
+export const DEFAULT_RATE_LIMIT = {
+  requestsPerSecond: 10,
+  burst: 10,
+  maxConcurrency: 4,
+  operations: {},
+}
+
+// The smallest value each limit may take; anything lower would never let a
+// request through. Infinity turns a limit off.
+const LIMIT_MINIMUMS = {
+  requestsPerSecond: { value: 0, exclusive: true },
+  burst: { value: 1, exclusive: false },
+  maxConcurrency: { value: 1, exclusive: false },
+}
+
+const validateLimits = (limits, name) => {
+  for (const [limit, { value, exclusive }] of Object.entries(LIMIT_MINIMUMS)) {
+    const given = limits[limit]
+    if (typeof given !== "number" || Number.isNaN(given) || (exclusive ? given <= value : given < value)) {
+      throw new Error(`${name}.${limit} must be ${exclusive ? "greater than" : "at least"} ${value}, got ${given}`)
+    }
+  }
+}
+
+class TokenBucket {
+  constructor({ requestsPerSecond, burst }) {
+    this.requestsPerSecond = requestsPerSecond
+    this.burst = burst
+    this.tokens = burst
+    this.updatedAt = Date.now()
+  }
+
+  refill() {
+    const now = Date.now()
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.updatedAt) / 1000) * this.requestsPerSecond)
+    this.updatedAt = now
+  }
+
+  // Takes a token and returns 0, or returns how many ms until one is available.
+  take() {
+    // An unlimited rate would refill with 0 * Infinity, which is NaN
+    if (this.requestsPerSecond === Infinity) {
+      return 0
+    }
+    this.refill()
+    if (this.tokens >= 1) {
+      this.tokens -= 1
+      return 0
+    }
+    return ((1 - this.tokens) / this.requestsPerSecond) * 1000
+  }
+}
+
+class Semaphore {
+  constructor(max) {
+    this.max = max
+    this.active = 0
+    this.waiting = []
+  }
+
+  async acquire(signal = null) {
+    if (signal && signal.aborted) {
+      throw signal.reason
+    }
+    if (this.active < this.max) {
+      this.active++
+      return
+    }
+    // release() hands its slot straight to the next waiter
+    await new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.waiting = this.waiting.filter((waiter) => waiter !== grant)
+        reject(signal.reason)
+      }
+      const grant = () => {
+        if (signal) {
+          signal.removeEventListener("abort", onAbort)
+        }
+        resolve()
+      }
+      this.waiting.push(grant)
+      if (signal) {
+        signal.addEventListener("abort", onAbort, { once: true })
+      }
+    })
+  }
+
+  release() {
+    const next = this.waiting.shift()
+    if (next) {
+      next()
+    } else {
+      this.active--
+    }
+  }
+}
+
+// A token bucket plus a max-concurrency queue. Every GraphQL request goes
+// through `schedule`. Operations listed under `operations` get their own
+// limits instead of the client-wide ones, e.g.
+// { operations: { Web_DeleteCategory: { requestsPerSecond: 1, maxConcurrency: 1 } } }.
+// A 429 with Retry-After pauses all operations for that long.
+export class RateLimiter {
+  constructor(options = {}) {
+    const { operations, ...limits } = { ...DEFAULT_RATE_LIMIT, ...options }
+    this.lane = this.createLane(limits, "rateLimit")
+    this.operationLanes = Object.fromEntries(
+      Object.entries(operations).map(([operation, overrides]) => [
+        operation,
+        this.createLane({ ...limits, ...overrides }, `rateLimit.operations.${operation}`),
+      ])
+    )
+    this.pausedUntil = 0
+  }
+
+  createLane(limits, name) {
+    validateLimits(limits, name)
+    return { bucket: new TokenBucket(limits), semaphore: new Semaphore(limits.maxConcurrency) }
+  }
+
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms)
+  }
+
+  async schedule(operation, fn, signal = null) {
+    const { bucket, semaphore } = this.operationLanes[operation] || this.lane
+    await semaphore.acquire(signal)
+    try {
+      for (;;) {
+        const wait = this.pausedUntil > Date.now() ? this.pausedUntil - Date.now() : bucket.take()
+        if (wait === 0) {
+          break
+        }
+        await sleep(wait, signal)
+      }
+      return await fn()
+    } catch (error) {
+      if (error instanceof RateLimitedError && error.retryAfter) {
+        this.pause(error.retryAfter * 1000)
+      }
+      throw error
+    } finally {
+      semaphore.release()
+    }
+  }
+}
+
+// Runs every request straight away, ignoring Retry-After too.
+const UNLIMITED = {
+  schedule: (operation, fn) => fn(),
+  pause() {},
+}
+
+// `false` turns limiting off; an object overrides individual defaults.
+export const createRateLimiter = (options = {}) => (options === false ? UNLIMITED : new RateLimiter(options))
@@ -0,0 +1,137 @@
+// resolver.js
+import { AmbiguousNameError, NameNotFoundError } from "./errors.js"
+
+// Monarch ids are numeric strings, but so are names like "2024", so every
+// value is looked up as an id first and then as a name. A value that looks
+// like an id is only sent as it is when the list can't be loaded.
+const ID_PATTERN = /^\d+$/
+
+const LOOKUPS = {
+  account: {
+    load: async (client, options) => (await client.getAccounts(options)).accounts,
+    nameOf: (account) => account.displayName,
+  },
+  category: {
+    load: async (client, options) => (await client.getTransactionCategories(options)).categories,
+    nameOf: (category) => category.name,
+  },
+  tag: {
+    load: async (client, options) => (await client.getTransactionTags(options)).householdTransactionTags,
+    nameOf: (tag) => tag.name,
+  },
+  merchant: {
+    load: async (client, options) => (await client.getMerchants({}, options)).merchants,
+    nameOf: (merchant) => merchant.name,
+  },
+}
+
+const LOOKUP_KINDS = Object.keys(LOOKUPS)
+
+const normalizeName = (name) => name.trim().toLowerCase()
+
+const lookupFor = (kind) => {
+  if (!LOOKUPS[kind]) {
+    throw new Error(`Unknown lookup "${kind}"; expected one of ${LOOKUP_KINDS.join(", ")}`)
+  }
+  return LOOKUPS[kind]
+}
+
+// Turns account, category, tag and merchant names into ids. Each list is
+// fetched the first time a name of that kind is resolved and cached until
+// refresh(). A name that isn't in the cache triggers one refresh before
+// failing, so records created elsewhere are picked up.
+export class NameResolver {
+  constructor(client) {
+    this.client = client
+    this.indexes = new Map()
+  }
+
+  // The lookup is shared by every caller, so it isn't tied to one caller's
+  // signal, and it always reads the raw payloads.
+  index(kind, options = {}) {
+    if (!this.indexes.has(kind)) {
+      const { load, nameOf } = lookupFor(kind)
+      const loading = load(this.client, { ...options, signal: null, raw: true }).then((records) => {
+        const byId = new Map()
+        const byName = new Map()
+        for (const record of records || []) {
+          byId.set(record.id, record)
+          const name = nameOf(record)
+          if (name) {
+            const key = normalizeName(name)
+            byName.set(key, [...(byName.get(key) || []), record])
+          }
+        }
+        return { byId, byName }
+      })
+      loading.catch(() => {
+        if (this.indexes.get(kind) === loading) {
+          this.indexes.delete(kind)
+        }
+      })
+      this.indexes.set(kind, loading)
+    }
+    return this.indexes.get(kind)
+  }
+
+  refresh(kind = null) {
+    if (kind === null) {
+      this.indexes.clear()
+    } else {
+      lookupFor(kind)
+      this.indexes.delete(kind)
+    }
+  }
+
+  async find(kind, value, options) {
+    const { byId, byName } = await this.index(kind, options)
+    return byId.has(value) ? [byId.get(value)] : byName.get(normalizeName(value)) || []
+  }
+
+  async resolve(kind, value, options = {}) {
+    lookupFor(kind)
+    if (value === null || value === undefined) {
+      return value
+    }
+    if (typeof value !== "string" || !value.trim()) {
+      throw new Error(`Expected a ${kind} id or name, got "${value}"`)
+    }
+
+    const wasCached = this.indexes.has(kind)
+    let matches
+    try {
+      matches = await this.find(kind, value, options)
+      if (!matches.length && wasCached) {
+        this.refresh(kind)
+        matches = await this.find(kind, value, options)
+      }
+    } catch (error) {
+      if (!ID_PATTERN.test(value)) {
+        throw error
+      }
+      this.client.logger.warn(`Couldn't load the ${kind} list to check "${value}", sending it as an id:`, error.message)
+      return value
+    }
+
+    if (!matches.length) {
+      const described = ID_PATTERN.test(value) ? "with the id or name" : "named"
+      throw new NameNotFoundError(`No ${kind} ${described} "${value}"`, { kind, value })
+    }
+    if (matches.length > 1) {
+      const ids = matches.map((record) => record.id).join(", ")
+      throw new AmbiguousNameError(`${matches.length} ${kind} records are named "${value}" (${ids}); pass an id instead`, {
+        kind,
+        value,
+        matches,
+      })
+    }
+    return matches[0].id
+  }
+
+  async resolveAll(kind, values, options = {}) {
+    if (values === null || values === undefined) {
+      return values
+    }
+    return await Promise.all(values.map((value) => this.resolve(kind, value, options)))
+  }
+}
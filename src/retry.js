@@ -0,0 +1,134 @@
+// retry.js
+import fetch from "node-fetch"
+import { NetworkError, RateLimitedError, RequestFailedException, TimeoutError, UnmatchedRequestError } from "./errors.js"
+
+// Mutations that leave the same state no matter how many times they run.
+// Other mutations are only retried when `retryMutations` is set, since a
+// request that failed in flight may still have been applied.
+export const IDEMPOTENT_MUTATIONS = [
+  "Common_UpdateAccount",
+  "Common_UpdateBudgetItem",
+  "Web_SetTransactionTags",
+  "Web_TransactionDrawerUpdateTransaction",
+  "Common_SplitTransactionMutation",
+]
+
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  initialDelayMs: 500,
+  maxDelayMs: 10000,
+  backoffFactor: 2,
+  jitter: true,
+  retryableStatusCodes: [408, 429, 500, 502, 503, 504],
+  retryMutations: false,
+  idempotentMutations: IDEMPOTENT_MUTATIONS,
+}
+
+// `false` turns retries off; an object overrides individual defaults.
+export const createRetryPolicy = (options = {}) =>
+  options === false ? { ...DEFAULT_RETRY_POLICY, maxAttempts: 1 } : { ...DEFAULT_RETRY_POLICY, ...options }
+
+// Resolves after `ms`, or rejects with the abort reason if `signal` fires first.
+export const sleep = (ms, signal = null) =>
+  new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason)
+      return
+    }
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(signal.reason)
+    }
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener("abort", onAbort)
+      }
+      resolve()
+    }, ms)
+    if (signal) {
+      signal.addEventListener("abort", onAbort, { once: true })
+    }
+  })
+
+// Combines the given signals, skipping empty ones.
+export const anySignal = (...signals) => {
+  const present = signals.filter(Boolean)
+  return present.length > 1 ? AbortSignal.any(present) : present[0] || null
+}
+
+// Exponential backoff with full jitter, never shorter than a server's Retry-After.
+export const retryDelay = (policy, attempt, error = null) => {
+  const backoff = Math.min(policy.maxDelayMs, policy.initialDelayMs * policy.backoffFactor ** (attempt - 1))
+  const delay = policy.jitter ? Math.random() * backoff : backoff
+  const retryAfterMs = error instanceof RateLimitedError && error.retryAfter ? error.retryAfter * 1000 : 0
+  return Math.max(delay, retryAfterMs)
+}
+
+export const isRetryableError = (policy, error) =>
+  error instanceof NetworkError || (typeof error.status === "number" && policy.retryableStatusCodes.includes(error.status))
+
+export const canRetryOperation = (policy, operation, isMutation) =>
+  !isMutation || policy.retryMutations || policy.idempotentMutations.includes(operation)
+
+// Calls `fn` until it succeeds, throws a non-retryable error, or runs out of attempts.
+export const withRetry = async (policy, fn, { idempotent = true, signal = null, onRetry = () => {} } = {}) => {
+  const maxAttempts = idempotent ? policy.maxAttempts : 1
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt)
+    } catch (error) {
+      if (attempt >= maxAttempts || !isRetryableError(policy, error) || (signal && signal.aborted)) {
+        throw error
+      }
+      const delay = retryDelay(policy, attempt, error)
+      onRetry(error, attempt, delay)
+      await sleep(delay, signal)
+    }
+  }
+}
+
+// fetch() for the REST endpoints. Retries network failures and retryable
+// status codes, and returns the last response once attempts run out.
+// `init` may be a function so a streamed body can be rebuilt per attempt.
+// `fetch` replaces node-fetch, e.g. with a cassette's.
+export const fetchWithRetry = async (
+  policy,
+  url,
+  init,
+  { operation = url, idempotent = true, signal = null, timeoutMs = null, onRetry, fetch: fetchImpl = null } = {}
+) => {
+  const maxAttempts = idempotent ? policy.maxAttempts : 1
+  return await withRetry(
+    policy,
+    async (attempt) => {
+      const timeoutSignal = timeoutMs ? AbortSignal.timeout(timeoutMs) : null
+      let response
+      try {
+        response = await (fetchImpl || fetch)(url, {
+          ...(typeof init === "function" ? init() : init),
+          signal: anySignal(signal, timeoutSignal),
+        })
+      } catch (error) {
+        if (signal && signal.aborted) {
+          throw signal.reason
+        }
+        if (error instanceof UnmatchedRequestError) {
+          throw error
+        }
+        if (timeoutSignal && timeoutSignal.aborted) {
+          throw new TimeoutError(`${operation} timed out after ${timeoutMs}ms`, { operation, cause: error })
+        }
+        throw new NetworkError(`Network error during ${operation}: ${error.message}`, { operation, cause: error })
+      }
+      if (attempt < maxAttempts && policy.retryableStatusCodes.includes(response.status)) {
+        const message = `HTTP Code ${response.status} during ${operation}`
+        const details = { operation, status: response.status }
+        throw response.status === 429
+          ? new RateLimitedError(message, { ...details, retryAfter: Number(response.headers.get("retry-after")) || null })
+          : new RequestFailedException(message, details)
+      }
+      return response
+    },
+    { idempotent, signal, onRetry }
+  )
+}
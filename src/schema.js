@@ -0,0 +1,368 @@
+// schema.js
+import { Kind, buildSchema, print } from "graphql"
+import { composeDocument, operationNames } from "./queries.js"
+
+// Every operation in queries.js, without custom selections, keyed by the
+// api.js function that sends it.
+export const knownDocuments = () =>
+  operationNames().map((functionName) => ({ functionName, document: composeDocument(functionName, new Map()) }))
+
+// When Monarch refuses introspection, the schema is rebuilt from the known
+// documents. They only name fields, so these tables supply the types: leaf
+// fields by name, and which object fields are lists or nullable. A field
+// missing from them fails the rebuild rather than getting a made-up type.
+export const LEAF_TYPES = {
+  accountGroupOrder: "[String!]!",
+  accountType: "String!",
+  actualAmount: "Float",
+  amount: "Float!",
+  amountDiff: "Float",
+  archivedAt: "String",
+  avg: "Float",
+  balance: "Float",
+  balanceStatus: "String",
+  basis: "Float",
+  budgetAmount: "Float",
+  budgetSystem: "String",
+  budgetVariability: "String",
+  canBeForceRefreshed: "Boolean!",
+  canInvertBalance: "Boolean!",
+  closingPrice: "Float",
+  closingPriceUpdatedAt: "String",
+  code: "String",
+  color: "String",
+  completedAt: "String",
+  count: "Int!",
+  createdAt: "String!",
+  currentBalance: "Float",
+  currentPrice: "Float",
+  currentPriceUpdatedAt: "String",
+  dataProvider: "String",
+  dataProviderAccountId: "String",
+  dataProviderDescription: "String",
+  date: "String!",
+  deactivatedAt: "String",
+  deleted: "Boolean!",
+  deletedAt: "String",
+  disconnectedFromDataProviderAt: "String",
+  display: "String!",
+  displayBalance: "Float",
+  displayLastUpdatedAt: "String",
+  displayName: "String!",
+  email: "String!",
+  endMonth: "String",
+  extension: "String",
+  field: "String!",
+  filename: "String",
+  first: "String",
+  frequency: "String",
+  goalId: "String",
+  group: "String",
+  groupLevelBudgetingEnabled: "Boolean",
+  hasIssuesReported: "Boolean!",
+  hasIssuesReportedMessage: "String",
+  hasPremiumEntitlement: "Boolean!",
+  hasSplitTransactions: "Boolean!",
+  hasSyncInProgress: "Boolean!",
+  hideFromList: "Boolean!",
+  hideFromReports: "Boolean!",
+  hideTransactionsFromReports: "Boolean!",
+  holdingsCount: "Int!",
+  icon: "String",
+  id: "ID!",
+  imageStorageProvider: "String",
+  imageStorageProviderId: "String",
+  includeBalanceInNetWorth: "Boolean!",
+  includeInGoalBalance: "Boolean!",
+  includeInNetWorth: "Boolean!",
+  invertSyncedBalance: "Boolean!",
+  isApproximate: "Boolean!",
+  isAsset: "Boolean!",
+  isDisabled: "Boolean",
+  isHidden: "Boolean!",
+  isLiability: "Boolean!",
+  isManual: "Boolean!",
+  isOnFreeTrial: "Boolean!",
+  isPast: "Boolean!",
+  isRecurring: "Boolean!",
+  isSplitTransaction: "Boolean!",
+  isSystemCategory: "Boolean!",
+  last: "String",
+  lastSyncedAt: "String",
+  logoUrl: "String",
+  manualInvestmentsTrackingMethod: "String",
+  mask: "String",
+  max: "Float",
+  maxExpense: "Float",
+  message: "String",
+  messages: "[String!]!",
+  month: "String!",
+  monthlyContribution: "Float",
+  name: "String!",
+  needsReview: "Boolean!",
+  notes: "String",
+  oneDayChangeDollars: "Float",
+  oneDayChangePercent: "Float",
+  order: "Int",
+  originalAssetUrl: "String",
+  originalDate: "String",
+  paymentSource: "String",
+  pending: "Boolean!",
+  plaidInstitutionId: "String",
+  plaidName: "String",
+  plaidStatus: "String",
+  plannedAmount: "Float",
+  plannedCashFlowAmount: "Float",
+  plannedSetAsideAmount: "Float",
+  previousMonthRolloverAmount: "Float",
+  primaryColor: "String",
+  priority: "Int",
+  publicId: "String",
+  quantity: "Float",
+  recentBalances: "[Float]!",
+  referralCode: "String",
+  remainingAmount: "Float",
+  reviewStatus: "String",
+  reviewedAt: "String",
+  rolloverType: "String",
+  savings: "Float",
+  savingsRate: "Float",
+  securityPriceChangeDollars: "Float",
+  securityPriceChangePercent: "Float",
+  signedBalance: "Float",
+  sizeBytes: "Int",
+  startDate: "String",
+  startMonth: "String",
+  startingBalance: "Float",
+  status: "String",
+  success: "Boolean!",
+  sum: "Float",
+  sumExpense: "Float",
+  sumIncome: "Float",
+  syncDisabled: "Boolean!",
+  systemCategory: "String",
+  systemCategoryDisplayName: "String",
+  targetDate: "String",
+  ticker: "String",
+  timezone: "String",
+  totalCount: "Int!",
+  totalValue: "Float",
+  transactionCount: "Int!",
+  transactionId: "ID",
+  transactionsCount: "Int!",
+  transactionsStatus: "String",
+  type: "String!",
+  typeDisplay: "String",
+  updateRequired: "Boolean!",
+  updatedAt: "String!",
+  url: "String",
+}
+
+export const LIST_FIELDS = new Set([
+  "accountTypeOptions",
+  "accountTypes",
+  "accounts",
+  "aggregateSnapshots",
+  "aggregates",
+  "attachments",
+  "categories",
+  "categoryGroups",
+  "credentials",
+  "edges",
+  "fieldErrors",
+  "goalMonthlyContributions",
+  "goalPlannedContributions",
+  "goals",
+  "goalsV2",
+  "holdings",
+  "householdTransactionTags",
+  "merchants",
+  "monthlyAmounts",
+  "monthlyAmountsByCategory",
+  "monthlyAmountsByCategoryGroup",
+  "monthlyContributionSummaries",
+  "plannedContributions",
+  "possibleSubtypes",
+  "recurringTransactionItems",
+  "results",
+  "snapshotsByAccountType",
+  "snapshotsForAccount",
+  "splitTransactions",
+  "tags",
+  "totalsByMonth",
+  "transactionRules",
+  "users",
+])
+
+export const NULLABLE_FIELDS = new Set([
+  "account",
+  "category",
+  "categoryGroup",
+  "credential",
+  "errors",
+  "goal",
+  "group",
+  "institution",
+  "merchant",
+  "needsReviewByUser",
+  "originalTransaction",
+  "recurringTransactionStream",
+  "reviewedByUser",
+  "rolloverPeriod",
+  "security",
+  "subtype",
+  "tag",
+  "transaction",
+])
+
+const BUILT_IN_SCALARS = ["String", "Int", "Float", "Boolean", "ID"]
+
+const pascalCase = (name) => name[0].toUpperCase() + name.slice(1)
+
+const singular = (name) => (name.endsWith("ies") ? `${name.slice(0, -3)}y` : name.endsWith("s") ? name.slice(0, -1) : name)
+
+const namedType = (typeNode) => (typeNode.kind === Kind.NAMED_TYPE ? typeNode.name.value : namedType(typeNode.type))
+
+// Object and enum literals become an opaque scalar called `opaqueName`.
+const literalType = (value, opaqueName, scalars) => {
+  switch (value.kind) {
+    case Kind.STRING:
+      return "String"
+    case Kind.INT:
+      return "Int"
+    case Kind.FLOAT:
+      return "Float"
+    case Kind.BOOLEAN:
+      return "Boolean"
+    case Kind.LIST:
+      return `[${value.values.length ? literalType(value.values[0], opaqueName, scalars) : "String"}]`
+    default:
+      scalars.add(opaqueName)
+      return opaqueName
+  }
+}
+
+// The type a selection's fields live on: the type condition of a fragment
+// spread in it, or the type another document's fragment gave the same field,
+// or else a name made from the field's.
+const objectTypeName = (field, fragments, hint) => {
+  for (const selection of field.selectionSet.selections) {
+    if (selection.kind === Kind.FRAGMENT_SPREAD) {
+      return fragments.get(selection.name.value).typeCondition.name.value
+    }
+    if (selection.kind === Kind.INLINE_FRAGMENT && selection.typeCondition) {
+      return selection.typeCondition.name.value
+    }
+  }
+  return hint || pascalCase(singular(field.name.value))
+}
+
+// First line of a reconstructed schema saved by scripts/fetchSchema.js, so
+// codegen can tell it apart from an introspected one.
+export const RECONSTRUCTED_SCHEMA_NOTE = "# Partial schema rebuilt from the queries in src/queries.js by scripts/fetchSchema.js."
+
+// Builds the part of Monarch's schema the known documents use. Input types
+// and custom scalars the documents name become opaque scalars.
+export const reconstructSchema = (documents = knownDocuments()) => {
+  const types = new Map()
+  const scalars = new Set()
+  const hints = new Map()
+
+  const addField = (typeName, fieldName, type, args) => {
+    if (!types.has(typeName)) {
+      types.set(typeName, new Map())
+    }
+    const fields = types.get(typeName)
+    const existing = fields.get(fieldName)
+    if (existing && existing.type !== type) {
+      throw new Error(`${typeName}.${fieldName} is used as both ${existing.type} and ${type}`)
+    }
+    fields.set(fieldName, { type, args: { ...args, ...(existing && existing.args) } })
+  }
+
+  const walk = ({ functionName, document }, record) => {
+    const fragments = new Map()
+    let operation = null
+    for (const definition of document.definitions) {
+      if (definition.kind === Kind.FRAGMENT_DEFINITION) {
+        fragments.set(definition.name.value, definition)
+      } else if (definition.kind === Kind.OPERATION_DEFINITION) {
+        operation = definition
+      }
+    }
+
+    const variables = {}
+    for (const { variable, type } of operation.variableDefinitions || []) {
+      variables[variable.name.value] = print(type)
+      scalars.add(namedType(type))
+    }
+
+    const visit = (selectionSet, typeName, where) => {
+      for (const selection of selectionSet.selections) {
+        if (selection.kind === Kind.FRAGMENT_SPREAD) {
+          const fragment = fragments.get(selection.name.value)
+          visit(fragment.selectionSet, fragment.typeCondition.name.value, where)
+          continue
+        }
+        if (selection.kind === Kind.INLINE_FRAGMENT) {
+          visit(selection.selectionSet, selection.typeCondition ? selection.typeCondition.name.value : typeName, where)
+          continue
+        }
+
+        const name = selection.name.value
+        if (name.startsWith("__")) {
+          continue
+        }
+        const args = {}
+        for (const argument of selection.arguments || []) {
+          const argumentName = argument.name.value
+          args[argumentName] =
+            argument.value.kind === Kind.VARIABLE
+              ? variables[argument.value.name.value]
+              : literalType(argument.value, `${typeName}${pascalCase(name)}${pascalCase(argumentName)}`, scalars)
+        }
+
+        let type
+        if (selection.selectionSet) {
+          const key = `${typeName}.${name}`
+          const childType = objectTypeName(selection, fragments, hints.get(key))
+          if (childType !== pascalCase(singular(name))) {
+            hints.set(key, childType)
+          }
+          visit(selection.selectionSet, childType, `${where}.${name}`)
+          type = LIST_FIELDS.has(name) ? `[${childType}!]` : childType
+          type = NULLABLE_FIELDS.has(name) ? type : `${type}!`
+        } else {
+          type = LEAF_TYPES[name]
+          if (!type) {
+            throw new Error(`${where}.${name}: add "${name}" to LEAF_TYPES in src/schema.js`)
+          }
+        }
+        if (record) {
+          addField(typeName, name, type, args)
+        }
+      }
+    }
+    visit(operation.selectionSet, operation.operation === "mutation" ? "Mutation" : "Query", functionName)
+  }
+
+  // The first passes only learn which fields fragments put on which types,
+  // so a document without the fragment agrees with one that has it.
+  documents.forEach((document) => walk(document, false))
+  documents.forEach((document) => walk(document, false))
+  documents.forEach((document) => walk(document, true))
+
+  const printArgs = (args) => {
+    const entries = Object.entries(args)
+    return entries.length ? `(${entries.map(([name, type]) => `${name}: ${type}`).join(", ")})` : ""
+  }
+  const sdl = [
+    ...[...scalars].filter((scalar) => !BUILT_IN_SCALARS.includes(scalar) && !types.has(scalar)).map((scalar) => `scalar ${scalar}`),
+    ...[...types].map(
+      ([typeName, fields]) =>
+        `type ${typeName} {\n${[...fields].map(([name, { type, args }]) => `  ${name}${printArgs(args)}: ${type}`).join("\n")}\n}`
+    ),
+  ].join("\n\n")
+
+  return buildSchema(sdl)
+}
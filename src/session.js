@@ -1,48 +1,23 @@
 // session.js
-import fs from "fs"
-import path from "path"
-import { SESSION_FILE, ENV_TOKEN_KEY } from "./constants.js"
-
-let headers = {
-  "Client-Platform": "web",
-}
-
-// Try to load token from environment variable, rather than from session file.
-if (process.env[ENV_TOKEN_KEY]) {
-  headers["Authorization"] = `Token ${process.env[ENV_TOKEN_KEY]}`
-  console.log("Loaded token from environment variable." + process.env[ENV_TOKEN_KEY])
-}
-let token = null
+import { getDefaultClient } from "./client.js"
 
+// The top-level session helpers act on the default client. Use a
+// MonarchClient instance directly to hold more than one session per process.
 export const setToken = (newToken) => {
-  token = newToken
-  headers["Authorization"] = `Token ${newToken}`
-  console.log("Set token to:", newToken)
+  getDefaultClient().setToken(newToken)
+  getDefaultClient().logger.debug(newToken ? "Updated the session token" : "Cleared the session token")
 }
 
-// export const saveSession = (filename = SESSION_FILE) => {
-//   filename = path.resolve(filename)
-//   const sessionData = { token }
-//   fs.mkdirSync(path.dirname(filename), { recursive: true })
-//   fs.writeFileSync(filename, JSON.stringify(sessionData))
-// }
-
-// export const loadSession = (filename = SESSION_FILE) => {
-//   const data = JSON.parse(fs.readFileSync(filename, "utf-8"))
-//   // console.log("Loaded session:", data);
-//   // setToken(data[ENV_TOKEN_KEY])
-//   setToken(process.env[ENV_TOKEN_KEY])
-// }
-
-// export const deleteSession = (filename = SESSION_FILE) => {
-//   if (fs.existsSync(filename)) {
-//     fs.unlinkSync(filename)
-//   }
-// }
+// Logging is silent by default. Pass a Logger or its options, e.g.
+// setLogger({ level: "info" }), to see what the default client is doing.
+export const setLogger = (logger) => getDefaultClient().setLogger(logger)
 
-// export const sessionExists = (filename = SESSION_FILE) => {
-//   return fs.existsSync(filename)
-// }
+// Persist the default client's token. Pass a filename to use a specific file
+// instead of the client's session store.
+export const saveSession = (filename = null) => getDefaultClient().saveSession(filename)
+export const loadSession = (filename = null) => getDefaultClient().loadSession(filename)
+export const deleteSession = (filename = null) => getDefaultClient().deleteSession(filename)
+export const sessionExists = (filename = null) => getDefaultClient().sessionExists(filename)
 
-export const getHeaders = () => headers
-export const getToken = () => token
+export const getHeaders = () => getDefaultClient().getHeaders()
+export const getToken = () => getDefaultClient().getToken()
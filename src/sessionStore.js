@@ -0,0 +1,143 @@
+// sessionStore.js
+import crypto from "crypto"
+import fs from "fs"
+import path from "path"
+import { SESSION_FILE, SESSION_PASSPHRASE_ENV_KEY } from "./constants.js"
+
+// A session store persists `{ token }` between runs. Any object with async
+// `load`, `save`, `delete` and `exists` methods can be passed to MonarchClient
+// as a custom store (e.g. one backed by Redis or a secrets manager).
+
+const ENCRYPTION_ALGORITHM = "aes-256-gcm"
+const ENCRYPTION_VERSION = 1
+
+const deriveKey = (secret, salt) => crypto.scryptSync(secret, salt, 32)
+
+const encryptSession = (session, secret) => {
+  const salt = crypto.randomBytes(16)
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, deriveKey(secret, salt), iv)
+  const data = Buffer.concat([cipher.update(JSON.stringify(session), "utf-8"), cipher.final()])
+  return {
+    version: ENCRYPTION_VERSION,
+    algorithm: ENCRYPTION_ALGORITHM,
+    salt: salt.toString("base64"),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  }
+}
+
+const decryptSession = (payload, secret) => {
+  try {
+    const decipher = crypto.createDecipheriv(
+      ENCRYPTION_ALGORITHM,
+      deriveKey(secret, Buffer.from(payload.salt, "base64")),
+      Buffer.from(payload.iv, "base64")
+    )
+    decipher.setAuthTag(Buffer.from(payload.tag, "base64"))
+    const data = Buffer.concat([decipher.update(Buffer.from(payload.data, "base64")), decipher.final()])
+    return JSON.parse(data.toString("utf-8"))
+  } catch (error) {
+    throw new Error("Unable to decrypt the saved session. Check the passphrase or key file.")
+  }
+}
+
+const isEncrypted = (payload) => Boolean(payload) && payload.algorithm === ENCRYPTION_ALGORITHM && "data" in payload
+
+// The encryption secret comes from `passphrase`, the contents of `keyFile`, or
+// the environment variable named by `passphraseEnv`, in that order.
+const resolveSecret = ({ passphrase, keyFile, passphraseEnv }) => {
+  if (passphrase) {
+    return passphrase
+  }
+  if (keyFile) {
+    return fs.readFileSync(path.resolve(keyFile), "utf-8").trim()
+  }
+  return process.env[passphraseEnv] || null
+}
+
+// Sessions are encrypted with AES-GCM, and saving without a secret fails
+// unless `allowPlaintext` is set. A plaintext session left by an older version
+// is still read, and is re-saved encrypted when `migrate` is on.
+export const createFileSessionStore = (
+  filename = SESSION_FILE,
+  { passphrase = null, keyFile = null, passphraseEnv = SESSION_PASSPHRASE_ENV_KEY, migrate = true, allowPlaintext = false } = {}
+) => {
+  filename = path.resolve(filename)
+
+  const write = (contents) => {
+    fs.mkdirSync(path.dirname(filename), { recursive: true })
+    fs.writeFileSync(filename, JSON.stringify(contents), { mode: 0o600 })
+    // `mode` only applies when the file is created; tighten an existing one too
+    fs.chmodSync(filename, 0o600)
+  }
+
+  return {
+    filename,
+
+    async load() {
+      if (!fs.existsSync(filename)) {
+        return null
+      }
+      const payload = JSON.parse(fs.readFileSync(filename, "utf-8"))
+      const secret = resolveSecret({ passphrase, keyFile, passphraseEnv })
+
+      if (isEncrypted(payload)) {
+        if (!secret) {
+          throw new Error(`The session at ${filename} is encrypted; provide a passphrase or key file to read it.`)
+        }
+        return decryptSession(payload, secret)
+      }
+
+      if (secret && migrate) {
+        write(encryptSession(payload, secret))
+      }
+      return payload
+    },
+
+    async save(session) {
+      const secret = resolveSecret({ passphrase, keyFile, passphraseEnv })
+      if (!secret && !allowPlaintext) {
+        throw new Error(
+          `Refusing to save the session to ${filename} unencrypted. Set ${passphraseEnv}, pass a passphrase or keyFile, or pass allowPlaintext: true.`
+        )
+      }
+      write(secret ? encryptSession(session, secret) : session)
+    },
+
+    async delete() {
+      if (fs.existsSync(filename)) {
+        fs.unlinkSync(filename)
+      }
+    },
+
+    async exists() {
+      return fs.existsSync(filename)
+    },
+  }
+}
+
+export const createMemorySessionStore = (initialSession = null) => {
+  let session = initialSession
+  return {
+    async load() {
+      return session
+    },
+
+    async save(newSession) {
+      session = { ...newSession }
+    },
+
+    async delete() {
+      session = null
+    },
+
+    async exists() {
+      return session !== null
+    },
+  }
+}
+
+export const isSessionStore = (store) =>
+  Boolean(store) && ["load", "save", "delete", "exists"].every((method) => typeof store[method] === "function")
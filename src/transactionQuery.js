@@ -0,0 +1,268 @@
+// transactionQuery.js
+import { MonarchClient, resolveClient } from "./client.js"
+import { formatDate, isCalendarDay } from "./dates.js"
+import { Transaction, isRaw } from "./models.js"
+
+// Compiles getTransactions() filters into a TransactionFilterInput.
+export const buildTransactionFilters = ({
+  startDate = null,
+  endDate = null,
+  search = "",
+  categoryIds = [],
+  accountIds = [],
+  tagIds = [],
+  hasAttachments = null,
+  hasNotes = null,
+  hiddenFromReports = null,
+  isSplit = null,
+  isRecurring = null,
+  importedFromMint = null,
+  syncedFromInstitution = null,
+} = {}) => {
+  const filters = {
+    search,
+    categories: categoryIds,
+    accounts: accountIds,
+    tags: tagIds,
+  }
+
+  if (hasAttachments !== null) filters.hasAttachments = hasAttachments
+  if (hasNotes !== null) filters.hasNotes = hasNotes
+  if (hiddenFromReports !== null) filters.hideFromReports = hiddenFromReports
+  if (isRecurring !== null) filters.isRecurring = isRecurring
+  if (isSplit !== null) filters.isSplit = isSplit
+  if (importedFromMint !== null) filters.importedFromMint = importedFromMint
+  if (syncedFromInstitution !== null) filters.syncedFromInstitution = syncedFromInstitution
+  if (startDate && endDate) {
+    filters.startDate = startDate
+    filters.endDate = endDate
+  } else if (startDate || endDate) {
+    throw new Error("You must specify both a startDate and endDate, not just one of them.")
+  }
+
+  return filters
+}
+
+const ORDER_FIELDS = ["date", "amount", "merchant"]
+const ORDER_DIRECTIONS = ["asc", "desc"]
+
+// Monarch only sorts by date, newest first. Any other ordering is applied
+// client-side after fetching.
+const SERVER_ORDERING = { field: "date", direction: "desc" }
+
+const toDateString = (value, name) => {
+  const date = value instanceof Date && !Number.isNaN(value.getTime()) ? formatDate(value) : value
+  if (!isCalendarDay(date)) {
+    throw new Error(`${name} must be a Date or a YYYY-MM-DD string, got "${value}"`)
+  }
+  return date
+}
+
+const toIdList = (values, name) => {
+  const ids = values.flat()
+  if (ids.some((id) => typeof id !== "string" || !id)) {
+    throw new Error(`${name} must be non-empty strings`)
+  }
+  return ids
+}
+
+const toAmount = (value, name) => {
+  if (value !== null && (typeof value !== "number" || !Number.isFinite(value))) {
+    throw new Error(`${name} must be a finite number or null, got "${value}"`)
+  }
+  return value
+}
+
+const compareBy = {
+  date: (a, b) => a.date.localeCompare(b.date),
+  amount: (a, b) => a.amount - b.amount,
+  merchant: (a, b) => ((a.merchant && a.merchant.name) || "").localeCompare((b.merchant && b.merchant.name) || ""),
+}
+
+// Fluent builder for transaction searches. Filters Monarch supports are sent
+// as a TransactionFilterInput; amount ranges, merchants, excluded categories,
+// pending status and non-default ordering are applied to the results here.
+//
+//   await queryTransactions().since("2024-01-01").amountBetween(-500, -100).merchants("Costco").fetchAll()
+export class TransactionQuery {
+  constructor(client = null) {
+    this.client = client
+    this.filters = {}
+    this.excludedCategories = []
+    this.merchantMatchers = []
+    this.amountRange = { min: null, max: null }
+    this.pendingOnly = null
+    this.ordering = { ...SERVER_ORDERING }
+  }
+
+  between(startDate, endDate) {
+    this.filters.startDate = toDateString(startDate, "startDate")
+    this.filters.endDate = toDateString(endDate, "endDate")
+    return this
+  }
+
+  // Monarch needs both dates, so this ends the range today.
+  since(startDate) {
+    return this.between(startDate, new Date())
+  }
+
+  search(text) {
+    if (typeof text !== "string") {
+      throw new Error("search must be a string")
+    }
+    this.filters.search = text
+    return this
+  }
+
+  accounts(...accountIds) {
+    this.filters.accountIds = toIdList(accountIds, "accountIds")
+    return this
+  }
+
+  categories(...categoryIds) {
+    this.filters.categoryIds = toIdList(categoryIds, "categoryIds")
+    return this
+  }
+
+  tags(...tagIds) {
+    this.filters.tagIds = toIdList(tagIds, "tagIds")
+    return this
+  }
+
+  // Matches category ids, or category names case-insensitively.
+  excludeCategories(...categories) {
+    this.excludedCategories = toIdList(categories, "excluded categories").map((category) => category.toLowerCase())
+    return this
+  }
+
+  // Matches merchant ids, or merchant names case-insensitively.
+  merchants(...merchants) {
+    this.merchantMatchers = toIdList(merchants, "merchants").map((merchant) => merchant.toLowerCase())
+    return this
+  }
+
+  // Inclusive range on the signed amount; expenses are negative. Pass null to
+  // leave a side open.
+  amountBetween(min = null, max = null) {
+    toAmount(min, "min")
+    toAmount(max, "max")
+    if (min !== null && max !== null && min > max) {
+      throw new Error(`amountBetween: min (${min}) is greater than max (${max})`)
+    }
+    this.amountRange = { min, max }
+    return this
+  }
+
+  pending(isPending = true) {
+    this.pendingOnly = Boolean(isPending)
+    return this
+  }
+
+  hasAttachments(value = true) {
+    this.filters.hasAttachments = Boolean(value)
+    return this
+  }
+
+  hasNotes(value = true) {
+    this.filters.hasNotes = Boolean(value)
+    return this
+  }
+
+  hiddenFromReports(value = true) {
+    this.filters.hiddenFromReports = Boolean(value)
+    return this
+  }
+
+  recurring(value = true) {
+    this.filters.isRecurring = Boolean(value)
+    return this
+  }
+
+  split(value = true) {
+    this.filters.isSplit = Boolean(value)
+    return this
+  }
+
+  orderBy(field, direction = "desc") {
+    if (!ORDER_FIELDS.includes(field)) {
+      throw new Error(`orderBy field must be one of ${ORDER_FIELDS.join(", ")}, got "${field}"`)
+    }
+    if (!ORDER_DIRECTIONS.includes(direction)) {
+      throw new Error(`orderBy direction must be "asc" or "desc", got "${direction}"`)
+    }
+    this.ordering = { field, direction }
+    return this
+  }
+
+  // The getTransactions() arguments for the server-side part of the query.
+  toFilters() {
+    const { startDate, endDate } = this.filters
+    if (startDate && endDate && startDate > endDate) {
+      throw new Error(`startDate (${startDate}) is after endDate (${endDate})`)
+    }
+    return { ...this.filters }
+  }
+
+  toFilterInput() {
+    return buildTransactionFilters(this.toFilters())
+  }
+
+  // The client-side part of the query, run against raw transactions.
+  matches(transaction) {
+    const { min, max } = this.amountRange
+    if (min !== null && transaction.amount < min) return false
+    if (max !== null && transaction.amount > max) return false
+    if (this.pendingOnly !== null && Boolean(transaction.pending) !== this.pendingOnly) return false
+    if (this.excludedCategories.length && transaction.category) {
+      const { id = "", name = "" } = transaction.category
+      if (this.excludedCategories.some((excluded) => excluded === String(id).toLowerCase() || excluded === name.toLowerCase())) {
+        return false
+      }
+    }
+    if (this.merchantMatchers.length) {
+      const { id = "", name = "" } = transaction.merchant || {}
+      return this.merchantMatchers.some((matcher) => matcher === String(id).toLowerCase() || matcher === name.toLowerCase())
+    }
+    return true
+  }
+
+  isServerOrdered() {
+    return this.ordering.field === SERVER_ORDERING.field && this.ordering.direction === SERVER_ORDERING.direction
+  }
+
+  // Streams matching transactions in Monarch's order (newest first). Use
+  // fetchAll() for any other ordering, since that needs every result.
+  async *iterate(options = {}) {
+    if (!this.isServerOrdered()) {
+      throw new Error(`Ordering by ${this.ordering.field} ${this.ordering.direction} needs fetchAll(), not iterate()`)
+    }
+    const client = resolveClient(this.client)
+    const raw = isRaw(client, options)
+    for await (const transaction of client.iterateTransactions(this.toFilters(), { ...options, raw: true })) {
+      if (this.matches(transaction)) {
+        yield raw ? transaction : new Transaction(transaction)
+      }
+    }
+  }
+
+  async fetchAll(options = {}) {
+    const client = resolveClient(this.client)
+    const transactions = []
+    for await (const transaction of client.iterateTransactions(this.toFilters(), { ...options, raw: true })) {
+      if (this.matches(transaction)) {
+        transactions.push(transaction)
+      }
+    }
+    if (!this.isServerOrdered()) {
+      const compare = compareBy[this.ordering.field]
+      transactions.sort(this.ordering.direction === "asc" ? compare : (a, b) => compare(b, a))
+    }
+    return isRaw(client, options) ? transactions : transactions.map((transaction) => new Transaction(transaction))
+  }
+}
+
+export function queryTransactions() {
+  return new TransactionQuery(resolveClient(this))
+}
+
+Object.assign(MonarchClient.prototype, { queryTransactions })
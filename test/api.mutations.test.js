@@ -0,0 +1,407 @@
+import assert from "node:assert/strict"
+import { after, before, beforeEach, describe, it } from "node:test"
+import { MonarchValidationError, NameNotFoundError, RateLimitedError, RequestFailedException } from "../src/index.js"
+import { FAST_RETRY, lastVariables, localDate, startServer } from "./helpers.js"
+
+let server
+let client
+
+before(async () => {
+  server = await startServer()
+})
+
+after(async () => {
+  await server.close()
+})
+
+beforeEach(() => {
+  server.reset()
+  client = server.client({ retry: FAST_RETRY })
+})
+
+const findTransaction = (id) => server.data.transactions.find((transaction) => transaction.id === id)
+
+// Deletes a record the client has already looked up, as if it was deleted in
+// the app, so the client still resolves it and Monarch rejects it.
+const deleteElsewhere = async (kind, collection, id) => {
+  await client.resolveId(kind, id)
+  server.data[collection] = server.data[collection].filter((record) => record.id !== id)
+}
+
+describe("deleteTransactionCategory", () => {
+  it("deletes the category and returns true", async () => {
+    assert.equal(await client.deleteTransactionCategory("Restaurants"), true)
+    assert.deepEqual(lastVariables(server, "Web_DeleteCategory"), { id: "503" })
+    assert.equal(
+      server.data.categories.some((category) => category.id === "503"),
+      false
+    )
+  })
+
+  it("throws MonarchValidationError when Monarch reports payload errors", async () => {
+    await deleteElsewhere("category", "categories", "503")
+    const error = await client.deleteTransactionCategory("503").catch((e) => e)
+    assert.ok(error instanceof MonarchValidationError)
+    assert.equal(error.operation, "Web_DeleteCategory")
+    assert.deepEqual(error.fieldErrors[0].field, "id")
+  })
+
+  it("throws RequestFailedException when nothing was deleted", async () => {
+    server.stub("Web_DeleteCategory", () => ({ data: { deleteCategory: { deleted: false, errors: null } } }))
+    await assert.rejects(client.deleteTransactionCategory("503"), (error) => {
+      assert.ok(error instanceof RequestFailedException)
+      assert.equal(error.message, "Unable to delete category 503")
+      return true
+    })
+  })
+
+  it("does not retry a failed delete", async () => {
+    server.stub("Web_DeleteCategory", () => ({ status: 503, body: {} }))
+    await assert.rejects(client.deleteTransactionCategory("503"), RequestFailedException)
+    assert.equal(server.requests.filter((request) => request.operationName === "Web_DeleteCategory").length, 1)
+  })
+
+  it("deleteTransactionCategories returns each result or error", async () => {
+    const [deleted, failed] = await client.deleteTransactionCategories(["503", "999"])
+    assert.equal(deleted, true)
+    assert.ok(failed instanceof NameNotFoundError)
+  })
+})
+
+describe("categories and tags", () => {
+  it("createTransactionCategory creates a category in the group", async () => {
+    const { createCategory } = await client.createTransactionCategory({ groupId: "402", transactionCategoryName: "Coffee" })
+    assert.equal(createCategory.category.name, "Coffee")
+    assert.equal(createCategory.category.group.id, "402")
+    const { input } = lastVariables(server, "Web_CreateCategory")
+    assert.equal(input.icon, "❓")
+    assert.equal(input.rolloverStartMonth, localDate(new Date().getFullYear(), new Date().getMonth(), new Date().getDate()))
+    assert.equal(await client.resolveId("category", "Coffee"), createCategory.category.id)
+  })
+
+  it("createTransactionCategory rejects an unknown group", async () => {
+    await assert.rejects(client.createTransactionCategory({ groupId: "999", transactionCategoryName: "Coffee" }), MonarchValidationError)
+  })
+
+  it("createTransactionTag creates a tag and rejects duplicates", async () => {
+    const { createTransactionTag } = await client.createTransactionTag("Work", "#000000")
+    assert.equal(createTransactionTag.tag.name, "Work")
+    await assert.rejects(client.createTransactionTag("work", "#FFFFFF"), /already exists/)
+  })
+
+  it("setTransactionTags replaces the tags by name", async () => {
+    const { setTransactionTags } = await client.setTransactionTags("802", ["Vacation", "Reimbursable"])
+    assert.deepEqual(
+      setTransactionTags.transaction.tags.map((tag) => tag.id),
+      ["602", "601"]
+    )
+    assert.deepEqual(findTransaction("802").tagIds, ["602", "601"])
+  })
+})
+
+describe("transactions", () => {
+  it("createTransaction rounds the amount and updates the balance on request", async () => {
+    const { createTransaction } = await client.createTransaction({
+      date: "2024-05-01",
+      accountId: "Checking",
+      amount: -12.346,
+      merchantName: "Cafe",
+      categoryId: "Restaurants",
+      updateBalance: true,
+    })
+    const { input } = lastVariables(server, "Common_CreateTransactionMutation")
+    assert.deepEqual([input.accountId, input.categoryId, input.amount, input.shouldUpdateBalance], ["101", "503", -12.35, true])
+    assert.equal(findTransaction(createTransaction.transaction.id).amount, -12.35)
+    assert.equal(server.data.accounts[0].currentBalance, 2487.65)
+  })
+
+  it("createTransaction surfaces field errors", async () => {
+    await deleteElsewhere("account", "accounts", "103")
+    const error = await client
+      .createTransaction({ date: "2024-05-01", accountId: "103", amount: 1, merchantName: "Cafe", categoryId: "503" })
+      .catch((e) => e)
+    assert.ok(error instanceof MonarchValidationError)
+    assert.equal(error.fieldErrors[0].field, "accountId")
+  })
+
+  it("updateTransaction only sends the fields given", async () => {
+    await client.updateTransaction({ transactionId: "802", categoryId: "Restaurants", notes: "Snacks", hideFromReports: 1 })
+    assert.deepEqual(lastVariables(server, "Web_TransactionDrawerUpdateTransaction").input, {
+      id: "802",
+      category: "503",
+      hideFromReports: true,
+      notes: "Snacks",
+    })
+    const transaction = findTransaction("802")
+    assert.deepEqual([transaction.categoryId, transaction.notes, transaction.amount], ["503", "Snacks", -85.2])
+  })
+
+  it("updateTransactionSplits splits a transaction", async () => {
+    const { updateTransactionSplit } = await client.updateTransactionSplits("802", [
+      { merchantName: "Whole Foods", amount: -60, categoryId: "502" },
+      { merchantName: "Whole Foods", amount: -25.2, categoryId: "503" },
+    ])
+    assert.equal(updateTransactionSplit.transaction.hasSplitTransactions, true)
+    assert.equal(updateTransactionSplit.transaction.splitTransactions.length, 2)
+  })
+
+  it("updateTransactionSplits rejects splits that don't add up", async () => {
+    await assert.rejects(
+      client.updateTransactionSplits("802", [{ merchantName: "A", amount: -1, categoryId: "502" }]),
+      MonarchValidationError
+    )
+  })
+
+  it("deleteTransaction returns true and throws when nothing was deleted", async () => {
+    assert.equal(await client.deleteTransaction("804"), true)
+    assert.equal(findTransaction("804"), undefined)
+
+    server.stub("Common_DeleteTransactionMutation", () => ({ data: { deleteTransaction: { deleted: false, errors: null } } }))
+    await assert.rejects(client.deleteTransaction("803"), /Unable to delete transaction 803/)
+  })
+})
+
+describe("setBudgetAmount", () => {
+  it("defaults to the first of the current month", async () => {
+    const now = new Date()
+    await client.setBudgetAmount({ amount: 175, categoryId: "Restaurants" })
+    const { input } = lastVariables(server, "Common_UpdateBudgetItem")
+    assert.deepEqual(input, {
+      amount: 175,
+      timeframe: "month",
+      categoryId: "503",
+      categoryGroupId: null,
+      applyToFuture: false,
+      startDate: localDate(now.getFullYear(), now.getMonth(), 1),
+    })
+    assert.equal(server.data.budgets.find((budget) => budget.categoryId === "503").amount, 175)
+  })
+
+  it("requires a category or a category group, not both", async () => {
+    const message = /either a categoryId OR categoryGroupId/
+    await assert.rejects(client.setBudgetAmount({ amount: 1 }), message)
+    await assert.rejects(client.setBudgetAmount({ amount: 1, categoryId: "503", categoryGroupId: "402" }), message)
+  })
+})
+
+describe("accounts", () => {
+  it("createManualAccount, updateAccount and deleteAccount manage a manual account", async () => {
+    const { createManualAccount } = await client.createManualAccount("depository", "savings", true, "Savings", 100)
+    const { id } = createManualAccount.account
+    assert.equal(await client.resolveId("account", "Savings"), id)
+
+    const { updateAccount } = await client.updateAccount("Savings", "Rainy Day", 250)
+    assert.deepEqual(lastVariables(server, "Common_UpdateAccount").input, { id, name: "Rainy Day", displayBalance: 250 })
+    assert.equal(updateAccount.account.currentBalance, 250)
+
+    const { deleteAccount } = await client.deleteAccount("Rainy Day")
+    assert.equal(deleteAccount.deleted, true)
+    const { accounts } = await client.getAccounts()
+    assert.equal(
+      accounts.some((account) => account.id === id),
+      false
+    )
+  })
+
+  it("deleteAccount of an account that is already gone throws MonarchValidationError", async () => {
+    await deleteElsewhere("account", "accounts", "103")
+    await assert.rejects(client.deleteAccount("103"), MonarchValidationError)
+  })
+
+  it("uploadAccountBalanceHistory requires an account and CSV", async () => {
+    await assert.rejects(client.uploadAccountBalanceHistory(null, "date,balance"), /cannot be empty/)
+    await assert.rejects(client.uploadAccountBalanceHistory("101", ""), /cannot be empty/)
+  })
+})
+
+describe("balance history uploads", () => {
+  const balancesFor = (accountId) =>
+    server.data.snapshots.filter((snapshot) => snapshot.accountId === accountId).sort((a, b) => a.date.localeCompare(b.date))
+
+  it("uploadAccountBalanceHistory uploads records as CSV", async () => {
+    const records = [
+      { date: "2020-01-02", balance: 20 },
+      { date: "2020-01-01", balance: 10.5 },
+    ]
+    assert.equal(await client.uploadAccountBalanceHistory("Checking", records), true)
+    const { mapping, files } = lastVariables(server, "uploadAccountBalanceHistory")
+    assert.deepEqual(mapping, { "balances-101.csv": "101" })
+    assert.equal(files["balances-101.csv"], "Date,Balance\n2020-01-01,10.50\n2020-01-02,20.00\n")
+    assert.deepEqual(
+      balancesFor("101")
+        .slice(0, 2)
+        .map(({ date, balance }) => [date, balance]),
+      [
+        ["2020-01-01", 10.5],
+        ["2020-01-02", 20],
+      ]
+    )
+  })
+
+  it("uploadAccountBalanceHistory sends CSV text as is", async () => {
+    await client.uploadAccountBalanceHistory("102", "Date,Balance\n2020-01-01,-15.00\n")
+    assert.equal(lastVariables(server, "uploadAccountBalanceHistory").files["balances-102.csv"], "Date,Balance\n2020-01-01,-15.00\n")
+    assert.equal(balancesFor("102")[0].balance, -15)
+  })
+
+  it("uploadAccountBalanceHistories maps every account in one request", async () => {
+    const history = await client.getAccountHistory("103")
+    await client.uploadAccountBalanceHistories({ Checking: history, 102: [{ date: "2020-06-30", balance: -1 }] })
+    const uploads = server.requests.filter((request) => request.operationName === "uploadAccountBalanceHistory")
+    assert.equal(uploads.length, 1)
+    assert.deepEqual(uploads[0].variables.mapping, { "balances-101.csv": "101", "balances-102.csv": "102" })
+    assert.deepEqual(
+      balancesFor("101").map(({ balance }) => balance),
+      history.map(({ signedBalance }) => signedBalance)
+    )
+  })
+
+  it("validates the records before uploading anything", async () => {
+    await assert.rejects(client.uploadAccountBalanceHistory("101", [{ date: "2020-13-01", balance: 1 }]), /record 0: date must be/)
+    await assert.rejects(client.uploadAccountBalanceHistories({ 101: "Date,Balance", 102: " " }), /for 102 is empty/)
+    await assert.rejects(client.uploadAccountBalanceHistories({}), /at least one account/)
+    assert.equal(lastVariables(server, "uploadAccountBalanceHistory"), null)
+  })
+
+  it("throws RequestFailedException when the upload is rejected", async () => {
+    await assert.rejects(client.uploadAccountBalanceHistory("101", "Date,Balance\nyesterday,1\n"), (error) => {
+      assert.ok(error instanceof RequestFailedException)
+      assert.equal(error.status, 400)
+      return true
+    })
+  })
+})
+
+describe("migrateAccountHistory", () => {
+  // 101 is the old account, 102 the one that replaced it
+  beforeEach(() => {
+    server.data.snapshots = [
+      { accountId: "101", date: "2024-01-01", balance: 100 },
+      { accountId: "101", date: "2024-01-02", balance: 110 },
+      { accountId: "101", date: "2024-01-03", balance: 120 },
+      { accountId: "102", date: "2024-01-03", balance: 125 },
+      { accountId: "102", date: "2024-01-04", balance: 130 },
+    ]
+  })
+
+  const balances = async (account) => (await client.getAccountHistory(account)).map(({ date, signedBalance }) => [date, signedBalance])
+
+  it("copies the old account's days, keeping the new account's balance where both have one", async () => {
+    const result = await client.migrateAccountHistory("Checking", "Credit Card")
+    assert.deepEqual([result.fromAccountId, result.toAccountId, result.uploaded, result.oldAccount], ["101", "102", 2, "kept"])
+    assert.deepEqual(
+      lastVariables(server, "uploadAccountBalanceHistory").files["balances-102.csv"],
+      "Date,Balance\n2024-01-01,100.00\n2024-01-02,110.00\n"
+    )
+    assert.deepEqual(await balances("102"), [
+      ["2024-01-01", 100],
+      ["2024-01-02", 110],
+      ["2024-01-03", 125],
+      ["2024-01-04", 130],
+    ])
+    assert.deepEqual(
+      result.history.map(({ balance }) => balance),
+      [100, 110, 125, 130]
+    )
+    assert.equal(server.data.accounts.find((account) => account.id === "101").deletedAt, null)
+  })
+
+  it("overlap: old keeps the old account's balance on shared days", async () => {
+    const { uploaded } = await client.migrateAccountHistory("101", "102", { overlap: "old" })
+    assert.equal(uploaded, 3)
+    assert.deepEqual((await balances("102"))[2], ["2024-01-03", 120])
+  })
+
+  it("hides or deletes the old account afterwards", async () => {
+    const hidden = await client.migrateAccountHistory("101", "102", { oldAccount: "hide" })
+    assert.equal(hidden.oldAccount, "hidden")
+    assert.deepEqual(lastVariables(server, "Common_UpdateAccount").input, { id: "101", includeInNetWorth: false, hideFromList: true })
+
+    const deleted = await client.migrateAccountHistory("101", "102", { oldAccount: "delete" })
+    assert.deepEqual([deleted.uploaded, deleted.oldAccount], [0, "deleted"])
+    assert.deepEqual(lastVariables(server, "Common_DeleteAccount"), { id: "101" })
+  })
+
+  it("doesn't touch the old account when the upload fails", async () => {
+    server.stub("uploadAccountBalanceHistory", () => ({ status: 400, body: { detail: "Bad file" } }))
+    await assert.rejects(client.migrateAccountHistory("101", "102", { oldAccount: "delete" }), /HTTP Code 400/)
+    assert.equal(lastVariables(server, "Common_DeleteAccount"), null)
+  })
+
+  it("rejects bad options, the same account twice and an empty old history", async () => {
+    await assert.rejects(client.migrateAccountHistory("101", "102", { overlap: "both" }), /overlap must be one of new, old/)
+    await assert.rejects(client.migrateAccountHistory("101", "102", { oldAccount: "archive" }), /oldAccount must be one of/)
+    await assert.rejects(client.migrateAccountHistory("Checking", "101"), /onto itself/)
+    await assert.rejects(client.migrateAccountHistory("103", "102"), /no balance history to migrate/)
+    assert.equal(lastVariables(server, "uploadAccountBalanceHistory"), null)
+  })
+})
+
+describe("account refresh", () => {
+  it("requestAccountsRefresh starts a refresh", async () => {
+    assert.equal(await client.requestAccountsRefresh(["Checking"]), true)
+    assert.deepEqual(lastVariables(server, "Common_ForceRefreshAccountsMutation").input.accountIds, ["101"])
+    assert.equal(await client.isAccountsRefreshComplete(["101"]), false)
+    assert.equal(await client.isAccountsRefreshComplete(["101"]), true)
+  })
+
+  it("requestAccountsRefresh throws when Monarch declines", async () => {
+    server.stub("Common_ForceRefreshAccountsMutation", () => ({ data: { forceRefreshAccounts: { success: false, errors: null } } }))
+    await assert.rejects(client.requestAccountsRefresh(["101"]), /Unable to request a refresh/)
+  })
+
+  it("isAccountsRefreshComplete only waits for the requested accounts", async () => {
+    server.data.accounts.find((account) => account.id === "103").refreshPollsRemaining = 5
+    assert.equal(await client.isAccountsRefreshComplete(["101"]), true)
+    assert.equal(await client.isAccountsRefreshComplete(), false)
+  })
+
+  it("requestAccountsRefreshAndWait polls until the accounts are synced", async () => {
+    server.refreshPolls = 3
+    assert.equal(await client.requestAccountsRefreshAndWait(["101", "102"], 5, 0.01), true)
+    assert.equal(server.requests.filter((request) => request.operationName === "ForceRefreshAccountsQuery").length, 4)
+  })
+
+  it("requestAccountsRefreshAndWait refreshes every account by default", async () => {
+    assert.equal(await client.requestAccountsRefreshAndWait(null, 5, 0.01), true)
+    assert.deepEqual(lastVariables(server, "Common_ForceRefreshAccountsMutation").input.accountIds, ["101", "102", "103"])
+  })
+
+  it("requestAccountsRefreshAndWait gives up after the timeout", async () => {
+    server.refreshPolls = Infinity
+    assert.equal(await client.requestAccountsRefreshAndWait(["101"], 0.05, 0.01), false)
+  })
+
+  it("requestAccountsRefreshAndWait can be cancelled while it waits", async () => {
+    const controller = new AbortController()
+    client.use({
+      afterResponse: ({ operation }) => operation === "Common_ForceRefreshAccountsMutation" && controller.abort(new Error("stop")),
+    })
+    await assert.rejects(client.requestAccountsRefreshAndWait(["101"], 5, 1, { signal: controller.signal }), /stop/)
+    assert.equal(lastVariables(server, "ForceRefreshAccountsQuery"), null)
+  })
+
+  it("requestAccountsRefreshAndDontWait only starts the refresh", async () => {
+    assert.equal(await client.requestAccountsRefreshAndDontWait(), true)
+    assert.equal(lastVariables(server, "ForceRefreshAccountsQuery"), null)
+  })
+})
+
+describe("mutate and errors", () => {
+  it("mutate sends a raw mutation and surfaces payload errors", async () => {
+    const document = "mutation Drop($id: UUID!) { deleteCategory(id: $id) { deleted errors { message } } }"
+    const { deleteCategory } = await client.mutate(document, { id: "503" })
+    assert.equal(deleteCategory.deleted, true)
+    await assert.rejects(client.mutate(document, { id: "503" }), MonarchValidationError)
+  })
+
+  it("retries a rate-limited query and reports the wait Monarch asked for", async () => {
+    let calls = 0
+    server.stub("GetHouseholdTransactionTags", () => {
+      calls++
+      return { status: 429, body: {}, headers: { "Retry-After": "0" } }
+    })
+    await assert.rejects(client.getTransactionTags(), RateLimitedError)
+    assert.equal(calls, 3)
+  })
+})
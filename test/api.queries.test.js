@@ -0,0 +1,411 @@
+import assert from "node:assert/strict"
+import { after, before, beforeEach, describe, it } from "node:test"
+import {
+  Account,
+  Budget,
+  Holding,
+  NameNotFoundError,
+  NotFoundError,
+  RequestFailedException,
+  SessionExpiredException,
+  Transaction,
+} from "../src/index.js"
+import { lastVariables, localDate, startServer } from "./helpers.js"
+
+let server
+let client
+
+before(async () => {
+  server = await startServer()
+})
+
+after(async () => {
+  await server.close()
+})
+
+beforeEach(() => {
+  server.reset()
+  client = server.client()
+})
+
+describe("accounts", () => {
+  it("getAccounts returns the raw payload, or models with raw: false", async () => {
+    const { accounts } = await client.getAccounts()
+    assert.deepEqual(
+      accounts.map((account) => account.displayName),
+      ["Checking", "Credit Card", "Brokerage"]
+    )
+
+    const models = await client.getAccounts({ raw: false })
+    assert.ok(models.every((account) => account instanceof Account))
+    assert.equal(models[1].isAsset, false)
+  })
+
+  it("getAccountTypeOptions lists every type and subtype", async () => {
+    const { accountTypeOptions } = await client.getAccountTypeOptions()
+    assert.ok(accountTypeOptions.some(({ type, subtype }) => type.name === "depository" && subtype.name === "checking"))
+  })
+
+  it("getRecentAccountBalances defaults to the last 31 days", async () => {
+    const now = new Date()
+    const { accounts } = await client.getRecentAccountBalances()
+    assert.equal(
+      lastVariables(server, "GetAccountRecentBalances").startDate,
+      localDate(now.getFullYear(), now.getMonth(), now.getDate() - 31)
+    )
+    assert.equal(accounts.find((account) => account.id === "101").recentBalances.at(-1), 2500)
+
+    await client.getRecentAccountBalances("2024-01-01")
+    assert.equal(lastVariables(server, "GetAccountRecentBalances").startDate, "2024-01-01")
+  })
+
+  it("getAccountHoldings resolves the account by name", async () => {
+    const holdings = await client.getAccountHoldings("Brokerage", { raw: false })
+    assert.deepEqual(lastVariables(server, "Web_GetHoldings").input.accountIds, ["103"])
+    assert.equal(holdings.length, 1)
+    assert.ok(holdings[0] instanceof Holding)
+    assert.equal(holdings[0].totalValue, 12500)
+  })
+
+  it("getAccountHistory tags each snapshot with the account", async () => {
+    const history = await client.getAccountHistory("101")
+    assert.deepEqual(
+      history.map(({ signedBalance, accountId, accountName }) => [signedBalance, accountId, accountName]),
+      [
+        [1800, "101", "Checking"],
+        [2500, "101", "Checking"],
+      ]
+    )
+  })
+
+  it("getAccountHistory rejects an unknown account name", async () => {
+    await assert.rejects(client.getAccountHistory("Savings"), NameNotFoundError)
+  })
+
+  it("getInstitutions returns the credentials and their institutions", async () => {
+    const { credentials } = await client.getInstitutions()
+    assert.equal(credentials[0].institution.name, "Mock Bank")
+  })
+
+  it("getAccountSnapshotsByType checks the timeframe", async () => {
+    await assert.rejects(client.getAccountSnapshotsByType("2024-01-01", "week"), /Unknown timeframe "week"/)
+    const { snapshotsByAccountType } = await client.getAccountSnapshotsByType("2000-01-01", "month")
+    assert.ok(snapshotsByAccountType.some((snapshot) => snapshot.accountType === "brokerage" && snapshot.balance === 12500))
+  })
+
+  it("getAggregateSnapshots sends the filters", async () => {
+    const { aggregateSnapshots } = await client.getAggregateSnapshots("2000-01-01", null, "depository")
+    assert.deepEqual(lastVariables(server, "GetAggregateSnapshots").filters, {
+      startDate: "2000-01-01",
+      endDate: null,
+      accountType: "depository",
+    })
+    assert.deepEqual(
+      aggregateSnapshots.map((snapshot) => snapshot.balance),
+      [1800, 2500]
+    )
+  })
+
+  it("getAggregateSnapshots starts on the first of this month 150 years ago by default", async () => {
+    const RealDate = Date
+    // Pinned to March so an unpadded month would show
+    globalThis.Date = class extends RealDate {
+      constructor(...args) {
+        super(...(args.length ? args : [2024, 2, 15, 12]))
+      }
+    }
+    try {
+      await client.getAggregateSnapshots()
+    } finally {
+      globalThis.Date = RealDate
+    }
+    assert.equal(lastVariables(server, "GetAggregateSnapshots").filters.startDate, "1874-03-01")
+  })
+})
+
+describe("user", () => {
+  it("whoami and getSubscriptionDetails describe the household", async () => {
+    const { me } = await client.whoami()
+    assert.equal(me.email, "user@example.com")
+    const { subscription } = await client.getSubscriptionDetails()
+    assert.equal(subscription.hasPremiumEntitlement, true)
+  })
+
+  it("validateSession is true for a good token and throws for a revoked one", async () => {
+    assert.equal(await client.validateSession(), true)
+    server.revokeTokens()
+    await assert.rejects(client.validateSession(), SessionExpiredException)
+  })
+})
+
+describe("getBudgets", () => {
+  it("defaults to last month through next month", async () => {
+    const now = new Date()
+    await client.getBudgets()
+    const variables = lastVariables(server, "GetJointPlanningData")
+    assert.equal(variables.startDate, localDate(now.getFullYear(), now.getMonth() - 1, 1))
+    assert.equal(variables.endDate, localDate(now.getFullYear(), now.getMonth() + 2, 0))
+    assert.equal(variables.useLegacyGoals, false)
+    assert.equal(variables.useV2Goals, true)
+  })
+
+  it("uses the dates it is given", async () => {
+    await client.getBudgets("2024-01-01", "2024-03-31")
+    const { startDate, endDate } = lastVariables(server, "GetJointPlanningData")
+    assert.deepEqual([startDate, endDate], ["2024-01-01", "2024-03-31"])
+  })
+
+  it("requires both dates or neither", async () => {
+    const message = /You must specify both a startDate and endDate/
+    await assert.rejects(client.getBudgets("2024-01-01"), message)
+    await assert.rejects(client.getBudgets(null, "2024-01-31"), message)
+    assert.equal(lastVariables(server, "GetJointPlanningData"), null)
+  })
+
+  it("returns the planned and actual amounts", async () => {
+    const now = new Date()
+    const month = localDate(now.getFullYear(), now.getMonth(), 1)
+    const { budgetData } = await client.getBudgets()
+    const groceries = budgetData.monthlyAmountsByCategory.find(({ category }) => category.name === "Groceries")
+    const thisMonth = groceries.monthlyAmounts.find((amounts) => amounts.month === month)
+    assert.equal(thisMonth.plannedCashFlowAmount, 400)
+    assert.equal(thisMonth.actualAmount, 146.95)
+  })
+
+  it("returns Budget models with raw: false", async () => {
+    const budgets = await client.getBudgets(null, null, false, true, { raw: false })
+    assert.ok(budgets.length > 0)
+    assert.ok(budgets.every((budget) => budget instanceof Budget))
+  })
+})
+
+describe("transactions", () => {
+  it("getTransactions filters and resolves names", async () => {
+    const { allTransactions } = await client.getTransactions({ categoryIds: ["Groceries"], accountIds: ["Credit Card"] })
+    const { filters } = lastVariables(server, "GetTransactionsList")
+    assert.deepEqual(filters.categories, ["502"])
+    assert.deepEqual(filters.accounts, ["102"])
+    assert.deepEqual(
+      allTransactions.results.map((transaction) => transaction.id),
+      ["804", "802"]
+    )
+  })
+
+  it("getTransactions pages with limit and offset", async () => {
+    const { allTransactions } = await client.getTransactions({ limit: 2, offset: 1 })
+    assert.equal(allTransactions.totalCount, 5)
+    assert.deepEqual(
+      allTransactions.results.map((transaction) => transaction.id),
+      ["803", "802"]
+    )
+  })
+
+  it("getTransactions returns Transaction models with raw: false", async () => {
+    const { totalCount, results } = await client.getTransactions({ search: "pizza" }, { raw: false })
+    assert.equal(totalCount, 1)
+    assert.ok(results[0] instanceof Transaction)
+    assert.equal(results[0].notes, "Dinner")
+  })
+
+  it("iterateTransactionPages returns a cursor that resumes", async () => {
+    const pages = client.iterateTransactionPages({}, { pageSize: 2 })
+    const { value: first } = await pages.next()
+    assert.equal(first.results.length, 2)
+    assert.ok(first.cursor)
+
+    const rest = []
+    for await (const page of client.iterateTransactionPages({}, { pageSize: 2, cursor: first.cursor })) {
+      rest.push(...page.results.map((transaction) => transaction.id))
+    }
+    assert.deepEqual(rest, ["802", "801", "805"])
+    await assert.rejects(client.iterateTransactionPages({}, { cursor: "nope" }).next(), /Invalid transactions cursor/)
+  })
+
+  it("iterateTransactionPages rejects a page size that isn't a positive integer", async () => {
+    for (const pageSize of [0, -1, 2.5, "10", null]) {
+      await assert.rejects(client.iterateTransactionPages({}, { pageSize }).next(), /pageSize must be a positive integer/)
+    }
+    await assert.rejects(client.getAllTransactions({}, { pageSize: 0 }), /pageSize must be a positive integer/)
+    assert.equal(lastVariables(server, "GetTransactionsList"), null)
+  })
+
+  it("iterateTransactions and getAllTransactions fetch every page", async () => {
+    const ids = []
+    for await (const transaction of client.iterateTransactions({}, { pageSize: 2 })) {
+      ids.push(transaction.id)
+    }
+    assert.equal(ids.length, 5)
+    assert.equal(server.requests.filter((request) => request.operationName === "GetTransactionsList").length, 3)
+
+    const all = await client.getAllTransactions({ accountIds: ["101"] }, { pageSize: 10 })
+    assert.deepEqual(
+      all.map((transaction) => transaction.id),
+      ["801", "805"]
+    )
+  })
+
+  it("getTransactionsSummary adds up every transaction", async () => {
+    const { aggregates } = await client.getTransactionsSummary()
+    assert.equal(aggregates[0].summary.count, 5)
+    assert.equal(aggregates[0].summary.sumIncome, 6000)
+  })
+
+  it("getTransactionDetails returns one transaction", async () => {
+    const { getTransaction } = await client.getTransactionDetails("803")
+    assert.equal(getTransaction.merchant.name, "Pizza Place")
+    assert.deepEqual(lastVariables(server, "GetTransactionDrawer"), { id: "803", redirectPosted: true })
+
+    const model = await client.getTransactionDetails("803", false, { raw: false })
+    assert.ok(model instanceof Transaction)
+  })
+
+  it("getTransactionDetails throws NotFoundError for an unknown id", async () => {
+    await assert.rejects(client.getTransactionDetails("999"), NotFoundError)
+  })
+
+  it("getTransactionSplits lists the splits", async () => {
+    const { getTransaction } = await client.getTransactionSplits("802")
+    assert.deepEqual(getTransaction.splitTransactions, [])
+  })
+})
+
+describe("getRecurringTransactions", () => {
+  it("defaults to the current month", async () => {
+    const now = new Date()
+    const { recurringTransactionItems } = await client.getRecurringTransactions()
+    assert.deepEqual(lastVariables(server, "Web_GetUpcomingRecurringTransactionItems"), {
+      startDate: localDate(now.getFullYear(), now.getMonth(), 1),
+      endDate: localDate(now.getFullYear(), now.getMonth() + 1, 0),
+    })
+    assert.equal(recurringTransactionItems.length, 1)
+    assert.equal(recurringTransactionItems[0].stream.merchant.name, "Employer")
+  })
+
+  it("requires both dates or neither", async () => {
+    await assert.rejects(client.getRecurringTransactions("2024-01-01"), /You must specify both/)
+    await assert.rejects(client.getRecurringTransactions(null, "2024-01-31"), /You must specify both/)
+  })
+
+  it("uses the dates it is given", async () => {
+    const { recurringTransactionItems } = await client.getRecurringTransactions("2024-01-01", "2024-03-31")
+    assert.deepEqual(
+      recurringTransactionItems.map((item) => item.date),
+      ["2024-01-01", "2024-02-01", "2024-03-01"]
+    )
+  })
+})
+
+describe("getCashflow and getCashflowSummary", () => {
+  for (const fn of ["getCashflow", "getCashflowSummary"]) {
+    it(`${fn} defaults to the current month`, async () => {
+      const now = new Date()
+      await client[fn]({})
+      const { filters } = lastVariables(server, "Web_GetCashFlowPage")
+      assert.equal(filters.startDate, localDate(now.getFullYear(), now.getMonth(), 1))
+      assert.equal(filters.endDate, localDate(now.getFullYear(), now.getMonth() + 1, 0))
+    })
+
+    it(`${fn} requires both dates or neither`, async () => {
+      await assert.rejects(client[fn]({ startDate: "2024-01-01" }), /You must specify both/)
+      await assert.rejects(client[fn]({ endDate: "2024-01-31" }), /You must specify both/)
+    })
+  }
+
+  it("getCashflow groups by category, group and merchant", async () => {
+    const { byCategory, byMerchant, summary } = await client.getCashflow({})
+    const groceries = byCategory.find(({ groupBy }) => groupBy.category.name === "Groceries")
+    assert.equal(groceries.summary.sum, -146.95)
+    assert.ok(byMerchant.some(({ groupBy }) => groupBy.merchant.name === "Employer"))
+    assert.equal(summary[0].summary.sumIncome, 3000)
+  })
+
+  it("getCashflowSummary uses the dates it is given", async () => {
+    const { summary } = await client.getCashflowSummary({ startDate: "2000-01-01", endDate: "2000-01-31" })
+    assert.equal(summary[0].summary.sumIncome, 0)
+  })
+})
+
+describe("categories, tags and merchants", () => {
+  it("getTransactionCategories returns the categories with their groups", async () => {
+    const { categories } = await client.getTransactionCategories()
+    assert.equal(categories.find((category) => category.name === "Groceries").group.id, "402")
+  })
+
+  it("getTransactionCategoryGroups returns the groups", async () => {
+    const { categoryGroups } = await client.getTransactionCategoryGroups()
+    assert.deepEqual(
+      categoryGroups.map((group) => group.name),
+      ["Income", "Food & Dining", "Transfers"]
+    )
+  })
+
+  it("getTransactionTags counts the tagged transactions", async () => {
+    const { householdTransactionTags } = await client.getTransactionTags()
+    assert.equal(householdTransactionTags.find((tag) => tag.name === "Vacation").transactionCount, 1)
+  })
+
+  it("getMerchants searches by name", async () => {
+    const { merchants } = await client.getMerchants({ search: "whole" })
+    assert.deepEqual(
+      merchants.map((merchant) => [merchant.name, merchant.transactionCount]),
+      [["Whole Foods", 2]]
+    )
+  })
+})
+
+describe("name lookups", () => {
+  it("resolveId and resolveIds turn names into ids", async () => {
+    assert.equal(await client.resolveId("account", "checking"), "101")
+    assert.equal(await client.resolveId("category", "501"), "501")
+    assert.deepEqual(await client.resolveIds("tag", ["Vacation", "Reimbursable"]), ["602", "601"])
+  })
+
+  it("looks numeric values up as ids and then as names", async () => {
+    server.data.tags.push({ id: "603", name: "2024", color: null, order: 2 })
+    assert.equal(await client.resolveId("tag", "2024"), "603")
+    assert.equal(await client.resolveId("tag", "601"), "601")
+    await assert.rejects(client.resolveId("tag", "401"), (error) => {
+      assert.ok(error instanceof NameNotFoundError)
+      assert.equal(error.message, 'No tag with the id or name "401"')
+      return true
+    })
+  })
+
+  it("sends numeric values as ids when the list can't be loaded", async () => {
+    server.stub("GetHouseholdTransactionTags", () => ({ errors: [{ message: "Something went wrong" }] }))
+    assert.equal(await client.resolveId("tag", "601"), "601")
+    await assert.rejects(client.resolveId("tag", "Vacation"), RequestFailedException)
+  })
+
+  it("refreshLookups forgets the cached names", async () => {
+    await client.resolveId("tag", "Vacation")
+    server.data.tags.push({ id: "603", name: "Gifts", color: null, order: 2 })
+    assert.equal(await client.resolveId("tag", "Gifts"), "603")
+
+    server.data.tags.find((tag) => tag.id === "603").name = "Presents"
+    client.refreshLookups("tag")
+    assert.equal(await client.resolveId("tag", "Presents"), "603")
+  })
+})
+
+describe("query and getSchema", () => {
+  it("query sends a document under its own operation name", async () => {
+    const { accounts } = await client.query("query Names { accounts { id displayName } }")
+    assert.equal(accounts.length, 3)
+    assert.equal(server.requests.at(-1).operationName, "Names")
+  })
+
+  it("getSchema falls back to the reconstructed schema when introspection is refused", async () => {
+    server.stub("IntrospectionQuery", () => ({ status: 400, body: { errors: [{ message: "Introspection is disabled" }] } }))
+    const { source, sdl } = await client.getSchema()
+    assert.equal(source, "reconstructed")
+    assert.match(sdl, /type Query/)
+    await assert.rejects(client.getSchema({ fallback: false }), RequestFailedException)
+  })
+
+  it("getSchema introspects when the server allows it", async () => {
+    const { source, schema } = await client.getSchema()
+    assert.equal(source, "introspection")
+    assert.ok(schema.getQueryType().getFields().allTransactions)
+  })
+})
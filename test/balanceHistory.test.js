@@ -0,0 +1,66 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+import { buildBalanceHistoryCsv, mergeBalanceHistories, normalizeBalanceHistory } from "../src/index.js"
+
+describe("normalizeBalanceHistory", () => {
+  it("sorts by date, formats Dates as local days and rounds to cents", () => {
+    const history = normalizeBalanceHistory([
+      { date: "2024-03-02", balance: "1200.456" },
+      { date: new Date(2024, 2, 1), balance: 1000 },
+    ])
+    assert.deepEqual(history, [
+      { date: "2024-03-01", balance: 1000 },
+      { date: "2024-03-02", balance: 1200.46 },
+    ])
+  })
+
+  it("reads signedBalance from getAccountHistory results", () => {
+    const snapshots = [{ date: "2024-01-31", signedBalance: -42.5, accountId: "101", accountName: "Checking" }]
+    assert.deepEqual(normalizeBalanceHistory(snapshots), [{ date: "2024-01-31", balance: -42.5 }])
+  })
+
+  it("rejects empty histories, bad dates, bad amounts and duplicate days", () => {
+    assert.throws(() => normalizeBalanceHistory([]), /at least one/)
+    assert.throws(() => normalizeBalanceHistory([{ date: "2024-02-30", balance: 1 }]), /record 0: date must be/)
+    assert.throws(() => normalizeBalanceHistory([{ date: "03/01/2024", balance: 1 }]), /record 0: date must be/)
+    assert.throws(() => normalizeBalanceHistory([{ date: "2024-03-01", balance: "$5" }]), /record 0: balance must be/)
+    assert.throws(() => normalizeBalanceHistory([{ date: "2024-03-01", balance: 1 }, { date: "2024-03-01" }]), /record 1: balance/)
+    assert.throws(
+      () =>
+        normalizeBalanceHistory([
+          { date: "2024-03-01", balance: 1 },
+          { date: "2024-03-01", balance: 2 },
+        ]),
+      /more than one balance for 2024-03-01/
+    )
+  })
+})
+
+describe("buildBalanceHistoryCsv", () => {
+  it("writes a header and one row per day, oldest first", () => {
+    const csv = buildBalanceHistoryCsv([
+      { date: "2024-03-02", balance: -5 },
+      { date: "2024-03-01", balance: 10.1 },
+    ])
+    assert.equal(csv, "Date,Balance\n2024-03-01,10.10\n2024-03-02,-5.00\n")
+  })
+})
+
+describe("mergeBalanceHistories", () => {
+  it("keeps the last history's balance on shared days and skips empty ones", () => {
+    const older = [
+      { date: "2024-03-01", balance: 1 },
+      { date: "2024-03-02", balance: 2 },
+    ]
+    const newer = [
+      { date: "2024-03-03", signedBalance: 30 },
+      { date: "2024-03-02", signedBalance: 20 },
+    ]
+    assert.deepEqual(mergeBalanceHistories(older, [], null, newer), [
+      { date: "2024-03-01", balance: 1 },
+      { date: "2024-03-02", balance: 20 },
+      { date: "2024-03-03", balance: 30 },
+    ])
+    assert.deepEqual(mergeBalanceHistories(), [])
+  })
+})
@@ -0,0 +1,137 @@
+import assert from "node:assert/strict"
+import fs from "node:fs"
+import os from "node:os"
+import path from "node:path"
+import { after, before, beforeEach, describe, it } from "node:test"
+import { MonarchClient, UnmatchedRequestError, createCassette, createMemorySessionStore } from "../src/index.js"
+import { startServer } from "./helpers.js"
+
+const USERS = [{ id: "1", name: "Pat", email: "pat@example.com", password: "hunter2" }]
+
+let server
+let directory
+let filename
+let count = 0
+
+before(async () => {
+  server = await startServer({ data: { users: USERS } })
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "monarch-cassette-"))
+})
+
+after(async () => {
+  await server.close()
+  fs.rmSync(directory, { recursive: true, force: true })
+})
+
+beforeEach(() => {
+  server.reset()
+  filename = path.join(directory, `cassette-${++count}.json`)
+})
+
+const newClient = (cassette) => new MonarchClient({ baseUrl: server.url, sessionStore: createMemorySessionStore(), cassette })
+
+// Logs in and lists the accounts, recording both to `filename`.
+const record = async () => {
+  const client = newClient(createCassette(filename, { mode: "record" }))
+  await client.loginUser("pat@example.com", "hunter2")
+  return { client, accounts: await client.getAccounts() }
+}
+
+describe("record mode", () => {
+  it("sends requests to the server and hands back the real response", async () => {
+    const { client, accounts } = await record()
+    assert.match(client.getToken(), /^mock-token-\d+$/)
+    assert.equal(accounts.accounts.length, 3)
+    assert.deepEqual(
+      server.requests.map((request) => request.operationName),
+      ["login", "GetAccounts"]
+    )
+  })
+
+  it("scrubs tokens, passwords, emails and masks from the file", async () => {
+    await record()
+    const contents = fs.readFileSync(filename, "utf-8")
+    assert.doesNotMatch(contents, /hunter2|mock-token|pat@example\.com|"1234"/)
+
+    const [login, getAccounts] = JSON.parse(contents).interactions
+    assert.equal(login.request.path, "/auth/login/")
+    assert.equal(login.request.variables.password, "[scrubbed]")
+    assert.equal(login.request.variables.username, "user@example.com")
+    assert.equal(login.response.body.token, "[scrubbed]")
+    assert.equal(login.response.body.email, "user@example.com")
+    assert.equal(getAccounts.request.operationName, "GetAccounts")
+    assert.equal(getAccounts.response.body.data.accounts[0].mask, "0000")
+  })
+})
+
+describe("replay mode", () => {
+  it("answers recorded requests without the server", async () => {
+    const { accounts } = await record()
+    server.reset()
+
+    const cassette = createCassette(filename, { mode: "replay" })
+    const client = newClient(cassette)
+    await client.loginUser("pat@example.com", "a different password")
+    assert.equal(client.getToken(), "[scrubbed]")
+    const replayed = await client.getAccounts()
+    assert.deepEqual(
+      replayed.accounts.map((account) => account.id),
+      accounts.accounts.map((account) => account.id)
+    )
+    assert.equal(replayed.accounts[0].mask, "0000")
+    assert.deepEqual(server.requests, [])
+    assert.deepEqual(cassette.unplayed(), [])
+  })
+
+  it("throws UnmatchedRequestError for a request with no recording", async () => {
+    await record()
+    server.reset()
+    const cassette = createCassette(filename, { mode: "replay" })
+    const client = newClient(cassette)
+    client.setToken("anything")
+
+    await assert.rejects(client.getTransactionTags(), (error) => {
+      assert.ok(error instanceof UnmatchedRequestError)
+      assert.equal(error.request.operationName, "GetHouseholdTransactionTags")
+      assert.match(error.key, /^GetHouseholdTransactionTags /)
+      return true
+    })
+    assert.deepEqual(
+      cassette.unmatched.map((request) => request.operationName),
+      ["GetHouseholdTransactionTags"]
+    )
+    assert.equal(cassette.unplayed().length, 2)
+    assert.deepEqual(server.requests, [])
+  })
+})
+
+describe("update mode", () => {
+  it("replays what is recorded and records what isn't", async () => {
+    await record()
+    server.reset()
+
+    const cassette = createCassette(filename, { mode: "update" })
+    const client = newClient(cassette)
+    client.setToken(server.token)
+    await client.getAccounts()
+    assert.deepEqual(server.requests, [])
+
+    const { householdTransactionTags } = await client.getTransactionTags()
+    assert.equal(householdTransactionTags.length, 2)
+    assert.deepEqual(
+      server.requests.map((request) => request.operationName),
+      ["GetHouseholdTransactionTags"]
+    )
+    assert.deepEqual(cassette.unmatched, [])
+
+    const { interactions } = JSON.parse(fs.readFileSync(filename, "utf-8"))
+    assert.deepEqual(
+      interactions.map(({ request }) => request.operationName || request.path),
+      ["/auth/login/", "GetAccounts", "GetHouseholdTransactionTags"]
+    )
+    assert.deepEqual(
+      cassette.unplayed().map(({ request }) => request.path),
+      ["/auth/login/"]
+    )
+  })
+})
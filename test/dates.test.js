@@ -0,0 +1,22 @@
+import assert from "node:assert/strict"
+import { describe, it } from "node:test"
+import { formatDate, isCalendarDay } from "../src/dates.js"
+
+describe("formatDate", () => {
+  it("formats the local date, padded", () => {
+    assert.equal(formatDate(new Date(2024, 0, 5)), "2024-01-05")
+    assert.equal(formatDate(new Date(2024, 11, 31, 23, 59)), "2024-12-31")
+    assert.equal(formatDate(new Date(2024, 2, 1, 0, 0)), "2024-03-01")
+  })
+})
+
+describe("isCalendarDay", () => {
+  it("accepts real days and rejects rolled-over or malformed ones", () => {
+    assert.equal(isCalendarDay("2024-02-29"), true)
+    assert.equal(isCalendarDay("2023-02-29"), false)
+    assert.equal(isCalendarDay("2024-02-31"), false)
+    assert.equal(isCalendarDay("2024-13-01"), false)
+    assert.equal(isCalendarDay("2024-1-01"), false)
+    assert.equal(isCalendarDay(new Date(2024, 0, 1)), false)
+  })
+})
@@ -0,0 +1,23 @@
+// helpers.js
+import { MockMonarchServer } from "monarch-money-api/mock"
+import { formatDate } from "../src/dates.js"
+
+// Retries without the backoff, so failure paths don't slow the suite down.
+export const FAST_RETRY = { initialDelayMs: 1, maxDelayMs: 1, jitter: false }
+
+// Starts a mock server for a test file. `server.client()` gives a fresh
+// logged-in client; call `server.reset()` between tests to restore the data.
+export const startServer = async (options = {}) => {
+  const server = new MockMonarchServer(options)
+  await server.listen()
+  return server
+}
+
+// The variables of the last request the server saw for `operationName`.
+export const lastVariables = (server, operationName) => {
+  const requests = server.requests.filter((request) => request.operationName === operationName)
+  return requests.length ? requests[requests.length - 1].variables : null
+}
+
+// YYYY-MM-DD for a local date, e.g. localDate(2024, 0, 31).
+export const localDate = (year, monthIndex, day) => formatDate(new Date(year, monthIndex, day))
@@ -0,0 +1,300 @@
+import assert from "node:assert/strict"
+import { spawn } from "node:child_process"
+import { after, before, beforeEach, describe, it } from "node:test"
+import { fileURLToPath } from "node:url"
+import { authenticator } from "otplib"
+import {
+  LoginFailedException,
+  MonarchClient,
+  RequireMFAException,
+  createMemorySessionStore,
+  generateOtp,
+  getDefaultClient,
+  interactiveLogin,
+  login,
+  loginUser,
+  multiFactorAuthenticate,
+  setDefaultClient,
+} from "../src/index.js"
+import { startServer } from "./helpers.js"
+
+const MFA_SECRET = "JBSWY3DPEHPK3PXP"
+const USERS = [
+  { id: "1", name: "Pat", email: "pat@example.com", password: "hunter2" },
+  { id: "2", name: "Sam", email: "sam@example.com", password: "swordfish", mfaSecretKey: MFA_SECRET, mfaCode: "246810" },
+]
+
+let server
+
+before(async () => {
+  server = await startServer({ data: { users: USERS }, token: null })
+})
+
+after(async () => {
+  await server.close()
+})
+
+beforeEach(() => {
+  server.reset()
+})
+
+const newClient = (options = {}) => new MonarchClient({ baseUrl: server.url, sessionStore: createMemorySessionStore(), ...options })
+
+const loginRequests = () => server.requests.filter((request) => request.operationName === "login")
+
+describe("generateOtp", () => {
+  it("generates the current TOTP code for a secret", () => {
+    assert.equal(generateOtp(MFA_SECRET), authenticator.generate(MFA_SECRET))
+    assert.ok(authenticator.check(generateOtp(MFA_SECRET), MFA_SECRET))
+  })
+})
+
+describe("loginUser", () => {
+  it("stores the token and saves the session", async () => {
+    const client = newClient()
+    await client.loginUser("pat@example.com", "hunter2")
+    assert.ok(client.getToken())
+    assert.deepEqual(await client.sessionStore.load(), { token: client.getToken(), email: "pat@example.com" })
+    assert.equal((await client.whoami()).me.name, "Pat")
+  })
+
+  it("doesn't save the session when asked not to", async () => {
+    const client = newClient()
+    await client.loginUser("pat@example.com", "hunter2", null, false)
+    assert.equal(await client.sessionExists(), false)
+  })
+
+  it("throws LoginFailedException with Monarch's error code", async () => {
+    await assert.rejects(newClient().loginUser("pat@example.com", "wrong"), (error) => {
+      assert.ok(error instanceof LoginFailedException)
+      assert.equal(error.message, "INVALID_CREDENTIALS")
+      return true
+    })
+  })
+
+  it("throws RequireMFAException when the account has 2FA", async () => {
+    await assert.rejects(newClient().loginUser("sam@example.com", "swordfish"), RequireMFAException)
+  })
+
+  it("generates the code from mfaSecretKey", async () => {
+    const client = newClient()
+    await client.loginUser("sam@example.com", "swordfish", MFA_SECRET)
+    assert.equal((await client.whoami()).me.name, "Sam")
+    assert.equal(loginRequests().length, 1)
+  })
+
+  it("retries with a fresh code when the 30-second window rolls over in flight", async () => {
+    const realNow = Date.now
+    const realLogin = server.login
+    let offset = 0
+    const codes = []
+    Date.now = () => realNow() + offset
+    // The first code reaches the server in the next window, so it is rejected
+    server.login = function (request, form, response) {
+      codes.push(form.get("totp"))
+      if (codes.length === 1) {
+        offset += 30 * 1000
+      }
+      return realLogin.call(this, request, form, response)
+    }
+    try {
+      const client = newClient()
+      await client.loginUser("sam@example.com", "swordfish", MFA_SECRET)
+      assert.equal((await client.whoami()).me.name, "Sam")
+      assert.equal(codes.length, 2)
+      assert.notEqual(codes[1], codes[0])
+    } finally {
+      Date.now = realNow
+      delete server.login
+    }
+  })
+
+  it("throws LoginFailedException for a wrong secret", async () => {
+    await assert.rejects(newClient().loginUser("sam@example.com", "swordfish", "GEZDGNBVGY3TQOJQ"), LoginFailedException)
+  })
+})
+
+describe("multiFactorAuthenticate", () => {
+  it("logs in with a code", async () => {
+    const client = newClient()
+    await client.multiFactorAuthenticate("sam@example.com", "swordfish", "246810")
+    assert.equal((await client.whoami()).me.name, "Sam")
+  })
+
+  it("throws LoginFailedException for a wrong code", async () => {
+    await assert.rejects(newClient().multiFactorAuthenticate("sam@example.com", "swordfish", "000000"), (error) => {
+      assert.ok(error instanceof LoginFailedException)
+      assert.equal(error.message, "INVALID_MFA_CODE")
+      return true
+    })
+  })
+})
+
+describe("login", () => {
+  it("uses a saved session without logging in", async () => {
+    const client = newClient({ sessionStore: createMemorySessionStore({ token: "saved-token" }) })
+    await client.login("pat@example.com", "hunter2")
+    assert.equal(client.getToken(), "saved-token")
+    assert.equal(loginRequests().length, 0)
+  })
+
+  it("logs in when there is no saved session, or when told to ignore it", async () => {
+    const client = newClient()
+    await client.login("pat@example.com", "hunter2")
+    const token = client.getToken()
+    assert.ok(token)
+
+    await client.login("sam@example.com", "swordfish", { mfaSecretKey: MFA_SECRET, useSavedSession: false, saveSession: false })
+    assert.notEqual(client.getToken(), token)
+    assert.deepEqual(await client.sessionStore.load(), { token, email: "pat@example.com" })
+  })
+
+  it("ignores a saved session that belongs to someone else", async () => {
+    const sessionStore = createMemorySessionStore()
+    await newClient({ sessionStore }).login("pat@example.com", "hunter2")
+    const patToken = (await sessionStore.load()).token
+
+    const sam = newClient({ sessionStore })
+    await sam.login("SAM@example.com", "swordfish", { mfaSecretKey: MFA_SECRET })
+    assert.notEqual(sam.getToken(), patToken)
+    assert.equal((await sam.whoami()).me.name, "Sam")
+    assert.equal(loginRequests().length, 2)
+
+    const samAgain = newClient({ sessionStore })
+    await samAgain.login("sam@example.com", "swordfish", { mfaSecretKey: MFA_SECRET })
+    assert.equal(samAgain.getToken(), sam.getToken())
+    assert.equal(loginRequests().length, 2)
+  })
+
+  it("requires an email and password without a saved session", async () => {
+    await assert.rejects(newClient().login(null, null), /Email and password are required/)
+  })
+
+  it("logs in again with the credential provider when the token expires", async () => {
+    const client = newClient({ credentials: async () => ({ email: "pat@example.com", password: "hunter2" }) })
+    await client.whoami()
+    const firstToken = client.getToken()
+    server.revokeTokens()
+    assert.equal((await client.whoami()).me.name, "Pat")
+    assert.notEqual(client.getToken(), firstToken)
+    assert.equal(loginRequests().length, 2)
+  })
+
+  it("logs in again once for concurrent requests rejected with the same token", async () => {
+    const client = newClient({
+      credentials: { email: "pat@example.com", password: "hunter2" },
+      rateLimit: { requestsPerSecond: Infinity, maxConcurrency: 2 },
+    })
+    await client.whoami()
+    server.revokeTokens()
+    const logins = loginRequests().length
+    const results = await Promise.all(Array.from({ length: 8 }, () => client.whoami()))
+    assert.ok(results.every((result) => result.me.name === "Pat"))
+    assert.equal(loginRequests().length, logins + 1)
+  })
+
+  it("doesn't restore another user's session for a client with credentials", async () => {
+    const sessionStore = createMemorySessionStore()
+    const pat = newClient({ sessionStore, credentials: { email: "pat@example.com", password: "hunter2" } })
+    const sam = newClient({ sessionStore, credentials: { email: "sam@example.com", password: "swordfish", mfaSecretKey: MFA_SECRET } })
+    assert.equal((await pat.whoami()).me.name, "Pat")
+    assert.equal((await sam.whoami()).me.name, "Sam")
+    assert.notEqual(sam.getToken(), pat.getToken())
+    assert.equal((await sessionStore.load()).email, "sam@example.com")
+
+    const samAgain = newClient({ sessionStore, credentials: async () => ({ email: "sam@example.com", password: "swordfish" }) })
+    assert.equal((await samAgain.whoami()).me.name, "Sam")
+    assert.equal(loginRequests().length, 2)
+  })
+})
+
+describe("top-level functions", () => {
+  let previous
+
+  before(() => {
+    previous = getDefaultClient()
+  })
+
+  after(() => {
+    setDefaultClient(previous)
+  })
+
+  it("act on the default client", async () => {
+    const client = newClient()
+    setDefaultClient(client)
+    await assert.rejects(loginUser("sam@example.com", "swordfish"), RequireMFAException)
+    await multiFactorAuthenticate("sam@example.com", "swordfish", "246810", false)
+    const token = client.getToken()
+    assert.ok(token)
+
+    await login("pat@example.com", "hunter2", { useSavedSession: false })
+    assert.notEqual(client.getToken(), token)
+  })
+
+  it("interactiveLogin loads a saved session without prompting", async () => {
+    const client = newClient({ sessionStore: createMemorySessionStore({ token: "saved-token" }) })
+    setDefaultClient(client)
+    await interactiveLogin()
+    assert.equal(client.getToken(), "saved-token")
+  })
+})
+
+describe("interactiveLogin", () => {
+  const indexUrl = new URL("../src/index.js", import.meta.url).href
+
+  // Runs interactiveLogin() in a child process, answering each prompt that
+  // appears on its stdout from `answers`.
+  const runInteractiveLogin = (answers) =>
+    new Promise((resolve, reject) => {
+      const script = [
+        `import { MonarchClient, createMemorySessionStore, interactiveLogin, setDefaultClient } from ${JSON.stringify(indexUrl)}`,
+        "const client = new MonarchClient({ sessionStore: createMemorySessionStore() })",
+        "setDefaultClient(client)",
+        "await interactiveLogin(false, false)",
+        "console.log(`\\nTOKEN ${client.getToken()}`)",
+      ].join("\n")
+      const child = spawn(process.execPath, ["--input-type=module", "-e", script], {
+        cwd: fileURLToPath(new URL("..", import.meta.url)),
+        env: { ...process.env, MONARCH_BASE_URL: server.url },
+      })
+      const pending = Object.entries(answers)
+      let stdout = ""
+      let stderr = ""
+      child.stdout.on("data", (chunk) => {
+        stdout += chunk
+        while (pending.length && stdout.includes(pending[0][0])) {
+          const [, answer] = pending.shift()
+          child.stdin.write(`${answer}\n`)
+        }
+      })
+      child.stderr.on("data", (chunk) => (stderr += chunk))
+      const timer = setTimeout(() => child.kill(), 10000)
+      child.on("error", reject)
+      child.on("close", (code) => {
+        clearTimeout(timer)
+        resolve({ code, stdout, stderr })
+      })
+    })
+
+  it("prompts for an email and password", async () => {
+    const { code, stdout } = await runInteractiveLogin({ "Email: ": "pat@example.com", "Password: ": "hunter2" })
+    assert.equal(code, 0)
+    assert.match(stdout, /TOKEN mock-token-\d+/)
+  })
+
+  it("prompts for a code when the account has 2FA", async () => {
+    const { code, stdout } = await runInteractiveLogin({
+      "Email: ": "sam@example.com",
+      "Password: ": "swordfish",
+      "Two Factor Code: ": "246810",
+    })
+    assert.equal(code, 0)
+    assert.match(stdout, /TOKEN mock-token-\d+/)
+  })
+
+  it("fails for a wrong password", async () => {
+    const { code, stderr } = await runInteractiveLogin({ "Email: ": "pat@example.com", "Password: ": "wrong" })
+    assert.notEqual(code, 0)
+    assert.match(stderr, /LoginFailedException|INVALID_CREDENTIALS/)
+  })
+})
@@ -0,0 +1,93 @@
+import assert from "node:assert/strict"
+import { after, before, beforeEach, describe, it } from "node:test"
+import { AUTH_HEADER_KEY, NotFoundError, SessionExpiredException } from "../src/index.js"
+import { FAST_RETRY, startServer } from "./helpers.js"
+
+let server
+
+before(async () => {
+  server = await startServer()
+})
+
+after(async () => {
+  await server.close()
+})
+
+beforeEach(() => {
+  server.reset()
+})
+
+// Middleware that appends "<name>:<hook>" to `calls` for every hook.
+const recorder = (name, calls) => ({
+  beforeRequest: (context) => calls.push(`${name}:beforeRequest:${context.attempt}`),
+  afterResponse: (context) => calls.push(`${name}:afterResponse:${context.attempt}`),
+  onError: (context) => calls.push(`${name}:onError:${context.attempt}`),
+})
+
+describe("middleware", () => {
+  it("can add headers to the request", async () => {
+    const client = server.client({ token: null })
+    client.use((context) => {
+      context.headers[AUTH_HEADER_KEY] = `Token ${server.token}`
+    })
+    assert.equal(client.getToken(), null)
+    assert.equal((await client.getTransactionTags()).householdTransactionTags.length, 2)
+
+    server.revokeTokens()
+    await assert.rejects(client.getTransactionTags(), SessionExpiredException)
+  })
+
+  it("runs beforeRequest in the order it was added and the other hooks in reverse", async () => {
+    const calls = []
+    const client = server.client({ middleware: [recorder("a", calls)] })
+    client.use(recorder("b", calls))
+    await client.getTransactionTags()
+    assert.deepEqual(calls, ["a:beforeRequest:1", "b:beforeRequest:1", "b:afterResponse:1", "a:afterResponse:1"])
+
+    calls.length = 0
+    server.revokeTokens()
+    await assert.rejects(client.getTransactionTags(), SessionExpiredException)
+    assert.deepEqual(calls, ["a:beforeRequest:1", "b:beforeRequest:1", "b:onError:1", "a:onError:1"])
+  })
+
+  it("gives onError the mapped error, with the timings", async () => {
+    const errors = []
+    const client = server.client({
+      middleware: [{ onError: (context) => errors.push([context.operation, context.error, context.durationMs]) }],
+    })
+    server.stub("GetHouseholdTransactionTags", () => ({ errors: [{ message: "Tag not found" }] }))
+    await assert.rejects(client.getTransactionTags(), NotFoundError)
+
+    const [[operation, error, durationMs]] = errors
+    assert.equal(operation, "GetHouseholdTransactionTags")
+    assert.ok(error instanceof NotFoundError)
+    assert.match(error.message, /Tag not found/)
+    assert.equal(typeof durationMs, "number")
+  })
+
+  it("runs every hook once per attempt", async () => {
+    const calls = []
+    const client = server.client({ retry: FAST_RETRY, middleware: [recorder("a", calls)] })
+    let requests = 0
+    server.stub("GetHouseholdTransactionTags", () => (++requests < 3 ? { status: 503 } : { data: { householdTransactionTags: [] } }))
+    await client.getTransactionTags()
+    assert.deepEqual(calls, [
+      "a:beforeRequest:1",
+      "a:onError:1",
+      "a:beforeRequest:2",
+      "a:onError:2",
+      "a:beforeRequest:3",
+      "a:afterResponse:3",
+    ])
+  })
+
+  it("can change the variables that are sent", async () => {
+    const client = server.client()
+    client.use((context) => {
+      context.variables = { ...context.variables, filters: { ...context.variables.filters, search: "Pizza" } }
+    })
+    const { allTransactions } = await client.getTransactions({})
+    assert.ok(allTransactions.results.length > 0)
+    assert.ok(allTransactions.results.every((transaction) => transaction.merchant.name === "Pizza Place"))
+  })
+})
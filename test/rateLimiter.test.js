@@ -0,0 +1,103 @@
+import assert from "node:assert/strict"
+import { after, before, beforeEach, describe, it } from "node:test"
+import { RateLimitedError } from "../src/index.js"
+import { RateLimiter, createRateLimiter } from "../src/rateLimiter.js"
+import { startServer } from "./helpers.js"
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Runs `count` jobs of `ms` each and returns the most that ran at once.
+const peakConcurrency = async (limiter, count, ms, operation = "Op") => {
+  let active = 0
+  let peak = 0
+  const job = async () => {
+    active++
+    peak = Math.max(peak, active)
+    await delay(ms)
+    active--
+  }
+  await Promise.all(Array.from({ length: count }, () => limiter.schedule(operation, job)))
+  return peak
+}
+
+describe("RateLimiter", () => {
+  it("runs at most maxConcurrency requests at once", async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: Infinity, maxConcurrency: 2 })
+    assert.equal(await peakConcurrency(limiter, 6, 10), 2)
+  })
+
+  it("gives listed operations their own limits", async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: Infinity, maxConcurrency: 4, operations: { Slow: { maxConcurrency: 1 } } })
+    assert.equal(await peakConcurrency(limiter, 3, 10, "Slow"), 1)
+    assert.equal(await peakConcurrency(limiter, 3, 10, "Fast"), 3)
+  })
+
+  it("spaces requests out once the burst is used", async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 20, burst: 1 })
+    const start = Date.now()
+    for (let i = 0; i < 3; i++) {
+      await limiter.schedule("Op", async () => {})
+    }
+    assert.ok(Date.now() - start >= 90)
+  })
+
+  it("pauses every operation for the Retry-After of a 429", async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: Infinity })
+    const limited = () => Promise.reject(new RateLimitedError("Too many requests", { retryAfter: 0.1, status: 429 }))
+    await assert.rejects(limiter.schedule("Op", limited), RateLimitedError)
+    const start = Date.now()
+    assert.equal(await limiter.schedule("Other", async () => "done"), "done")
+    assert.ok(Date.now() - start >= 90)
+  })
+
+  it("an unlimited rate never waits", { timeout: 5000 }, async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: Infinity, burst: 1 })
+    for (let i = 0; i < 20; i++) {
+      assert.equal(await limiter.schedule("Op", async () => i), i)
+    }
+  })
+
+  it("rejects limits that would never let a request through", () => {
+    assert.throws(() => new RateLimiter({ requestsPerSecond: 0 }), /rateLimit\.requestsPerSecond must be greater than 0, got 0/)
+    assert.throws(() => new RateLimiter({ requestsPerSecond: NaN }), /requestsPerSecond must be greater than 0/)
+    assert.throws(() => new RateLimiter({ burst: 0.5 }), /rateLimit\.burst must be at least 1, got 0\.5/)
+    assert.throws(() => new RateLimiter({ maxConcurrency: 0 }), /rateLimit\.maxConcurrency must be at least 1, got 0/)
+    assert.throws(
+      () => new RateLimiter({ operations: { Slow: { requestsPerSecond: -1 } } }),
+      /rateLimit\.operations\.Slow\.requestsPerSecond must be greater than 0, got -1/
+    )
+    assert.throws(() => new RateLimiter({ maxConcurrency: "2" }), /maxConcurrency must be at least 1, got 2/)
+    assert.ok(new RateLimiter({ requestsPerSecond: Infinity, burst: Infinity, maxConcurrency: Infinity }))
+  })
+
+  it("false passes requests straight through", { timeout: 5000 }, async () => {
+    const limiter = createRateLimiter(false)
+    for (let i = 0; i < 20; i++) {
+      assert.equal(await limiter.schedule("Op", async () => i), i)
+    }
+    assert.equal(await peakConcurrency(limiter, 8, 10), 8)
+  })
+})
+
+describe("a client with rateLimit: false", () => {
+  let server
+
+  before(async () => {
+    server = await startServer()
+  })
+
+  after(async () => {
+    await server.close()
+  })
+
+  beforeEach(() => {
+    server.reset()
+  })
+
+  it("keeps sending requests", { timeout: 5000 }, async () => {
+    const client = server.client({ rateLimit: false })
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await client.getTransactionTags()).householdTransactionTags.length, 2)
+    }
+  })
+})
@@ -0,0 +1,164 @@
+import assert from "node:assert/strict"
+import fs from "node:fs"
+import os from "node:os"
+import path from "node:path"
+import { after, afterEach, before, beforeEach, describe, it } from "node:test"
+import {
+  AUTH_HEADER_KEY,
+  MonarchClient,
+  createFileSessionStore,
+  createMemorySessionStore,
+  deleteSession,
+  getDefaultClient,
+  getHeaders,
+  getToken,
+  loadSession,
+  saveSession,
+  sessionExists,
+  setDefaultClient,
+  setLogger,
+  setToken,
+} from "../src/index.js"
+
+let previous
+let client
+let directory
+
+before(() => {
+  previous = getDefaultClient()
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "monarch-session-"))
+})
+
+after(() => {
+  setDefaultClient(previous)
+  fs.rmSync(directory, { recursive: true, force: true })
+})
+
+beforeEach(() => {
+  client = new MonarchClient({ sessionStore: createMemorySessionStore() })
+  setDefaultClient(client)
+})
+
+afterEach(() => {
+  delete process.env.MONARCH_SESSION_PASSPHRASE
+})
+
+describe("tokens and headers", () => {
+  it("setToken sets the Authorization header and getToken reads it back", () => {
+    assert.equal(getToken(), null)
+    assert.equal(getHeaders()[AUTH_HEADER_KEY], undefined)
+
+    setToken("abc")
+    assert.equal(getToken(), "abc")
+    assert.equal(getHeaders()[AUTH_HEADER_KEY], "Token abc")
+    assert.equal(getHeaders()["Client-Platform"], "web")
+
+    setToken(null)
+    assert.equal(getToken(), null)
+    assert.equal(getHeaders()[AUTH_HEADER_KEY], undefined)
+  })
+
+  it("setLogger sends the default client's logs to a sink, without the token", () => {
+    const lines = []
+    setLogger({ level: "debug", sink: { debug: (...args) => lines.push(args.join(" ")) } })
+    setToken("abc")
+    assert.deepEqual(lines, ["Updated the session token"])
+    assert.ok(lines.every((line) => !line.includes("abc")))
+  })
+})
+
+describe("the session store", () => {
+  it("saveSession, sessionExists, loadSession and deleteSession use the client's store", async () => {
+    assert.equal(await sessionExists(), false)
+    setToken("abc")
+    await saveSession()
+    assert.equal(await sessionExists(), true)
+
+    setToken(null)
+    assert.deepEqual(await loadSession(), { token: "abc" })
+    assert.equal(getToken(), "abc")
+
+    await deleteSession()
+    assert.equal(await sessionExists(), false)
+    assert.equal(await loadSession(), null)
+  })
+
+  it("the same functions use a file when given one", async () => {
+    const filename = path.join(directory, "nested", "session.json")
+    process.env.MONARCH_SESSION_PASSPHRASE = "correct horse"
+    setToken("from-file")
+    await saveSession(filename)
+    assert.equal(await sessionExists(filename), true)
+    assert.equal(await sessionExists(), false)
+
+    setDefaultClient(new MonarchClient({ sessionStore: createMemorySessionStore() }))
+    await loadSession(filename)
+    assert.equal(getToken(), "from-file")
+
+    await deleteSession(filename)
+    assert.equal(fs.existsSync(filename), false)
+  })
+
+  it("encrypts the file when a passphrase is set", async () => {
+    const filename = path.join(directory, "encrypted.json")
+    process.env.MONARCH_SESSION_PASSPHRASE = "correct horse"
+    setToken("secret-token")
+    await saveSession(filename)
+    assert.doesNotMatch(fs.readFileSync(filename, "utf-8"), /secret-token/)
+
+    setToken(null)
+    await loadSession(filename)
+    assert.equal(getToken(), "secret-token")
+
+    process.env.MONARCH_SESSION_PASSPHRASE = "wrong"
+    await assert.rejects(loadSession(filename), /Unable to decrypt/)
+  })
+
+  it("refuses to save in plaintext unless allowPlaintext is set", async () => {
+    const filename = path.join(directory, "plaintext.json")
+    await assert.rejects(createFileSessionStore(filename).save({ token: "plain-token" }), /Refusing to save the session .* unencrypted/)
+    assert.equal(fs.existsSync(filename), false)
+
+    await createFileSessionStore(filename, { allowPlaintext: true }).save({ token: "plain-token" })
+    assert.deepEqual(JSON.parse(fs.readFileSync(filename, "utf-8")), { token: "plain-token" })
+    assert.equal(fs.statSync(filename).mode & 0o777, 0o600)
+  })
+
+  it("encrypts a plaintext session when it is read with a passphrase, and makes it private", async () => {
+    const filename = path.join(directory, "legacy.json")
+    fs.writeFileSync(filename, JSON.stringify({ token: "legacy-token" }), { mode: 0o644 })
+
+    const store = createFileSessionStore(filename, { passphrase: "correct horse" })
+    assert.deepEqual(await store.load(), { token: "legacy-token" })
+    assert.doesNotMatch(fs.readFileSync(filename, "utf-8"), /legacy-token/)
+    assert.equal(fs.statSync(filename).mode & 0o777, 0o600)
+    assert.deepEqual(await store.load(), { token: "legacy-token" })
+  })
+
+  it("leaves a plaintext session alone when migrate is off", async () => {
+    const filename = path.join(directory, "unmigrated.json")
+    fs.writeFileSync(filename, JSON.stringify({ token: "legacy-token" }))
+    await createFileSessionStore(filename, { passphrase: "correct horse", migrate: false }).load()
+    assert.deepEqual(JSON.parse(fs.readFileSync(filename, "utf-8")), { token: "legacy-token" })
+  })
+
+  it("reads the secret from a key file", async () => {
+    const filename = path.join(directory, "keyed.json")
+    const keyFile = path.join(directory, "session.key")
+    fs.writeFileSync(keyFile, "key-file-secret\n")
+    await createFileSessionStore(filename, { keyFile }).save({ token: "keyed-token" })
+    assert.doesNotMatch(fs.readFileSync(filename, "utf-8"), /keyed-token/)
+
+    assert.deepEqual(await createFileSessionStore(filename, { passphrase: "key-file-secret" }).load(), { token: "keyed-token" })
+    await assert.rejects(createFileSessionStore(filename).load(), /is encrypted/)
+  })
+
+  it("reports a corrupt encrypted session as undecryptable", async () => {
+    const filename = path.join(directory, "corrupt.json")
+    const store = createFileSessionStore(filename, { passphrase: "correct horse" })
+    await store.save({ token: "secret-token" })
+    const payload = JSON.parse(fs.readFileSync(filename, "utf-8"))
+    fs.writeFileSync(filename, JSON.stringify({ ...payload, iv: "" }))
+    await assert.rejects(store.load(), /Unable to decrypt/)
+  })
+})
@@ -0,0 +1,163 @@
+import assert from "node:assert/strict"
+import { after, before, beforeEach, describe, it } from "node:test"
+import { Transaction, TransactionQuery } from "../src/index.js"
+import { localDate, startServer } from "./helpers.js"
+
+const TRANSACTIONS = [
+  { id: "811", accountId: "101", categoryId: "501", merchantId: "701", amount: 3000, date: "2024-01-01" },
+  { id: "812", accountId: "102", categoryId: "502", merchantId: "702", amount: -85.2, date: "2024-01-02" },
+  { id: "813", accountId: "102", categoryId: "503", merchantId: "703", amount: -32, date: "2024-01-03" },
+  { id: "814", accountId: "102", categoryId: "502", merchantId: "702", amount: -61.75, date: "2024-01-04", pending: true },
+  { id: "815", accountId: "102", categoryId: "503", merchantId: "703", amount: -140, date: "2024-01-05" },
+]
+
+let server
+let client
+
+before(async () => {
+  server = await startServer({ data: { transactions: TRANSACTIONS } })
+})
+
+after(async () => {
+  await server.close()
+})
+
+beforeEach(() => {
+  server.reset()
+  client = server.client()
+})
+
+const ids = (transactions) => transactions.map((transaction) => transaction.id)
+
+describe("matches", () => {
+  const transaction = (fields) => ({
+    amount: -50,
+    pending: false,
+    category: { id: "502", name: "Groceries" },
+    merchant: { id: "702", name: "Whole Foods" },
+    ...fields,
+  })
+
+  it("checks the amount range, inclusive", () => {
+    const query = new TransactionQuery().amountBetween(-100, -50)
+    assert.equal(query.matches(transaction({ amount: -100 })), true)
+    assert.equal(query.matches(transaction({ amount: -50 })), true)
+    assert.equal(query.matches(transaction({ amount: -100.01 })), false)
+    assert.equal(query.matches(transaction({ amount: -49 })), false)
+    assert.equal(new TransactionQuery().amountBetween(null, 0).matches(transaction({ amount: -1e6 })), true)
+  })
+
+  it("checks pending status", () => {
+    assert.equal(new TransactionQuery().pending().matches(transaction({ pending: true })), true)
+    assert.equal(new TransactionQuery().pending().matches(transaction({ pending: false })), false)
+    assert.equal(new TransactionQuery().pending(false).matches(transaction({ pending: undefined })), true)
+  })
+
+  it("excludes categories by id or name", () => {
+    assert.equal(new TransactionQuery().excludeCategories("502").matches(transaction()), false)
+    assert.equal(new TransactionQuery().excludeCategories(["GROCERIES"]).matches(transaction()), false)
+    assert.equal(new TransactionQuery().excludeCategories("Restaurants").matches(transaction()), true)
+    assert.equal(new TransactionQuery().excludeCategories("502").matches(transaction({ category: null })), true)
+  })
+
+  it("matches merchants by id or name", () => {
+    assert.equal(new TransactionQuery().merchants("whole foods").matches(transaction()), true)
+    assert.equal(new TransactionQuery().merchants("703", "702").matches(transaction()), true)
+    assert.equal(new TransactionQuery().merchants("Pizza Place").matches(transaction()), false)
+    assert.equal(new TransactionQuery().merchants("702").matches(transaction({ merchant: null })), false)
+  })
+})
+
+describe("fetchAll", () => {
+  it("sends the server-side filters and applies the rest to the results", async () => {
+    const results = await client
+      .queryTransactions()
+      .between("2024-01-01", "2024-01-31")
+      .accounts("Credit Card")
+      .amountBetween(-100, 0)
+      .fetchAll()
+    assert.deepEqual(ids(results), ["814", "813", "812"])
+
+    const { filters } = server.requests.find((request) => request.operationName === "GetTransactionsList").variables
+    assert.deepEqual([filters.startDate, filters.endDate, filters.accounts], ["2024-01-01", "2024-01-31", ["102"]])
+  })
+
+  it("orders by amount or merchant on the client", async () => {
+    const byAmount = await client.queryTransactions().orderBy("amount", "asc").fetchAll({ pageSize: 2 })
+    assert.deepEqual(ids(byAmount), ["815", "812", "814", "813", "811"])
+
+    const byAmountDesc = await client.queryTransactions().orderBy("amount").fetchAll()
+    assert.deepEqual(ids(byAmountDesc), ["811", "813", "814", "812", "815"])
+
+    const byMerchant = await client.queryTransactions().excludeCategories("Paychecks").orderBy("merchant", "asc").fetchAll()
+    assert.deepEqual(
+      byMerchant.map((transaction) => transaction.merchant.name),
+      ["Pizza Place", "Pizza Place", "Whole Foods", "Whole Foods"]
+    )
+  })
+
+  it("returns models when asked", async () => {
+    const [transaction] = await client.queryTransactions().merchants("Employer").fetchAll({ raw: false })
+    assert.ok(transaction instanceof Transaction)
+    assert.equal(transaction.amount, 3000)
+  })
+})
+
+describe("iterate", () => {
+  it("streams matching transactions newest first", async () => {
+    const streamed = []
+    for await (const transaction of client.queryTransactions().pending(false).iterate({ pageSize: 2 })) {
+      streamed.push(transaction.id)
+    }
+    assert.deepEqual(streamed, ["815", "813", "812", "811"])
+  })
+
+  it("refuses any other ordering", async () => {
+    const query = client.queryTransactions().orderBy("date", "asc")
+    assert.equal(query.isServerOrdered(), false)
+    await assert.rejects(query.iterate().next(), /Ordering by date asc needs fetchAll\(\), not iterate\(\)/)
+    assert.equal(server.requests.length, 0)
+  })
+})
+
+describe("input validation", () => {
+  it("formats Dates as the local day", () => {
+    const previous = process.env.TZ
+    process.env.TZ = "Pacific/Auckland"
+    try {
+      const filters = new TransactionQuery().between(new Date(2024, 0, 1), new Date(2024, 0, 31)).toFilters()
+      assert.deepEqual([filters.startDate, filters.endDate], ["2024-01-01", "2024-01-31"])
+      const now = new Date()
+      assert.equal(
+        new TransactionQuery().since("2024-01-01").toFilters().endDate,
+        localDate(now.getFullYear(), now.getMonth(), now.getDate())
+      )
+    } finally {
+      if (previous === undefined) {
+        delete process.env.TZ
+      } else {
+        process.env.TZ = previous
+      }
+    }
+  })
+
+  it("rejects dates that aren't real days", () => {
+    const query = new TransactionQuery()
+    assert.throws(() => query.between("2024-02-31", "2024-03-01"), /startDate must be a Date or a YYYY-MM-DD string/)
+    assert.throws(() => query.between("2024-01-01", "01/31/2024"), /endDate must be/)
+    assert.throws(() => query.between(new Date("nope"), "2024-01-31"), /startDate must be/)
+    assert.throws(() => query.between("2024-02-01", "2024-01-01").toFilters(), /is after endDate/)
+  })
+
+  it("rejects bad ids, amounts, search text and ordering", () => {
+    const query = new TransactionQuery()
+    assert.throws(() => query.accounts("101", ""), /accountIds must be non-empty strings/)
+    assert.throws(() => query.tags(601), /tagIds must be non-empty strings/)
+    assert.throws(() => query.amountBetween("10"), /min must be a finite number or null/)
+    assert.throws(() => query.amountBetween(0, Infinity), /max must be a finite number or null/)
+    assert.throws(() => query.amountBetween(10, -10), /min \(10\) is greater than max \(-10\)/)
+    assert.throws(() => query.search(null), /search must be a string/)
+    assert.throws(() => query.orderBy("category"), /orderBy field must be one of date, amount, merchant/)
+    assert.throws(() => query.orderBy("amount", "up"), /orderBy direction must be "asc" or "desc"/)
+  })
+})